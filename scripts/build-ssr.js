@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/*jshint node:true */
+"use strict";
+
+// babel-preset-react-app requires an explicit environment
+process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+process.env.BABEL_ENV = process.env.BABEL_ENV || process.env.NODE_ENV;
+
+const fs = require('fs');
+const path = require('path');
+const webpack = require('webpack');
+const config = require('../webpack.ssr.config');
+
+const manifest = path.join(__dirname, '..', 'build', 'asset-manifest.json');
+
+if (!fs.existsSync(manifest)) {
+  console.error('❌ build/asset-manifest.json not found. Run `npm run build` before `npm run build:ssr`.');
+  process.exit(1);
+}
+
+console.log('Building server-side rendering bundle...');
+
+webpack(config).run((error, stats) => {
+  if (error || stats.hasErrors()) {
+    console.error('❌ Failed to build the server bundle:');
+    console.error(error || stats.toString({ all: false, errors: true }));
+    process.exit(1);
+  }
+
+  console.log(`✅ Server bundle written to ${path.join(config.output.path, config.output.filename)}`);
+});
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/*jshint node:true */
+"use strict";
+
+/**
+ * Generate the Universal Editor component, model and filter definitions from
+ * src/components/base/editorDefinitions.json, and check them against the
+ * components rendering the models.
+ *
+ * Usage:
+ *   npm run editor:generate      Write public/static/*.json
+ *   npm run editor:validate      Exit 1 when the definitions are invalid, a
+ *                                data-aue-prop has no model field, or the
+ *                                files in public/static are out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SOURCE_FILE = path.join(ROOT_DIR, 'src', 'components', 'base', 'editorDefinitions.json');
+const OUTPUT_DIR = path.join(ROOT_DIR, 'public', 'static');
+const SCAN_DIR = path.join(ROOT_DIR, 'src');
+
+const CF_MODEL_ROOT = '/conf/securbank/settings/dam/cfm/models';
+
+// Field components the Universal Editor knows
+const FIELD_COMPONENTS = ['text-input', 'text-area', 'richtext', 'reference', 'aem-content', 'select', 'number', 'boolean', 'date-time'];
+
+// `prop="title"` on a base component, or `prop: "title"` in props passed to one
+const PROP_PATTERN = /\bprop(?:=|:\s*)(?:"([^"]+)"|'([^']+)'|\{\s*"([^"]+)"\s*\})/g;
+const MODEL_PATTERN = /\bmodel=(?:"([^"]+)"|'([^']+)')/g;
+
+function buildComponentDefinition({ models }) {
+  return {
+    groups: [
+      {
+        title: 'Content Fragments',
+        id: 'content-fragments',
+        components: models.map((model) => ({
+          title: model.title,
+          id: model.id,
+          model: model.id,
+          plugins: {
+            aem: {
+              cf: {
+                name: model.cf.model,
+                cfModel: `${CF_MODEL_ROOT}/${model.cf.model}`,
+                cfFolder: model.cf.folder,
+                title: model.title,
+                template: model.cf.template
+              }
+            }
+          }
+        }))
+      }
+    ]
+  };
+}
+
+function buildComponentModels({ models }) {
+  return models.map((model) => ({
+    id: model.id,
+    fields: model.fields.map((field) => ({
+      component: field.component,
+      name: field.name,
+      label: field.label,
+      valueType: 'string',
+      ...(field.required && { required: true }),
+      ...(field.multi && { multi: true })
+    }))
+  }));
+}
+
+function buildFilterDefinition({ filters }) {
+  return filters.map(({ id, components }) => ({ id, components }));
+}
+
+const OUTPUTS = [
+  { file: 'component-definition.json', build: buildComponentDefinition },
+  { file: 'component-models.json', build: buildComponentModels },
+  { file: 'filter-definition.json', build: buildFilterDefinition }
+];
+
+function listFiles(dir, extension) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(file, extension);
+    return entry.name.endsWith(extension) ? [file] : [];
+  });
+}
+
+function matchAll(source, pattern) {
+  return Array.from(source.matchAll(pattern), (match) => match.slice(1).find(Boolean));
+}
+
+function validateDefinitions({ models, filters }) {
+  const errors = [];
+  const ids = new Set();
+
+  models.forEach((model) => {
+    if (ids.has(model.id)) errors.push(`Model "${model.id}" is defined twice`);
+    ids.add(model.id);
+
+    if (!model.cf?.model || !model.cf?.folder) {
+      errors.push(`Model "${model.id}" needs cf.model and cf.folder`);
+    }
+
+    const names = new Set();
+    model.fields.forEach((field) => {
+      if (names.has(field.name)) errors.push(`Model "${model.id}" has field "${field.name}" twice`);
+      names.add(field.name);
+      if (!FIELD_COMPONENTS.includes(field.component)) {
+        errors.push(`Field "${model.id}.${field.name}" has unknown component "${field.component}"`);
+      }
+    });
+
+    model.renderedBy.forEach((file) => {
+      if (!fs.existsSync(path.join(ROOT_DIR, file))) {
+        errors.push(`Model "${model.id}" is rendered by missing file ${file}`);
+      }
+    });
+  });
+
+  filters.forEach((filter) => {
+    filter.components.forEach((id) => {
+      if (!ids.has(id)) errors.push(`Filter "${filter.id}" allows unknown component "${id}"`);
+    });
+  });
+
+  return errors;
+}
+
+// Every data-aue-prop must be a field of a model its file renders
+function validateComponents({ models }) {
+  const errors = [];
+  const ids = new Set(models.map((model) => model.id));
+
+  listFiles(SCAN_DIR, '.jsx').forEach((file) => {
+    const relative = path.relative(ROOT_DIR, file).split(path.sep).join('/');
+    const source = fs.readFileSync(file, 'utf8');
+    const props = matchAll(source, PROP_PATTERN);
+
+    matchAll(source, MODEL_PATTERN).forEach((id) => {
+      if (!ids.has(id)) errors.push(`${relative}: model "${id}" is not defined`);
+    });
+
+    if (!props.length) return;
+
+    const fileModels = models.filter((model) => model.renderedBy.includes(relative));
+    if (!fileModels.length) {
+      errors.push(`${relative}: edits ${props.join(', ')} but no model lists it in renderedBy`);
+      return;
+    }
+
+    const fields = new Set(fileModels.flatMap((model) => model.fields.map((field) => field.name)));
+    props.filter((prop) => !fields.has(prop)).forEach((prop) => {
+      errors.push(`${relative}: prop "${prop}" is not a field of ${fileModels.map((model) => model.id).join(' or ')}`);
+    });
+  });
+
+  return errors;
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+
+  let definitions;
+  try {
+    definitions = JSON.parse(fs.readFileSync(SOURCE_FILE, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read ${path.relative(ROOT_DIR, SOURCE_FILE)}: ${error.message}`);
+    return 1;
+  }
+
+  const errors = [...validateDefinitions(definitions), ...validateComponents(definitions)];
+
+  OUTPUTS.forEach(({ file, build }) => {
+    const target = path.join(OUTPUT_DIR, file);
+    const content = `${JSON.stringify(build(definitions), null, 2)}\n`;
+
+    if (!check) {
+      if (!errors.length) fs.writeFileSync(target, content);
+      return;
+    }
+    const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+    if (current !== content) {
+      errors.push(`public/static/${file} is out of date, run npm run editor:generate`);
+    }
+  });
+
+  if (errors.length) {
+    errors.forEach((error) => console.error(`❌ ${error}`));
+    return 1;
+  }
+
+  console.log(check
+    ? '✅ Universal Editor definitions are valid and up to date'
+    : `✅ Wrote ${OUTPUTS.map(({ file }) => file).join(', ')} to public/static`);
+  return 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,417 @@
+#!/usr/bin/env node
+/*jshint node:true */
+"use strict";
+
+/**
+ * Security tooling behind the security:* npm scripts.
+ *
+ * Usage:
+ *   npm run security:generate [-- --env-file .env] [-- --rotate|--force]
+ *   npm run security:validate [-- --env-file .env] [-- --service-json service.json]
+ *   npm run security:audit
+ *   npm run security:help
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const BUNDLE_DIR = path.join(ROOT_DIR, 'build', 'static', 'js');
+
+// Keys written by `generate`
+const GENERATED_KEYS = [
+  {
+    name: 'TOKEN_ENCRYPTION_KEY',
+    previous: 'TOKEN_ENCRYPTION_PREVIOUS_KEYS',
+    bytes: 32,
+    description: 'Encrypts cached service tokens (see src/api/securityConfig.js)'
+  },
+  {
+    name: 'CSRF_SECRET',
+    previous: 'CSRF_PREVIOUS_SECRETS',
+    bytes: 32,
+    description: 'Signs CSRF tokens (see src/api/csrf.js)'
+  }
+];
+
+// Client-side variables that are inlined into the bundle and must never hold secrets
+const CLIENT_SECRET_VARIABLES = /^REACT_APP_\w*(SECRET|TOKEN|PASS|PASSWORD|PRIVATE_KEY)\w*$/;
+
+const PLACEHOLDER_VALUE = /^(|your-.*|<.*>|changeme|change-me|xxx+)$/i;
+
+// Files `audit` never reads: binaries
+const AUDIT_SKIPPED_FILES = /\.(png|jpe?g|gif|ico|svg|ttf|woff2?|eot|pdf|zip)$/i;
+
+const SECRET_PATTERNS = [
+  // A header followed by key material, not just the header (as in docs and validators);
+  // in PEM files the key material starts on the next line
+  { name: 'PEM private key', pattern: /-----BEGIN (RSA |EC |ENCRYPTED )?PRIVATE KEY-----(\\[rn]|\s)*[A-Za-z0-9+/]{40,}/, spansLines: true },
+  { name: 'Adobe client secret', pattern: /\bp8e-[A-Za-z0-9_-]{20,}/ },
+  { name: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/ },
+  { name: 'Client secret in JSON', pattern: /"client_?secret"\s*:\s*"(?!your-|<)[^"]{8,}"/i }
+];
+
+function parseArgs(argv) {
+  const [command = 'help', ...rest] = argv;
+  const options = { _: [] };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) {
+      options._.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split('=');
+    if (inline !== undefined) {
+      options[name] = inline;
+    } else if (rest[i + 1] && !rest[i + 1].startsWith('--')) {
+      options[name] = rest[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return { command, options };
+}
+
+/**
+ * Parse a .env file into an object (KEY=value lines, # comments, optional quotes)
+ * @param {string} contents - File contents
+ * @returns {object}
+ */
+function parseEnv(contents) {
+  return contents.split(/\r?\n/).reduce((env, line) => {
+    const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*)?\s*$/);
+    if (match) {
+      env[match[1]] = (match[2] || '').trim().replace(/^(['"])(.*)\1$/, '$2');
+    }
+    return env;
+  }, {});
+}
+
+function readEnvFile(envFile) {
+  return fs.existsSync(envFile) ? parseEnv(fs.readFileSync(envFile, 'utf8')) : {};
+}
+
+/**
+ * Set variables in a .env file, replacing existing lines and appending new ones
+ * @param {string} envFile - Path to the .env file
+ * @param {object} values - Variables to set
+ */
+function writeEnvValues(envFile, values) {
+  const lines = fs.existsSync(envFile) ? fs.readFileSync(envFile, 'utf8').split(/\r?\n/) : [];
+  const pending = { ...values };
+
+  const updated = lines.map((line) => {
+    const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=/);
+    if (match && match[1] in pending) {
+      const value = pending[match[1]];
+      delete pending[match[1]];
+      return `${match[1]}=${value}`;
+    }
+    return line;
+  });
+
+  while (updated.length && updated[updated.length - 1] === '') {
+    updated.pop();
+  }
+  Object.entries(pending).forEach(([name, value]) => updated.push(`${name}=${value}`));
+
+  fs.writeFileSync(envFile, `${updated.join('\n')}\n`, { mode: 0o600 });
+  fs.chmodSync(envFile, 0o600);
+}
+
+/**
+ * Generate the keys in GENERATED_KEYS and write them to the .env file.
+ * Existing keys are kept unless --force (replace) or --rotate (replace and keep
+ * the old key in the matching *_PREVIOUS_KEYS variable for decryption).
+ */
+function generate(options) {
+  const envFile = path.resolve(options['env-file'] || path.join(ROOT_DIR, '.env'));
+  const env = readEnvFile(envFile);
+  const values = {};
+
+  GENERATED_KEYS.forEach(({ name, previous, bytes, description }) => {
+    const current = env[name];
+
+    if (current && !options.force && !options.rotate) {
+      console.log(`⏭️  ${name} already set, keeping it (use --rotate or --force to replace it)`);
+      return;
+    }
+
+    values[name] = crypto.randomBytes(bytes).toString('hex');
+    console.log(`🔑 ${name}: ${description}`);
+
+    if (current && options.rotate && previous) {
+      const previousKeys = (env[previous] || '').split(',').map((key) => key.trim()).filter(Boolean);
+      values[previous] = [current, ...previousKeys.filter((key) => key !== current)].join(',');
+      console.log(`   Previous key moved to ${previous}; remove it once data encrypted with it has expired.`);
+    }
+  });
+
+  if (options.print) {
+    Object.entries(values).forEach(([name, value]) => console.log(`${name}=${value}`));
+    return 0;
+  }
+
+  if (!Object.keys(values).length) {
+    console.log('✅ Nothing to generate.');
+    return 0;
+  }
+
+  writeEnvValues(envFile, values);
+  console.log(`✅ Wrote ${Object.keys(values).join(', ')} to ${path.relative(process.cwd(), envFile) || envFile}`);
+  console.log('   Set the same values in your deployment environment (e.g. Vercel project settings).');
+  return 0;
+}
+
+/**
+ * Validate the service credentials and the environment variables the server depends on
+ */
+function validate(options) {
+  const envFile = path.resolve(options['env-file'] || path.join(ROOT_DIR, '.env'));
+  const serviceJson = path.resolve(options['service-json'] || path.join(ROOT_DIR, 'service.json'));
+  const env = { ...readEnvFile(envFile), ...process.env };
+  const errors = [];
+  const warnings = [];
+
+  const { checkServiceConfig } = require('../src/api/serviceConfigSchema');
+  const { loadServiceCredentials } = require('../src/api/serviceCredentials');
+  const { loadServerSecurityConfig } = require('../src/api/serverSecurityConfig');
+
+  // Service credentials, from the same source the server would use, with the
+  // same checks as validateServiceConfig
+  let credentials = null;
+  try {
+    credentials = options['service-json']
+      ? { config: JSON.parse(fs.readFileSync(serviceJson, 'utf8')), source: path.relative(ROOT_DIR, serviceJson) }
+      : loadServiceCredentials({ env, serviceJsonPath: serviceJson });
+  } catch (error) {
+    if (error.code === 'SERVICE_CONFIG_MISSING') {
+      warnings.push(`${error.message}: service-token authentication is unavailable`);
+    } else {
+      errors.push(`Service credentials cannot be read: ${error.message}`);
+    }
+  }
+  if (credentials) {
+    console.log(`🔑 Service credentials from ${credentials.source}`);
+    const result = checkServiceConfig(credentials.config);
+    result.errors.forEach(({ field, message }) => errors.push(`Service credentials ${field} ${message}`));
+    result.warnings.forEach(({ field, message }) => warnings.push(`Service credentials ${field} ${message}`));
+    if (result.certificate) {
+      console.log(`📄 Certificate ${result.certificate.subject} valid until ${result.certificate.expiresAt}`);
+    }
+  }
+
+  // Encryption keys are checked with the server security configuration below
+  if (!env.TOKEN_ENCRYPTION_KEY && env.ENCRYPTION_KEY) {
+    warnings.push('ENCRYPTION_KEY is a legacy name, rename it to TOKEN_ENCRYPTION_KEY');
+  }
+
+  // AEM connection
+  ['AUTH_METHOD', 'BASIC_AUTH_USER', 'BASIC_AUTH_PASS', 'DEV_TOKEN']
+    .filter((name) => env[`REACT_APP_${name}`] && !env[`AEM_${name}`])
+    .forEach((name) => warnings.push(`REACT_APP_${name} is no longer read by the server, set AEM_${name} instead`));
+  if (!env.REACT_APP_HOST_URI) {
+    errors.push('REACT_APP_HOST_URI is not set');
+  } else if (!/^https:\/\//.test(env.REACT_APP_HOST_URI) && !/^http:\/\/localhost\b/.test(env.REACT_APP_HOST_URI)) {
+    errors.push('REACT_APP_HOST_URI must use https');
+  }
+  if (!env.REACT_APP_ENDPOINT) {
+    errors.push('REACT_APP_ENDPOINT is not set');
+  }
+
+  // Token store
+  const tokenStore = (env.TOKEN_STORE || 'memory').toLowerCase();
+  if (!['memory', 'file', 'redis'].includes(tokenStore)) {
+    errors.push(`TOKEN_STORE must be memory, file or redis (got "${env.TOKEN_STORE}")`);
+  } else if (tokenStore === 'redis' && !env.TOKEN_STORE_REDIS_URL && !env.REDIS_URL) {
+    errors.push('TOKEN_STORE=redis requires TOKEN_STORE_REDIS_URL or REDIS_URL');
+  }
+
+  // Encryption keys, origins and rate limits, as the server loads them for a
+  // deployed environment
+  try {
+    const environment = env.NODE_ENV === 'staging' ? 'staging' : 'production';
+    loadServerSecurityConfig({ ...env, NODE_ENV: environment });
+  } catch (error) {
+    (error.errors || [error.message]).forEach((message) => errors.push(message));
+  }
+
+  // Secrets in client-side variables end up in the JavaScript bundle
+  Object.entries(env)
+    .filter(([name, value]) => CLIENT_SECRET_VARIABLES.test(name) && !PLACEHOLDER_VALUE.test(value))
+    .forEach(([name]) => {
+      errors.push(`${name} is bundled with the client: move it to a server-only variable (see env.example)`);
+    });
+
+  warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+  errors.forEach((error) => console.error(`❌ ${error}`));
+
+  if (errors.length) {
+    console.error(`\n${errors.length} error(s) found.`);
+    return 1;
+  }
+
+  console.log(`✅ Configuration is valid${warnings.length ? ` (${warnings.length} warning(s))` : ''}.`);
+  return 0;
+}
+
+function listRepositoryFiles() {
+  try {
+    return execFileSync('git', ['ls-files', '-z'], { cwd: ROOT_DIR, encoding: 'utf8' })
+      .split('\0')
+      .filter(Boolean);
+  } catch (error) {
+    console.warn('⚠️  Not a git checkout, scanning the working tree instead');
+    const files = [];
+    const walk = (dir) => {
+      fs.readdirSync(path.join(ROOT_DIR, dir), { withFileTypes: true }).forEach((entry) => {
+        const relative = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!['node_modules', '.git', 'build'].includes(entry.name)) walk(relative);
+        } else {
+          files.push(relative);
+        }
+      });
+    };
+    walk('');
+    return files;
+  }
+}
+
+function listBundleFiles() {
+  if (!fs.existsSync(BUNDLE_DIR)) return [];
+  return fs.readdirSync(BUNDLE_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .map((file) => path.relative(ROOT_DIR, path.join(BUNDLE_DIR, file)));
+}
+
+/**
+ * Secret values known locally (service.json credentials, secret variables in
+ * .env), so the bundle can be checked for them verbatim
+ */
+function collectKnownSecrets() {
+  const secrets = [];
+  const serviceJson = path.join(ROOT_DIR, 'service.json');
+
+  if (fs.existsSync(serviceJson)) {
+    try {
+      const integration = JSON.parse(fs.readFileSync(serviceJson, 'utf8')).integration || {};
+      const account = integration.technicalAccount || {};
+      if (account.clientSecret) secrets.push({ name: 'service.json clientSecret', value: account.clientSecret });
+      if (integration.privateKey) {
+        // The longest base64 line of the key is enough to recognize it
+        const line = integration.privateKey.split(/\\n|\n/).filter((part) => !part.startsWith('-----'))
+          .sort((a, b) => b.length - a.length)[0];
+        if (line) secrets.push({ name: 'service.json privateKey', value: line });
+      }
+    } catch (error) {
+      console.warn('⚠️  service.json could not be parsed, skipping its values');
+    }
+  }
+
+  const env = readEnvFile(path.join(ROOT_DIR, '.env'));
+  Object.entries(env)
+    .filter(([name, value]) => /(SECRET|TOKEN|PASS|PASSWORD|KEY)/.test(name) && value.length >= 8 && !PLACEHOLDER_VALUE.test(value))
+    .forEach(([name, value]) => secrets.push({ name: `.env ${name}`, value }));
+
+  return secrets;
+}
+
+/**
+ * Scan committed files and the built bundle for secrets
+ */
+function audit() {
+  const findings = [];
+  const repositoryFiles = listRepositoryFiles();
+  const bundleFiles = listBundleFiles();
+
+  repositoryFiles
+    .filter((file) => path.basename(file) === 'service.json' || /^\.env(\.|$)/.test(path.basename(file)))
+    .forEach((file) => findings.push({ file, issue: 'credentials file is committed (it should be listed in .gitignore and removed from history)' }));
+
+  const scan = (file, { knownSecrets = [] } = {}) => {
+    const fullPath = path.join(ROOT_DIR, file);
+    if (AUDIT_SKIPPED_FILES.test(file) || !fs.existsSync(fullPath)) return;
+
+    const lines = fs.readFileSync(fullPath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      const location = `${file}:${index + 1}`;
+
+      const withNextLine = `${line}\n${lines[index + 1] || ''}`;
+
+      SECRET_PATTERNS
+        .filter(({ pattern, spansLines }) => {
+          const match = (spansLines ? withNextLine : line).match(pattern);
+          return match && match.index < line.length;
+        })
+        .forEach(({ name }) => findings.push({ file: location, issue: name }));
+
+      const assignment = line.match(/^\s*(REACT_APP_\w+)\s*=\s*(.*)$/);
+      if (assignment && CLIENT_SECRET_VARIABLES.test(assignment[1]) && !PLACEHOLDER_VALUE.test(assignment[2].trim())) {
+        findings.push({ file: location, issue: `${assignment[1]} has a value (client-side variables are public)` });
+      }
+
+      knownSecrets
+        .filter(({ value }) => line.includes(value))
+        .forEach(({ name }) => findings.push({ file: location, issue: `contains ${name}` }));
+    });
+  };
+
+  console.log(`🔍 Scanning ${repositoryFiles.length} committed file(s)...`);
+  repositoryFiles.forEach((file) => scan(file));
+
+  if (bundleFiles.length) {
+    console.log(`🔍 Scanning ${bundleFiles.length} bundle file(s) in build/static/js...`);
+    const knownSecrets = collectKnownSecrets();
+    bundleFiles.forEach((file) => scan(file, { knownSecrets }));
+  } else {
+    console.log('⏭️  No build/static/js bundle found, run `npm run build` to audit it too');
+  }
+
+  if (!findings.length) {
+    console.log('✅ No secrets found.');
+    return 0;
+  }
+
+  console.error(`\n❌ ${findings.length} finding(s):`);
+  findings.forEach(({ file, issue }) => console.error(`  ${file}: ${issue}`));
+  return 1;
+}
+
+function help() {
+  console.log(`Usage: node scripts/generate-security-keys.js <command> [options]
+
+Commands:
+  generate   Generate encryption keys and write them to .env
+               --env-file <path>   .env file to update (default: .env)
+               --rotate            Replace existing keys, keeping the old ones for decryption
+               --force             Replace existing keys
+               --print             Print the keys instead of writing them
+  validate   Check the service credentials (schema, key pair, certificate expiry) and the environment variables
+               --env-file <path>   .env file to read (default: .env)
+               --service-json <path>
+  audit      Scan committed files and build/static/js for secrets (exits 1 on findings)
+  help       Show this help`);
+  return 0;
+}
+
+const COMMANDS = { generate, validate, audit, help };
+
+function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const run = COMMANDS[command];
+
+  if (!run) {
+    console.error(`❌ Unknown command: ${command}\n`);
+    help();
+    return 1;
+  }
+
+  return run(options);
+}
+
+process.exitCode = main();
@@ -2,9 +2,6 @@
 /*jshint node:true */
 "use strict";
 
-const fs = require('fs');
-const path = require('path');
-
 // Check if @adobe/aemcs-api-client-lib is available
 let exchange;
 try {
@@ -16,17 +13,14 @@ try {
   process.exit(1);
 }
 
-const jsonfile = path.join(__dirname, "..", "service.json");
-
-// Check if service.json exists
-if (!fs.existsSync(jsonfile)) {
-  console.error(`service.json not found at ${jsonfile}`);
-  process.exit(1);
-}
+const { loadServiceCredentials } = require('../src/api/serviceCredentials');
 
 try {
-  const serviceConfig = JSON.parse(fs.readFileSync(jsonfile, 'utf8'));
+  // Same sources and precedence as the server: AEM_SERVICE_JSON_BASE64,
+  // AEM_SERVICE_JSON_FILE, AEM_CLIENT_* variables, then service.json
+  const { config: serviceConfig, source } = loadServiceCredentials();
   
+  console.log(`Using service credentials from ${source}`);
   console.log('Exchanging service credentials for access token...');
   
   // The Adobe API client library expects the complete service configuration object
@@ -44,6 +38,6 @@ try {
     process.exit(1);
   });
 } catch (error) {
-  console.error("❌ Error reading or parsing service.json:", error);
+  console.error("❌ Error loading service credentials:", error.message);
   process.exit(1);
 } 
\ No newline at end of file
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/*jshint node:true */
+"use strict";
+
+/**
+ * Pre-render every article, service and home variation into static HTML files
+ * under build/, so static hosting (see vercel.json) serves real content.
+ *
+ * Usage:
+ *   npm run build && npm run build:ssr && npm run prerender
+ *   npm run prerender -- --incremental   # only re-render changed fragments
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SHELL_FILE, injectPage } = require('../src/api/ssrRenderer');
+const { getAemAuthorization, refreshAemAuthorization } = require('../src/api/aemAuthorization');
+
+const BUILD_DIR = path.join(__dirname, '..', 'build');
+const SERVER_ENTRY = path.join(BUILD_DIR, 'server', 'entry-server.js');
+const MANIFEST_FILE = path.join(BUILD_DIR, 'prerender-manifest.json');
+const STATE_SCRIPT_ID = '__SECURBANK_QUERY_STATE__';
+
+// Slugs become directory names, so anything else is skipped
+const SAFE_SEGMENT = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const { REACT_APP_ENDPOINT } = process.env;
+
+const incremental = process.argv.includes('--incremental');
+
+function hashFragment(fragment) {
+  return crypto.createHash('sha256').update(JSON.stringify(fragment)).digest('hex');
+}
+
+/**
+ * Keep the client-rendered CRA template as shell.html, used as the template for
+ * every page and as the SPA fallback once index.html holds the home page.
+ * A fresh `npm run build` replaces index.html, so the shell is refreshed from it.
+ */
+function loadShellTemplate() {
+  const indexHtml = path.join(BUILD_DIR, 'index.html');
+  const shellHtml = path.join(BUILD_DIR, SHELL_FILE);
+  const index = fs.readFileSync(indexHtml, 'utf8');
+
+  if (!index.includes(STATE_SCRIPT_ID)) {
+    fs.writeFileSync(shellHtml, index);
+    return index;
+  }
+
+  return fs.readFileSync(shellHtml, 'utf8');
+}
+
+function loadManifest() {
+  if (!incremental || !fs.existsSync(MANIFEST_FILE)) return {};
+  return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+}
+
+async function runQuery(client, name, variables = {}) {
+  const response = await client.runPersistedQuery(`${REACT_APP_ENDPOINT}/${name}`, variables);
+  return response?.data;
+}
+
+/**
+ * Enumerate the routes to render, each with the fragment it is built from
+ * @param {object} client - AEM Headless client from the server bundle
+ * @returns {Promise<Array>} - Routes as { url, file, fragmentPath, hash }
+ */
+async function collectRoutes(client) {
+  const routes = [];
+
+  const home = (await runQuery(client, 'page-by-slug', { slug: 'home', variation: 'master' }))
+    ?.pageList?.items?.[0];
+  if (!home) {
+    throw new Error('Home page not found in the page-by-slug persisted query');
+  }
+
+  routes.push({ url: '/', file: 'index.html', fragmentPath: home._path, hash: hashFragment(home) });
+
+  for (const variation of home._variations || []) {
+    if (!SAFE_SEGMENT.test(variation)) {
+      console.warn(`⚠️  Skipping home variation with unsafe name: ${variation}`);
+      continue;
+    }
+    const page = (await runQuery(client, 'page-by-slug', { slug: 'home', variation }))
+      ?.pageList?.items?.[0];
+    routes.push({
+      url: `/?variation=${variation}`,
+      file: path.join('variations', variation, 'index.html'),
+      fragmentPath: `${home._path}#${variation}`,
+      hash: hashFragment(page),
+    });
+  }
+
+  const listings = [
+    { query: 'articles', root: 'articlePaginated', prefix: 'articles' },
+    { query: 'services', root: 'servicePaginated', prefix: 'services' },
+  ];
+
+  for (const { query, root, prefix } of listings) {
+    const fragments = ((await runQuery(client, query))?.[root]?.edges || [])
+      .map((edge) => Object.values(edge)[0]);
+
+    routes.push({
+      url: `/${prefix}`,
+      file: path.join(prefix, 'index.html'),
+      fragmentPath: `/${prefix}`,
+      hash: hashFragment(fragments),
+    });
+
+    for (const fragment of fragments) {
+      if (!fragment?.slug || !SAFE_SEGMENT.test(fragment.slug)) {
+        console.warn(`⚠️  Skipping ${prefix} fragment without a usable slug: ${fragment?._path}`);
+        continue;
+      }
+      routes.push({
+        url: `/${prefix}/${fragment.slug}`,
+        file: path.join(prefix, fragment.slug, 'index.html'),
+        fragmentPath: fragment._path,
+        hash: hashFragment(fragment),
+      });
+    }
+  }
+
+  return routes;
+}
+
+async function prerender() {
+  if (!fs.existsSync(SERVER_ENTRY)) {
+    console.error('❌ Server bundle not found. Run `npm run build && npm run build:ssr` first.');
+    process.exit(1);
+  }
+
+  const { render, aemHeadlessClient, setServerAuthorization } = require(SERVER_ENTRY);
+  // Authenticate with AEM like the /api/aem proxy
+  setServerAuthorization(getAemAuthorization, refreshAemAuthorization);
+  const template = loadShellTemplate();
+  const previous = loadManifest();
+  const manifest = {};
+
+  console.log(`Collecting routes${incremental ? ' (incremental)' : ''}...`);
+  const routes = await collectRoutes(aemHeadlessClient);
+
+  let rendered = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const route of routes) {
+    const target = path.join(BUILD_DIR, route.file);
+    const unchanged = previous[route.url]?.hash === route.hash && fs.existsSync(target);
+
+    if (unchanged) {
+      manifest[route.url] = previous[route.url];
+      skipped++;
+      continue;
+    }
+
+    try {
+      const page = await render(route.url);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, injectPage(template, page));
+
+      manifest[route.url] = {
+        file: route.file,
+        fragmentPath: route.fragmentPath,
+        hash: route.hash,
+        renderedAt: new Date().toISOString()
+      };
+      rendered++;
+      console.log(`  ✓ ${route.url} → build/${route.file}`);
+    } catch (error) {
+      failed++;
+      console.error(`  ✗ ${route.url}: ${error.message}`);
+    }
+  }
+
+  // Remove pages whose fragment no longer exists
+  Object.entries(previous)
+    .filter(([url]) => !manifest[url])
+    .forEach(([url, { file }]) => {
+      const target = path.join(BUILD_DIR, file);
+      if (fs.existsSync(target)) {
+        fs.unlinkSync(target);
+        console.log(`  - ${url} removed`);
+      }
+    });
+
+  fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+  console.log(`✅ Pre-rendered ${rendered} page(s), ${skipped} unchanged, ${failed} failed.`);
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+prerender().catch((error) => {
+  console.error('❌ Pre-rendering failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,21 @@
+/*jshint node:true */
+"use strict";
+
+const path = require('path');
+
+/**
+ * Webpack loader for images and fonts imported by the server bundle.
+ * Instead of emitting the file again, it resolves to the hashed URL that the
+ * client build recorded in build/asset-manifest.json, so server-rendered markup
+ * matches what the browser bundle renders during hydration.
+ */
+module.exports = function assetManifestLoader() {
+  const name = `static/media/${path.basename(this.resourcePath)}`;
+
+  return `
+const manifest = __non_webpack_require__(require("path").join(__dirname, "..", "asset-manifest.json"));
+module.exports = manifest.files[${JSON.stringify(name)}] || ${JSON.stringify(`/${name}`)};
+`;
+};
+
+module.exports.raw = true;
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/*jshint node:true */
+"use strict";
+
+/**
+ * Verify the hash chain of audit log files offline.
+ *
+ * Usage:
+ *   npm run audit:verify                    AUDIT_LOG_FILE (or logs/audit.log) and its rotated files
+ *   npm run audit:verify -- <file> [<file>...]   Files in chain order, oldest first
+ *
+ * Set AUDIT_LOG_CHAIN_KEY to the key the server wrote with, if any. Exits 1 when
+ * an entry was changed, removed or inserted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { verifyChain } = require('../src/api/auditLog/hashChain');
+const { getLogFiles } = require('../src/api/auditLog/fileSink');
+
+const DEFAULT_FILE_PATH = path.join(process.cwd(), 'logs', 'audit.log');
+
+function readEntries(files) {
+  const entries = [];
+  files.forEach((file) => {
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`${file}:${index + 1} is not a JSON entry`);
+      }
+    });
+  });
+  return entries;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const files = args.length
+    ? args
+    : getLogFiles(process.env.AUDIT_LOG_FILE || DEFAULT_FILE_PATH, Number(process.env.AUDIT_LOG_MAX_FILES) || undefined)
+      .filter((file) => fs.existsSync(file))
+      .reverse();
+
+  if (!files.length) {
+    console.error('❌ No audit log files found');
+    return 1;
+  }
+
+  let entries;
+  try {
+    entries = readEntries(files);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  const result = verifyChain(entries, { key: process.env.AUDIT_LOG_CHAIN_KEY || undefined });
+  console.log(`🔗 ${result.count} entries in ${files.map((file) => path.relative(process.cwd(), file)).join(', ')}`);
+
+  if (entries.length && entries[0].seq !== 1) {
+    console.log(`   Chain starts at entry ${entries[0].seq}: earlier files were rotated away`);
+  }
+
+  if (result.valid) {
+    console.log('✅ Hash chain intact.');
+    return 0;
+  }
+
+  console.error(`\n❌ ${result.errors.length} problem(s):`);
+  result.errors.forEach(({ seq, message }) => console.error(`  entry ${seq}: ${message}`));
+  return 1;
+}
+
+process.exitCode = main();
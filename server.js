@@ -1,57 +1,50 @@
 const express = require('express');
-const { createProxyMiddleware } = require('http-proxy-middleware');
 const path = require('path');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 
 const app = express();
 
-// Security middleware - must be first
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'"],
-      scriptSrc: ["'self'"],
-      imgSrc: ["'self'", "data:", "https:"],
-      connectSrc: ["'self'", "https://ims-na1.adobelogin.com", "https://*.adobeaemcloud.com"],
-      fontSrc: ["'self'"],
-      objectSrc: ["'none'"],
-      mediaSrc: ["'self'"],
-      frameSrc: ["'none'"],
-    },
-  },
-  crossOriginEmbedderPolicy: false,
-  hsts: {
-    maxAge: 31536000,
-    includeSubDomains: true,
-    preload: true
-  }
-}));
-
-// General rate limiting
-const generalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use(generalLimiter);
+// Origins, rate limits and helmet/CSP settings from the environment; invalid
+// values stop the server here rather than weakening it
+const { getServerSecurityConfig } = require('./src/api/serverSecurityConfig');
+let serverSecurity;
+try {
+  serverSecurity = getServerSecurityConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Security middleware - must be first. The CSP carries a per-response nonce
+// (see src/api/contentSecurityPolicy.js) and reports to /api/csp-report
+const { reportingEndpoints } = require('./src/api/contentSecurityPolicy');
+app.use(helmet(serverSecurity.helmet));
+app.use(reportingEndpoints);
 
 // Trust proxy (important for rate limiting with reverse proxies)
 app.set('trust proxy', 1);
 
+// Okta access tokens (see src/api/oktaAuth) are verified up front when present,
+// so the rate limiter counts signed-in callers by user rather than by IP
+const { getOktaAuth } = require('./src/api/oktaAuth');
+const okta = getOktaAuth();
+app.use('/api', okta.authenticate({ optional: true }));
+
+// Rate limiting with a token bucket per route policy (static files, page loads,
+// API, AEM proxy) and client, so a page load's chunks and images don't use up
+// the API budget
+const { createRateLimiter } = require('./src/api/rateLimit');
+app.use(createRateLimiter());
+
+// Correlation ID per request, recorded in audit entries and returned as X-Request-Id
+const { correlationId } = require('./src/api/auditLog');
+app.use(correlationId);
+
 // Parse JSON bodies
 app.use(express.json({ limit: '10mb' }));
 
-// Centralised allowlist — used for both CORS and CSRF origin validation.
-const ALLOWED_ORIGINS = new Set([
-  'http://localhost:3000',
-  'http://localhost:3001',
-  'https://securbankdemo.vercel.app',
-  'https://publish-p18253-e46622.adobeaemcloud.com',
-]);
+// Centralised allowlist (ALLOWED_ORIGINS) — used for both CORS and CSRF origin validation.
+const ALLOWED_ORIGINS = serverSecurity.allowedOrigins;
 
 // Enhanced CORS configuration
 app.use((req, res, next) => {
@@ -65,11 +58,11 @@ app.use((req, res, next) => {
   }
 
   res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-CSRF-Token');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-CSRF-Token, X-Request-Id');
+  res.header('Access-Control-Expose-Headers', 'X-Request-Id');
 
-  // Security headers
+  // Security headers (framing is restricted by the CSP frame-ancestors directive)
   res.header('X-Content-Type-Options', 'nosniff');
-  res.header('X-Frame-Options', 'DENY');
   res.header('X-XSS-Protection', '1; mode=block');
 
   if (req.method === 'OPTIONS') {
@@ -81,10 +74,10 @@ app.use((req, res, next) => {
 /**
  * CSRF origin validation middleware.
  * Checks the Origin (or Referer as fallback) header against the allow-list.
- * Applied to every state-mutating API route (POST, DELETE, PATCH, PUT).
+ * Applied to every API route, before the CSRF token check.
  */
 function validateCsrfOrigin(req, res, next) {
-  // Safe methods and same-origin requests (no Origin header) are allowed through.
+  // Requests without an Origin header are left to the CSRF token check below.
   const origin = req.headers.origin;
   if (!origin) return next();
 
@@ -96,42 +89,76 @@ function validateCsrfOrigin(req, res, next) {
   next();
 }
 
-app.use('/api/auth', validateCsrfOrigin);
+// Double-submit CSRF tokens (see src/api/csrf.js): GET /api/csrf-token issues
+// one, every POST/PUT/PATCH/DELETE under /api must send it back in X-CSRF-Token.
+// Browsers send CSP reports without it, and AEM webhooks authenticate with a secret.
+const { createCsrfProtection } = require('./src/api/csrf');
+const csrfProtection = createCsrfProtection({
+  ...serverSecurity.csrf,
+  exemptPaths: ['/csp-report', '/content-changed']
+});
+
+app.use('/api', validateCsrfOrigin);
+app.get('/api/csrf-token', csrfProtection.issueToken);
+app.use('/api', csrfProtection.verifyToken);
+
+// Auth routes for service token management. Generating a token, clearing the
+// token cache and reading token status require an Okta access token of an admin
+// (OKTA_ADMIN_GROUP, see src/api/oktaAuth); tokens never leave the server.
+const requireAdmin = [okta.authenticate(), okta.requireGroups(serverSecurity.okta.adminGroup)];
+app.post('/api/auth/service-token', requireAdmin);
+app.delete('/api/auth/service-token', requireAdmin);
+app.get('/api/auth/service-token/status', requireAdmin);
 
-// Auth routes for service token management
 const authRoutes = require('./src/api/routes/auth');
 app.use('/api/auth', authRoutes);
 
-// Serve static files from the React app
-app.use(express.static(path.join(__dirname, 'build')));
-
-// Proxy other API requests to your backend (if needed)
-app.use('/api/aem', createProxyMiddleware({
-  target: 'http://localhost:3000',
-  changeOrigin: true,
-  onProxyRes: function(proxyRes, req) {
-    const origin = req.headers.origin;
-    // Only set ACAO for allow-listed origins — never reflect an arbitrary origin
-    // or fall back to '*', which would bypass the Same-Origin Policy.
-    if (origin && ALLOWED_ORIGINS.has(origin)) {
-      proxyRes.headers['Access-Control-Allow-Origin'] = origin;
-      proxyRes.headers['Access-Control-Allow-Credentials'] = 'true';
-    } else {
-      delete proxyRes.headers['access-control-allow-origin'];
-      delete proxyRes.headers['access-control-allow-credentials'];
-    }
-    proxyRes.headers['Access-Control-Allow-Methods'] = 'GET, POST, DELETE, OPTIONS';
-    proxyRes.headers['Access-Control-Allow-Headers'] = 'Origin, X-Requested-With, Content-Type, Accept, Authorization';
-  }
-}));
-
-// For any other request, send back the React app
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'build', 'index.html'));
-});
+// CSP violation reports, aggregated
+const { createCspReportRouter } = require('./src/api/routes/cspReport');
+app.use('/api/csp-report', createCspReportRouter());
+
+// Content change webhook from AEM, dropping the caches derived from content
+const { createContentEventsRouter } = require('./src/api/routes/contentEvents');
+app.use('/api/content-changed', createContentEventsRouter());
+
+// Generated sitemap.xml and robots.txt (must precede the static build/robots.txt)
+const seoRoutes = require('./src/api/routes/seo');
+app.use(seoRoutes);
+
+const BUILD_DIR = path.join(__dirname, 'build');
+
+// Serve static files from the React app. index.html is left to the catch-all
+// route below so it can be server-rendered.
+app.use(express.static(BUILD_DIR, { index: false }));
+
+// AEM GraphQL proxy: authenticates with AEM server-side so credentials never
+// reach the browser
+const { createAemProxy } = require('./src/api/routes/aem');
+app.use('/api/aem', createAemProxy({ allowedOrigins: ALLOWED_ORIGINS }));
+
+// For any other request, send back the React app, server-rendered with
+// persisted query data when SSR_ENABLED=true (requires `npm run build:ssr`)
+const { createSsrHandler, createShellHandler } = require('./src/api/ssrRenderer');
+const { getAemAuthorization, refreshAemAuthorization } = require('./src/api/aemAuthorization');
+if (process.env.SSR_ENABLED === 'true') {
+  app.get('*', createSsrHandler({
+    buildDir: BUILD_DIR,
+    getAuthorization: getAemAuthorization,
+    refreshAuthorization: refreshAemAuthorization
+  }));
+} else {
+  app.get('*', createShellHandler({ buildDir: BUILD_DIR }));
+}
 
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
+  const { contentSecurityPolicy, strictTransportSecurity } = serverSecurity.helmet;
+  const features = [
+    'Rate limiting',
+    'CORS',
+    `CSP${contentSecurityPolicy.reportOnly ? ' (report-only)' : ''}`,
+    ...(strictTransportSecurity ? ['HSTS'] : [])
+  ];
   console.log(`🔒 Secure server is running on port ${PORT}`);
-  console.log(`🛡️  Security features enabled: Rate limiting, CORS, CSP, HSTS`);
+  console.log(`🛡️  Security features enabled: ${features.join(', ')}`);
 }); 
\ No newline at end of file
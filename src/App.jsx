@@ -1,5 +1,12 @@
 import React, { useCallback } from "react";
-import { BrowserRouter as Router, Route, Routes, useNavigate } from "react-router-dom";
+import {
+  BrowserRouter as Router,
+  Outlet,
+  Route,
+  Routes,
+  useLocation,
+  useNavigate,
+} from "react-router-dom";
 import { Security, LoginCallback } from "@okta/okta-react";
 import { Helmet, HelmetProvider } from "react-helmet-async";
 import Footer from "./components/structure/Footer.jsx";
@@ -9,17 +16,40 @@ import Articles from "./pages/Articles.jsx";
 import Services from "./pages/Services.jsx";
 import ArticleDetail from "./pages/ArticleDetail.jsx";
 import NotFound from "./pages/NotFound.jsx";
+import Account from "./pages/Account.jsx";
+import AccountProfile from "./pages/AccountProfile.jsx";
+import AccountPreferences from "./pages/AccountPreferences.jsx";
+import AccountSaved from "./pages/AccountSaved.jsx";
+import AccountServiceStatus from "./pages/AccountServiceStatus.jsx";
 import TestGraphQL from "./components/TestGraphQL.jsx";
+import ErrorBoundary from "./components/ErrorBoundary.jsx";
 import { oktaAuth } from "./auth/oktaConfig.js";
+import SecureRoute from "./auth/SecureRoute.jsx";
+import { ADMIN_GROUP } from "./auth/roles.js";
+import { useEditorBridge } from "./api";
 import "./App.scss";
 
 // Universal Editor needs to connect to the author instance, not publish
 const { REACT_APP_HOST_URI, REACT_APP_USE_PROXY } = process.env;
 const aemConnectionURL = REACT_APP_USE_PROXY === "true" ? "/" : REACT_APP_HOST_URI;
 
-function AppRoutes() {
+// Wraps every route in an error boundary that resets on navigation
+function RouteErrorBoundary() {
+  const location = useLocation();
+
+  return (
+    <ErrorBoundary key={location.pathname}>
+      <Outlet />
+    </ErrorBoundary>
+  );
+}
+
+export function AppRoutes() {
   const navigate = useNavigate();
 
+  // Show Universal Editor changes straight away, refetching only the edited fragment
+  useEditorBridge();
+
   const restoreOriginalUri = useCallback(
     async (_oktaAuth, originalUri) => {
       navigate(originalUri || "/", { replace: true });
@@ -43,14 +73,32 @@ function AppRoutes() {
         <Header />
         <main>
           <Routes>
-            <Route path="/" element={<Home />} />
-            <Route path="/articles" element={<Articles />} />
-            <Route path="/articles/:slug" element={<ArticleDetail />} />
-            <Route path="/services" element={<Services />} />
-            <Route path="/services/:slug" element={<Services />} />
-            <Route path="/test-graphql" element={<TestGraphQL />} />
-            <Route path="/login/callback" element={<LoginCallback />} />
-            <Route path="/*" element={<NotFound />} />
+            <Route element={<RouteErrorBoundary />}>
+              <Route path="/" element={<Home />} />
+              <Route path="/articles" element={<Articles />} />
+              <Route path="/articles/:slug" element={<ArticleDetail />} />
+              <Route path="/services" element={<Services />} />
+              <Route path="/services/:slug" element={<Services />} />
+              <Route path="/test-graphql" element={<TestGraphQL />} />
+              <Route path="/login/callback" element={<LoginCallback />} />
+              {/* Customer area, for signed-in users only */}
+              <Route path="/account" element={<SecureRoute />}>
+                <Route element={<Account />}>
+                  <Route index element={<AccountProfile />} />
+                  <Route path="preferences" element={<AccountPreferences />} />
+                  <Route path="saved" element={<AccountSaved />} />
+                  <Route
+                    path="service-status"
+                    element={
+                      <SecureRoute groups={[ADMIN_GROUP]}>
+                        <AccountServiceStatus />
+                      </SecureRoute>
+                    }
+                  />
+                </Route>
+              </Route>
+              <Route path="/*" element={<NotFound />} />
+            </Route>
           </Routes>
         </main>
         <Footer />
@@ -0,0 +1,20 @@
+/*
+Copyright 2022 Adobe
+All Rights Reserved.
+
+NOTICE: Adobe permits you to use, modify, and distribute this file in
+accordance with the terms of the Adobe license agreement accompanying
+it.
+*/
+
+import { createContext } from "react";
+
+import { defaultQueryCache } from "./queryCache";
+
+/**
+ * Query cache read by the persisted-query hooks. Defaults to the shared browser
+ * cache; server-side rendering provides a fresh cache per request.
+ */
+const QueryCacheContext = createContext(defaultQueryCache);
+
+export default QueryCacheContext;
@@ -0,0 +1,68 @@
+const { obtainServiceToken, clearServiceTokens } = require('./serviceTokenManager');
+
+/**
+ * Authentication method for AEM requests, resolved on the server only. There
+ * is no REACT_APP_* fallback: client-side variables never configure credentials.
+ */
+const AUTH_METHOD = process.env.AEM_AUTH_METHOD;
+
+/**
+ * Build the Authorization header for the configured authentication method.
+ * Used by the /api/aem proxy, server-side rendering, prerendering and the
+ * sitemap, so every server-side AEM request authenticates the same way.
+ * @returns {Promise<string|null>} - Header value, or null when no auth is needed
+ */
+async function getAemAuthorization() {
+  switch (AUTH_METHOD) {
+    case 'basic': {
+      const user = process.env.AEM_BASIC_AUTH_USER;
+      const pass = process.env.AEM_BASIC_AUTH_PASS;
+      if (!user || !pass) {
+        throw new Error('AEM_BASIC_AUTH_USER and AEM_BASIC_AUTH_PASS must be set for AEM_AUTH_METHOD=basic');
+      }
+      return `Basic ${Buffer.from(`${user}:${pass}`, 'utf8').toString('base64')}`;
+    }
+
+    case 'dev-token': {
+      const token = process.env.AEM_DEV_TOKEN;
+      if (!token) {
+        throw new Error('AEM_DEV_TOKEN must be set for AEM_AUTH_METHOD=dev-token');
+      }
+      return `Bearer ${token}`;
+    }
+
+    case 'service-token': {
+      const { token } = await obtainServiceToken();
+      return `Bearer ${token}`;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Authorization header to retry with after AEM rejected a request (401/403).
+ * A service token can be revoked before it expires, so the cached one is
+ * dropped and a new one exchanged, unless a concurrent request already did.
+ * @param {string|null} rejectedAuthorization - Header value AEM rejected
+ * @returns {Promise<string|null>} - Header value for the retry
+ */
+async function refreshAemAuthorization(rejectedAuthorization) {
+  if (AUTH_METHOD !== 'service-token') {
+    return getAemAuthorization();
+  }
+
+  const current = await getAemAuthorization();
+  if (current !== rejectedAuthorization) {
+    return current;
+  }
+
+  await clearServiceTokens();
+  return getAemAuthorization();
+}
+
+module.exports = {
+  getAemAuthorization,
+  refreshAemAuthorization
+};
@@ -9,31 +9,86 @@ it.
 
 // Use the AEM Headless SDK to make the GraphQL requests
 import AEMHeadless from "@adobe/aem-headless-client-js";
-import { getAuthConfig } from "./authService";
+import { csrfFetch } from "./csrfClient";
 
 // environment variable for configuring the headless client
 const {
   REACT_APP_HOST_URI,
   REACT_APP_GRAPHQL_ENDPOINT,
-  REACT_APP_USE_PROXY,
+  REACT_APP_AEM_PROXY_URL,
 } = process.env;
 
-// In a production application the serviceURL should be set to the production AEM Publish environment
-// In development the serviceURL can be set to '/' which will be a relative proxy is used (see ../authMethods.js) to avoid CORS issues
+// The browser only talks to the server-side AEM proxy (see src/api/routes/aem.js),
+// which authenticates with AEM so no credentials are bundled with the app.
+// REACT_APP_AEM_PROXY_URL can point elsewhere, e.g. straight at a Publish
+// environment for static hosting without the Express server; those requests
+// are not authenticated, service tokens never leave the server.
 
-const serviceURL = REACT_APP_USE_PROXY === "true" ? "/" : REACT_APP_HOST_URI;
+// Server-side rendering connects to the AEM host directly.
 
-// Get authorization based on environment variables
-// authorization is not needed when connecting to Publish environments
-const setAuthorization = () => {
-  return getAuthConfig();
-};
+const IS_SERVER = typeof window === "undefined";
+const serviceURL = IS_SERVER
+  ? REACT_APP_HOST_URI
+  : REACT_APP_AEM_PROXY_URL || "/api/aem";
 
-// Initialize the AEM Headless Client and export it for other files to use
+// Resolve the Authorization header of server-side requests, see setServerAuthorization
+let getServerAuthorization = async () => null;
+let refreshServerAuthorization = null;
+
+// Responses that mean the token expired or was revoked
+const AUTH_ERROR_STATUSES = [401, 403];
+
+/**
+ * Authenticate the server's requests to AEM the way the /api/aem proxy does.
+ * Called by the SSR handler and the prerender script with getAemAuthorization
+ * and refreshAemAuthorization (src/api/aemAuthorization.js), which are server
+ * code and not bundled here.
+ *
+ * @param {Function} getAuthorization resolves the Authorization header value, or null
+ * @param {Function} [refreshAuthorization] resolves a new header value after
+ * AEM rejected the given one; requests rejected with 401/403 are retried once
+ */
+export function setServerAuthorization(getAuthorization, refreshAuthorization) {
+  getServerAuthorization = getAuthorization;
+  refreshServerAuthorization = refreshAuthorization || null;
+}
+
+function fetchWithAuthorization(url, options, authorization) {
+  return fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: authorization },
+  });
+}
+
+async function serverFetch(url, options = {}) {
+  const authorization = await getServerAuthorization();
+  if (!authorization) return fetch(url, options);
+
+  const response = await fetchWithAuthorization(url, options, authorization);
+  if (!refreshServerAuthorization || !AUTH_ERROR_STATUSES.includes(response.status)) {
+    return response;
+  }
+
+  const refreshed = await refreshServerAuthorization(authorization);
+  if (!refreshed) return response;
+  return fetchWithAuthorization(url, options, refreshed);
+}
+
+/**
+ * Fetch used by the client. The SDK only finds `fetch` on `window`, so the
+ * server passes Node's; through the proxy, POST queries need the server's
+ * CSRF token.
+ */
+function getClientFetch() {
+  if (IS_SERVER) return serverFetch;
+  return serviceURL.startsWith("/") ? csrfFetch : undefined;
+}
+
+// Initialize the AEM Headless Client and export it for other files to use.
 const aemHeadlessClient = new AEMHeadless({
   serviceURL: serviceURL,
   endpoint: REACT_APP_GRAPHQL_ENDPOINT,
-  auth: setAuthorization(),
+  fetch: getClientFetch(),
 });
 
 // Prefix URLs with AEM Host
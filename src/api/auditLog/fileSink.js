@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * Rotated file names, newest first: audit.log, audit.log.1, ... audit.log.<maxFiles>
+ * @param {string} filePath - Current log file
+ * @param {number} maxFiles - Rotated files kept
+ * @returns {Array<string>}
+ */
+function getLogFiles(filePath, maxFiles = DEFAULT_MAX_FILES) {
+  return [filePath, ...Array.from({ length: maxFiles }, (_, index) => `${filePath}.${index + 1}`)];
+}
+
+function readLastLine(file) {
+  let contents;
+  try {
+    contents = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  const lines = contents.split('\n').filter(Boolean);
+  return lines.length ? lines[lines.length - 1] : null;
+}
+
+/**
+ * Audit sink appending JSON lines to a file, rotated by size. Writes are
+ * synchronous so entries land in chain order and survive a crash right after
+ * the request. One writer per file: give each process its own AUDIT_LOG_FILE.
+ *
+ * @param {object} options
+ * @param {string} options.filePath - Log file
+ * @param {number} [options.maxBytes] - Rotate once the file reaches this size
+ * @param {number} [options.maxFiles] - Rotated files kept, the oldest is deleted
+ * @returns {object} - Audit sink
+ */
+function createFileSink({ filePath, maxBytes = DEFAULT_MAX_BYTES, maxFiles = DEFAULT_MAX_FILES }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  let size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+
+  function rotate() {
+    const files = getLogFiles(filePath, maxFiles);
+    fs.rmSync(files[files.length - 1], { force: true });
+    for (let index = files.length - 2; index >= 0; index -= 1) {
+      if (fs.existsSync(files[index])) {
+        fs.renameSync(files[index], files[index + 1]);
+      }
+    }
+    size = 0;
+  }
+
+  return {
+    name: 'file',
+
+    /**
+     * Last entry written by an earlier process, so its chain can be continued
+     * @returns {object|null}
+     */
+    lastEntry() {
+      for (const file of getLogFiles(filePath, maxFiles)) {
+        const line = readLastLine(file);
+        if (line) {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            console.warn(`Audit log ${file} ends with an unreadable entry, starting a new chain`);
+            return null;
+          }
+        }
+      }
+      return null;
+    },
+
+    write(entry) {
+      const line = `${JSON.stringify(entry)}\n`;
+      if (size > 0 && size + Buffer.byteLength(line) > maxBytes) {
+        rotate();
+      }
+      fs.appendFileSync(filePath, line, { mode: 0o600 });
+      size += Buffer.byteLength(line);
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createFileSink,
+  getLogFiles
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// prevHash of the first entry of a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Serialize with sorted keys, so the hash does not depend on property order
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of an entry, covering every field but `hash` itself. With a key the hash
+ * is an HMAC, so the chain cannot be recomputed by someone editing the file.
+ * @param {object} entry - Audit entry including seq and prevHash
+ * @param {string} [key] - AUDIT_LOG_CHAIN_KEY
+ * @returns {string} - Hex digest
+ */
+function hashEntry(entry, key) {
+  const { hash, ...fields } = entry;
+  const digest = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+  return digest.update(canonicalJson(fields)).digest('hex');
+}
+
+/**
+ * Chain state for one writer: links each entry to the previous one through
+ * seq, prevHash and hash
+ * @param {object} [options]
+ * @param {string} [options.key] - HMAC key
+ * @param {object} [options.last] - { seq, hash } of the last entry written, to resume a chain
+ * @returns {object} - { link(entry) }
+ */
+function createHashChain({ key, last } = {}) {
+  let seq = last ? last.seq : 0;
+  let prevHash = last ? last.hash : GENESIS_HASH;
+
+  return {
+    link(entry) {
+      seq += 1;
+      const linked = { ...entry, seq, prevHash };
+      linked.hash = hashEntry(linked, key);
+      prevHash = linked.hash;
+      return linked;
+    }
+  };
+}
+
+/**
+ * Verify a sequence of entries, e.g. the lines of audit log files read oldest
+ * first. The first entry may continue an earlier chain (rotated away files).
+ * @param {Array<object>} entries - Parsed entries
+ * @param {object} [options]
+ * @param {string} [options.key] - HMAC key used when writing
+ * @returns {object} - { valid, count, errors: [{ index, seq, message }] }
+ */
+function verifyChain(entries, { key } = {}) {
+  const errors = [];
+  let previous = null;
+
+  entries.forEach((entry, index) => {
+    const fail = (message) => errors.push({ index, seq: entry.seq, message });
+
+    if (hashEntry(entry, key) !== entry.hash) {
+      fail('hash does not match the entry contents');
+    }
+    if (previous) {
+      if (entry.prevHash !== previous.hash) fail(`prevHash does not match the hash of entry ${previous.seq}`);
+      if (entry.seq !== previous.seq + 1) fail(`sequence gap after entry ${previous.seq}`);
+    } else if (entry.seq === 1 && entry.prevHash !== GENESIS_HASH) {
+      fail('first entry of the chain has a non-genesis prevHash');
+    }
+    previous = entry;
+  });
+
+  return { valid: errors.length === 0, count: entries.length, errors };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalJson,
+  hashEntry,
+  createHashChain,
+  verifyChain
+};
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+const { GENESIS_HASH, createHashChain, hashEntry, verifyChain } = require("./hashChain");
+
+const writeChain = (count, options) => {
+  const chain = createHashChain(options);
+  return Array.from({ length: count }, (_, index) =>
+    chain.link({ operation: "token_generated", index })
+  );
+};
+
+describe("hash chain", () => {
+  it("links entries through seq and prevHash, starting at the genesis hash", () => {
+    const entries = writeChain(3);
+
+    expect(entries.map((entry) => entry.seq)).toEqual([1, 2, 3]);
+    expect(entries[0].prevHash).toBe(GENESIS_HASH);
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    expect(entries[2].prevHash).toBe(entries[1].hash);
+    expect(verifyChain(entries)).toEqual({ valid: true, count: 3, errors: [] });
+  });
+
+  it("does not depend on property order", () => {
+    const [entry] = writeChain(1);
+    const { hash, ...fields } = entry;
+    const reordered = Object.fromEntries(Object.entries(fields).reverse());
+
+    expect(hashEntry({ ...reordered, hash }, undefined)).toBe(hash);
+  });
+
+  it("detects an edited entry", () => {
+    const entries = writeChain(3);
+    entries[1] = { ...entries[1], operation: "cache_cleared" };
+
+    expect(verifyChain(entries).errors).toEqual([
+      { index: 1, seq: 2, message: "hash does not match the entry contents" },
+    ]);
+  });
+
+  it("detects an edited entry whose hash was recomputed", () => {
+    const entries = writeChain(3);
+    const edited = { ...entries[1], operation: "cache_cleared" };
+    entries[1] = { ...edited, hash: hashEntry(edited) };
+
+    expect(verifyChain(entries).errors).toEqual([
+      { index: 2, seq: 3, message: "prevHash does not match the hash of entry 2" },
+    ]);
+  });
+
+  it("detects a deleted entry", () => {
+    const entries = writeChain(3);
+    entries.splice(1, 1);
+
+    expect(verifyChain(entries).errors).toEqual([
+      { index: 1, seq: 3, message: "prevHash does not match the hash of entry 1" },
+      { index: 1, seq: 3, message: "sequence gap after entry 1" },
+    ]);
+  });
+
+  it("detects a first entry moved away from the start of the chain", () => {
+    const [, second] = writeChain(2);
+
+    expect(verifyChain([{ ...second, seq: 1, hash: hashEntry({ ...second, seq: 1 }) }]).valid).toBe(false);
+  });
+
+  it("accepts a chain that continues rotated away entries", () => {
+    expect(verifyChain(writeChain(5).slice(2)).valid).toBe(true);
+  });
+
+  it("resumes from the last entry written", () => {
+    const first = writeChain(2);
+    const resumed = writeChain(2, { last: first[1] });
+
+    expect(resumed.map((entry) => entry.seq)).toEqual([3, 4]);
+    expect(verifyChain([...first, ...resumed]).valid).toBe(true);
+  });
+
+  describe("with a chain key", () => {
+    it("hashes entries with an HMAC", () => {
+      const entries = writeChain(2, { key: "chain-key" });
+
+      expect(verifyChain(entries, { key: "chain-key" }).valid).toBe(true);
+      expect(verifyChain(entries).valid).toBe(false);
+      expect(verifyChain(entries, { key: "other-key" }).valid).toBe(false);
+    });
+
+    it("rejects entries rehashed without the key", () => {
+      const entries = writeChain(2, { key: "chain-key" });
+      const edited = { ...entries[1], operation: "cache_cleared" };
+      entries[1] = { ...edited, hash: hashEntry(edited) };
+
+      expect(verifyChain(entries, { key: "chain-key" }).errors).toEqual([
+        { index: 1, seq: 2, message: "hash does not match the entry contents" },
+      ]);
+    });
+  });
+});
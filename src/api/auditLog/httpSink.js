@@ -0,0 +1,107 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_QUEUED = 5000;
+
+/**
+ * Audit sink posting batches of entries as a JSON array to a collector (a SIEM
+ * HTTP input, a log drain, ...). Batches are sent when full or every
+ * flushIntervalMs; a failed batch is put back and retried with the next one.
+ *
+ * @param {object} options
+ * @param {string} options.url - http:// or https:// endpoint
+ * @param {string} [options.token] - Sent as a Bearer token
+ * @param {number} [options.batchSize]
+ * @param {number} [options.flushIntervalMs]
+ * @returns {object} - Audit sink
+ */
+function createHttpSink({
+  url,
+  token,
+  batchSize = DEFAULT_BATCH_SIZE,
+  flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS
+}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : target.protocol === 'http:' ? http : null;
+  if (!transport) {
+    throw new Error(`Unsupported audit HTTP URL ${url} (expected http:// or https://)`);
+  }
+
+  let queue = [];
+  let sending = null;
+
+  function post(batch) {
+    return new Promise((resolve, reject) => {
+      const body = JSON.stringify(batch);
+      const request = transport.request(target, {
+        method: 'POST',
+        timeout: DEFAULT_TIMEOUT_MS,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        }
+      }, (response) => {
+        response.resume();
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`Audit collector responded with ${response.statusCode}`));
+          }
+        });
+      });
+      request.on('timeout', () => request.destroy(new Error('Audit collector timed out')));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  async function flush() {
+    if (sending || !queue.length) return sending;
+
+    const batch = queue.slice(0, batchSize);
+    queue = queue.slice(batch.length);
+    sending = post(batch)
+      .catch((error) => {
+        console.error('Audit HTTP sink error:', error.message);
+        queue = [...batch, ...queue].slice(-MAX_QUEUED);
+      })
+      .finally(() => {
+        sending = null;
+      });
+    return sending;
+  }
+
+  const timer = setInterval(flush, flushIntervalMs);
+  timer.unref();
+
+  return {
+    name: 'http',
+
+    write(entry) {
+      queue.push(entry);
+      if (queue.length > MAX_QUEUED) {
+        queue.shift();
+      }
+      if (queue.length >= batchSize) {
+        flush();
+      }
+    },
+
+    flush,
+
+    async close() {
+      clearInterval(timer);
+      await sending;
+      await flush();
+    }
+  };
+}
+
+module.exports = {
+  createHttpSink
+};
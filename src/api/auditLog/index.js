@@ -0,0 +1,185 @@
+const path = require('path');
+const { generateSecureId } = require('../securityConfig');
+const { redact } = require('./redact');
+const { createHashChain, verifyChain } = require('./hashChain');
+const { createStdoutSink } = require('./stdoutSink');
+const { createFileSink, getLogFiles } = require('./fileSink');
+const { createSyslogSink } = require('./syslogSink');
+const { createHttpSink } = require('./httpSink');
+
+/**
+ * Audit sinks share one interface:
+ *   name, write(entry) (must not throw on delivery failures), close()
+ *
+ * Every entry is redacted, then linked into a hash chain (seq, prevHash, hash)
+ * before it is handed to the sinks, so all sinks receive identical entries.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEFAULT_FILE_PATH = path.join(process.cwd(), 'logs', 'audit.log');
+
+// Incoming X-Request-Id values accepted as correlation IDs
+const CORRELATION_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+function createSinks(env, names) {
+  return names.map((name) => {
+    switch (name) {
+      case 'stdout':
+        return createStdoutSink();
+
+      case 'file':
+        return createFileSink({
+          filePath: env.AUDIT_LOG_FILE || DEFAULT_FILE_PATH,
+          maxBytes: Number(env.AUDIT_LOG_MAX_BYTES) || undefined,
+          maxFiles: Number(env.AUDIT_LOG_MAX_FILES) || undefined
+        });
+
+      case 'syslog':
+        if (!env.AUDIT_LOG_SYSLOG_URL) {
+          throw new Error('AUDIT_LOG_SINKS=syslog requires AUDIT_LOG_SYSLOG_URL');
+        }
+        return createSyslogSink({ url: env.AUDIT_LOG_SYSLOG_URL });
+
+      case 'http':
+        if (!env.AUDIT_LOG_HTTP_URL) {
+          throw new Error('AUDIT_LOG_SINKS=http requires AUDIT_LOG_HTTP_URL');
+        }
+        return createHttpSink({ url: env.AUDIT_LOG_HTTP_URL, token: env.AUDIT_LOG_HTTP_TOKEN || undefined });
+
+      default:
+        throw new Error(`Unknown audit sink "${name}" (expected stdout, file, syslog or http)`);
+    }
+  });
+}
+
+/**
+ * Create the audit logger configured by the environment
+ *   ENABLE_AUDIT_LOGGING=true (default) | false
+ *   AUDIT_LOG_LEVEL=debug | info (default) | warn | error
+ *   AUDIT_LOG_SINKS - comma-separated stdout (default), file, syslog, http
+ *   AUDIT_LOG_FILE, AUDIT_LOG_MAX_BYTES, AUDIT_LOG_MAX_FILES - file sink
+ *   AUDIT_LOG_SYSLOG_URL - syslog sink, udp://, tcp:// or tls://
+ *   AUDIT_LOG_HTTP_URL, AUDIT_LOG_HTTP_TOKEN - HTTP sink
+ *   AUDIT_LOG_CHAIN_KEY - HMAC key for the hash chain
+ * @param {object} [env] - Environment variables
+ * @param {object} [options]
+ * @param {Array} [options.sinks] - Sinks to use instead of AUDIT_LOG_SINKS
+ * @returns {object} - Audit logger
+ */
+function createAuditLogger(env = process.env, { sinks } = {}) {
+  const enabled = env.ENABLE_AUDIT_LOGGING !== 'false';
+  const level = (env.AUDIT_LOG_LEVEL || 'info').toLowerCase();
+
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown AUDIT_LOG_LEVEL "${level}" (expected debug, info, warn or error)`);
+  }
+
+  const sinkNames = (env.AUDIT_LOG_SINKS || 'stdout').split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+  const activeSinks = !enabled ? [] : sinks || createSinks(env, sinkNames);
+
+  // Continue the chain of the file written before a restart
+  const fileSink = activeSinks.find((sink) => sink.lastEntry);
+  const last = fileSink ? fileSink.lastEntry() : null;
+  const chain = createHashChain({ key: env.AUDIT_LOG_CHAIN_KEY || undefined, last });
+
+  return {
+    enabled,
+    level,
+    sinks: activeSinks.map((sink) => sink.name),
+
+    /**
+     * Record an audit entry
+     * @param {string} entryLevel - debug, info, warn or error
+     * @param {string} operation - What happened, e.g. token_generated
+     * @param {object} [details] - Entry fields; secrets are redacted
+     * @returns {object|null} - The entry written, or null when filtered out
+     */
+    log(entryLevel, operation, details = {}) {
+      if (!activeSinks.length || (LEVELS[entryLevel] || LEVELS.info) < LEVELS[level]) {
+        return null;
+      }
+
+      const entry = chain.link(redact({
+        timestamp: new Date().toISOString(),
+        level: entryLevel,
+        operation,
+        ...details
+      }));
+
+      activeSinks.forEach((sink) => {
+        try {
+          sink.write(entry);
+        } catch (error) {
+          // Losing an audit entry must not fail the request being audited
+          console.error(`Audit ${sink.name} sink failed:`, error.message);
+        }
+      });
+
+      return entry;
+    },
+
+    async close() {
+      await Promise.all(activeSinks.map((sink) => sink.close()));
+    }
+  };
+}
+
+let auditLogger = null;
+
+/**
+ * Process-wide audit logger, created from process.env on first use
+ * @returns {object}
+ */
+function getAuditLogger() {
+  if (!auditLogger) {
+    auditLogger = createAuditLogger();
+  }
+  return auditLogger;
+}
+
+/**
+ * Record an audit entry for a request, with its correlation ID, IP, user agent
+ * and, once the Okta middleware has verified the caller, their subject.
+ * The level defaults to warn for failures and info otherwise.
+ * @param {object} req - Express request
+ * @param {string} operation - What happened
+ * @param {object} [details] - Entry fields, including `success`
+ * @param {string} [level] - Overrides the default level
+ * @returns {object|null}
+ */
+function auditRequest(req, operation, details = {}, level) {
+  const success = details.success || false;
+  return getAuditLogger().log(level || (success ? 'info' : 'warn'), operation, {
+    correlationId: req.correlationId || null,
+    ip: req.ip || 'unknown',
+    userAgent: req.get('User-Agent') || 'unknown',
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    user: req.user ? req.user.sub : null,
+    ...details,
+    success,
+    error: details.error || null
+  });
+}
+
+/**
+ * Middleware giving each request a correlation ID: the caller's X-Request-Id
+ * when it is well formed, a new one otherwise. It is echoed in the response.
+ */
+function correlationId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.correlationId = incoming && CORRELATION_ID_PATTERN.test(incoming) ? incoming : generateSecureId();
+  res.setHeader('X-Request-Id', req.correlationId);
+  next();
+}
+
+module.exports = {
+  LEVELS,
+  createAuditLogger,
+  getAuditLogger,
+  auditRequest,
+  correlationId,
+  verifyChain,
+  getLogFiles
+};
@@ -0,0 +1,55 @@
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged, matched without case, `_` or `-`.
+// `tokenId` and `tokenStore` stay readable: only token values themselves match.
+const SECRET_KEY_PATTERN = /^(access|refresh|id|service|bearer|csrf)?token$|secret|password|passwd|authorization|cookie|privatekey|apikey|credential/;
+
+// Secret-shaped substrings replaced inside any logged string
+const SECRET_VALUE_PATTERNS = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+  /\beyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]*/g,
+  /\b(Bearer|Basic)\s+[\w.~+/=-]{8,}/gi,
+  /\bp8e-[\w-]{16,}/g
+];
+
+const MAX_DEPTH = 6;
+
+function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(key.toLowerCase().replace(/[_-]/g, ''));
+}
+
+function redactString(value) {
+  return SECRET_VALUE_PATTERNS.reduce((result, pattern) => result.replace(pattern, REDACTED), value);
+}
+
+/**
+ * Copy a value with secrets replaced by [REDACTED]: values of secret-named
+ * fields, and private keys, JWTs, Authorization credentials and client secrets
+ * found in strings
+ * @param {*} value - Value to log
+ * @param {number} [depth] - Current nesting, deeper values are dropped
+ * @returns {*} - Redacted copy
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[TRUNCATED]';
+
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), ...(value.code ? { code: value.code } : {}) };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, isSecretKey(key) ? REDACTED : redact(item, depth + 1)])
+  );
+}
+
+module.exports = {
+  REDACTED,
+  redact,
+  isSecretKey
+};
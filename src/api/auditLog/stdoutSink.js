@@ -0,0 +1,22 @@
+/**
+ * Audit sink writing one JSON entry per line to stdout, for platforms that
+ * collect container or function logs (Vercel, Docker, Kubernetes)
+ * @param {object} [options]
+ * @param {object} [options.stream] - Writable stream
+ * @returns {object} - Audit sink
+ */
+function createStdoutSink({ stream = process.stdout } = {}) {
+  return {
+    name: 'stdout',
+
+    write(entry) {
+      stream.write(`${JSON.stringify(entry)}\n`);
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createStdoutSink
+};
@@ -0,0 +1,114 @@
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+// RFC 5424 facility 13: log audit
+const LOG_AUDIT_FACILITY = 13;
+const SEVERITIES = { debug: 7, info: 6, warn: 4, error: 3 };
+const MAX_QUEUED = 1000;
+
+/**
+ * Format an entry as an RFC 5424 message with the JSON entry as MSG
+ * @param {object} entry - Audit entry
+ * @param {object} [options]
+ * @param {string} [options.appName]
+ * @param {number} [options.facility]
+ * @returns {string}
+ */
+function formatSyslogMessage(entry, { appName = 'securbank', facility = LOG_AUDIT_FACILITY } = {}) {
+  const priority = facility * 8 + (SEVERITIES[entry.level] ?? SEVERITIES.info);
+  const msgId = String(entry.operation || '-').replace(/[^\x21-\x7e]/g, '_').slice(0, 32);
+  return `<${priority}>1 ${entry.timestamp} ${os.hostname()} ${appName} ${process.pid} ${msgId} - ${JSON.stringify(entry)}`;
+}
+
+/**
+ * Audit sink sending entries to a syslog collector
+ *   udp://host:514, tcp://host:601 or tls://host:6514
+ * TCP and TLS use octet-counting framing (RFC 6587) and reconnect on the next
+ * entry after a failure; entries written while disconnected are queued.
+ *
+ * @param {object} options
+ * @param {string} options.url - Collector URL
+ * @param {string} [options.appName] - APP-NAME field
+ * @returns {object} - Audit sink
+ */
+function createSyslogSink({ url, appName }) {
+  const target = new URL(url);
+  const protocol = target.protocol.replace(':', '');
+  const host = target.hostname;
+  const port = Number(target.port) || (protocol === 'tls' ? 6514 : 514);
+
+  if (!['udp', 'tcp', 'tls'].includes(protocol)) {
+    throw new Error(`Unsupported syslog URL ${url} (expected udp://, tcp:// or tls://)`);
+  }
+
+  if (protocol === 'udp') {
+    const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+    socket.unref();
+    socket.on('error', (error) => console.error('Audit syslog sink error:', error.message));
+
+    return {
+      name: 'syslog',
+
+      write(entry) {
+        socket.send(Buffer.from(formatSyslogMessage(entry, { appName })), port, host);
+      },
+
+      async close() {
+        await new Promise((resolve) => socket.close(resolve));
+      }
+    };
+  }
+
+  let socket = null;
+  let connected = false;
+  const queue = [];
+
+  function flush() {
+    while (connected && queue.length) {
+      socket.write(queue.shift());
+    }
+  }
+
+  function connect() {
+    const onConnect = () => {
+      connected = true;
+      flush();
+    };
+    socket = protocol === 'tls'
+      ? tls.connect({ host, port, servername: host }, onConnect)
+      : net.connect({ host, port }, onConnect);
+    socket.unref();
+    socket.on('error', (error) => console.error('Audit syslog sink error:', error.message));
+    socket.on('close', () => {
+      connected = false;
+      socket = null;
+    });
+  }
+
+  return {
+    name: 'syslog',
+
+    write(entry) {
+      const message = formatSyslogMessage(entry, { appName });
+      if (queue.length >= MAX_QUEUED) {
+        queue.shift();
+      }
+      queue.push(`${Buffer.byteLength(message)} ${message}`);
+      if (!socket) connect();
+      flush();
+    },
+
+    async close() {
+      if (socket) {
+        await new Promise((resolve) => socket.end(resolve));
+      }
+    }
+  };
+}
+
+module.exports = {
+  createSyslogSink,
+  formatSyslogMessage
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+
+const REPORT_PATH = '/api/csp-report';
+const REPORT_GROUP = 'csp-endpoint';
+
+// The Universal Editor frames the app from Experience Cloud and loads its
+// cors.js from the editor service (see App.jsx)
+const UNIVERSAL_EDITOR_FRAME_ANCESTORS = ['https://experience.adobe.com'];
+const UNIVERSAL_EDITOR_SERVICE = 'https://universal-editor-service.adobe.io';
+
+const AEM_SOURCES = ['https://*.adobeaemcloud.com'];
+
+/**
+ * Per-response nonce, created on first use so helmet and the HTML handlers
+ * share it
+ * @param {object} res - Express response
+ * @returns {string} - base64 nonce
+ */
+function getCspNonce(res) {
+  if (!res.locals.cspNonce) {
+    res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+  }
+  return res.locals.cspNonce;
+}
+
+const nonceSource = (req, res) => `'nonce-${getCspNonce(res)}'`;
+
+/**
+ * Origin of the Okta issuer (e.g. https://dev-123.okta.com/oauth2/default),
+ * which serves discovery, the token endpoint and the hidden renew iframe.
+ * Read like the server's Okta configuration: OKTA_ISSUER, then REACT_APP_OKTA_ISSUER.
+ */
+function getOktaOrigin(env, errors) {
+  const variable = env.OKTA_ISSUER ? 'OKTA_ISSUER' : 'REACT_APP_OKTA_ISSUER';
+  const issuer = env[variable];
+  if (!issuer) return null;
+  try {
+    return new URL(issuer).origin;
+  } catch (error) {
+    errors.push(`${variable} "${issuer}" is not a URL`);
+    return null;
+  }
+}
+
+function getOrigin(value) {
+  try {
+    return new URL(value).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+function unique(sources) {
+  return [...new Set(sources.filter(Boolean))];
+}
+
+/**
+ * Build helmet's contentSecurityPolicy options
+ *   CSP_REPORT_ONLY=true - send Content-Security-Policy-Report-Only, to roll out changes
+ *   CSP_FRAME_ANCESTORS - extra origins allowed to frame the app (comma-separated)
+ *   OKTA_ISSUER / REACT_APP_OKTA_ISSUER - Okta sources are derived from the issuer
+ *   AEM_HOST_URI / REACT_APP_HOST_URI - added to connect-src
+ * @param {object} env - Environment variables
+ * @param {object} options
+ * @param {function} options.parseOrigins - (variable, values) -> origins, recording errors
+ * @param {Array} errors - Collected configuration errors
+ * @returns {object} - helmet contentSecurityPolicy options
+ */
+function buildContentSecurityPolicy(env, { parseOrigins }, errors) {
+  const reportOnly = env.CSP_REPORT_ONLY === 'true';
+  const oktaOrigin = getOktaOrigin(env, errors);
+  const aemOrigin = getOrigin(env.AEM_HOST_URI || env.REACT_APP_HOST_URI);
+  const frameAncestors = parseOrigins(
+    'CSP_FRAME_ANCESTORS',
+    (env.CSP_FRAME_ANCESTORS || '').split(',').map((origin) => origin.trim()).filter(Boolean)
+  );
+
+  return {
+    reportOnly,
+    directives: {
+      defaultSrc: ["'self'"],
+      styleSrc: ["'self'", "'unsafe-inline'"],
+      // Inline scripts (the CRA runtime chunk) carry the per-response nonce
+      scriptSrc: ["'self'", nonceSource, UNIVERSAL_EDITOR_SERVICE],
+      scriptSrcAttr: ["'none'"],
+      imgSrc: ["'self'", "data:", "https:"],
+      connectSrc: unique(["'self'", "https://ims-na1.adobelogin.com", ...AEM_SOURCES, aemOrigin, UNIVERSAL_EDITOR_SERVICE, oktaOrigin]),
+      fontSrc: ["'self'"],
+      objectSrc: ["'none'"],
+      mediaSrc: ["'self'"],
+      // Okta renews tokens in a hidden iframe
+      frameSrc: oktaOrigin ? [oktaOrigin] : ["'none'"],
+      // Replaces X-Frame-Options: only the Universal Editor may frame the app
+      frameAncestors: unique(["'self'", ...UNIVERSAL_EDITOR_FRAME_ANCESTORS, ...frameAncestors]),
+      formAction: unique(["'self'", oktaOrigin]),
+      baseUri: ["'self'"],
+      reportUri: [REPORT_PATH],
+      reportTo: [REPORT_GROUP],
+      // Ignored by browsers in report-only mode
+      upgradeInsecureRequests: reportOnly ? null : [],
+    },
+  };
+}
+
+/**
+ * Middleware declaring the Reporting API endpoint used by `report-to`
+ */
+function reportingEndpoints(req, res, next) {
+  res.setHeader('Reporting-Endpoints', `${REPORT_GROUP}="${REPORT_PATH}"`);
+  next();
+}
+
+/**
+ * Add the response's nonce to every script tag of an HTML document. Apply it
+ * to trusted markup only, such as the app shell before a page is injected.
+ * @param {string} html - Document
+ * @param {string} nonce - From getCspNonce
+ * @returns {string}
+ */
+function applyCspNonce(html, nonce) {
+  return html.replace(/<script\b(?![^>]*\snonce=)/g, `<script nonce="${nonce}"`);
+}
+
+module.exports = {
+  REPORT_PATH,
+  UNIVERSAL_EDITOR_FRAME_ANCESTORS,
+  UNIVERSAL_EDITOR_SERVICE,
+  buildContentSecurityPolicy,
+  getCspNonce,
+  applyCspNonce,
+  reportingEndpoints
+};
@@ -0,0 +1,43 @@
+/**
+ * @jest-environment node
+ */
+const { buildContentSecurityPolicy } = require("./contentSecurityPolicy");
+
+const parseOrigins = (variable, values) => values;
+
+const build = (env) => {
+  const errors = [];
+  const policy = buildContentSecurityPolicy(env, { parseOrigins }, errors);
+  return { directives: policy.directives, errors };
+};
+
+describe("buildContentSecurityPolicy", () => {
+  it.each(["OKTA_ISSUER", "REACT_APP_OKTA_ISSUER"])("allows the Okta origin from %s", (variable) => {
+    const { directives, errors } = build({ [variable]: "https://dev-123.okta.com/oauth2/default" });
+
+    expect(errors).toEqual([]);
+    expect(directives.connectSrc).toContain("https://dev-123.okta.com");
+    expect(directives.frameSrc).toEqual(["https://dev-123.okta.com"]);
+    expect(directives.formAction).toContain("https://dev-123.okta.com");
+  });
+
+  it("prefers OKTA_ISSUER, like the server's Okta configuration", () => {
+    const { directives } = build({
+      OKTA_ISSUER: "https://server.okta.com/oauth2/default",
+      REACT_APP_OKTA_ISSUER: "https://client.okta.com/oauth2/default",
+    });
+
+    expect(directives.frameSrc).toEqual(["https://server.okta.com"]);
+  });
+
+  it("names the variable holding an invalid issuer", () => {
+    expect(build({ OKTA_ISSUER: "not a url" }).errors).toEqual(['OKTA_ISSUER "not a url" is not a URL']);
+    expect(build({ REACT_APP_OKTA_ISSUER: "not a url" }).errors).toEqual([
+      'REACT_APP_OKTA_ISSUER "not a url" is not a URL',
+    ]);
+  });
+
+  it("blocks frames without an issuer", () => {
+    expect(build({}).directives.frameSrc).toEqual(["'none'"]);
+  });
+});
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { auditRequest } = require('./auditLog');
+
+const TOKEN_HEADER = 'X-CSRF-Token';
+const TOKEN_TTL_SECONDS = 24 * 60 * 60;
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Sign a random value: `<value>.<HMAC-SHA256(secret, value)>`, base64url parts
+ */
+function signToken(value, secret) {
+  return `${value}.${crypto.createHmac('sha256', secret).update(value).digest('base64url')}`;
+}
+
+function isSignedWith(token, secrets) {
+  const [value, signature] = String(token).split('.');
+  if (!value || !signature) return false;
+  return secrets.some((secret) => safeEqual(signToken(value, secret), token));
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function readCookie(req, name) {
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+  for (const cookie of cookies) {
+    const separator = cookie.indexOf('=');
+    if (separator !== -1 && cookie.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(cookie.slice(separator + 1).trim());
+      } catch (error) {
+        // Malformed percent-encoding, treated as no cookie
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Double-submit CSRF protection with signed tokens. GET /api/csrf-token sets the
+ * token in an HttpOnly cookie and returns it; state-changing requests must send
+ * it back in the X-CSRF-Token header. A cross-site page can make the browser
+ * send the cookie but cannot read the token, and the signature stops tokens
+ * planted from a sibling domain.
+ *
+ * @param {object} options - serverSecurityConfig.csrf
+ * @param {Array<Buffer>} options.secrets - Current secret first, then previous ones (verification only)
+ * @param {string} options.cookieName
+ * @param {boolean} options.secureCookie - Send the cookie over HTTPS only
+ * @param {Array<string>} [options.exemptPaths] - Paths (under the mount point) without CSRF checks
+ * @returns {object} - { issueToken, verifyToken } Express handlers
+ */
+function createCsrfProtection({ secrets, cookieName, secureCookie, exemptPaths = [] }) {
+  function currentToken(req) {
+    const token = readCookie(req, cookieName);
+    return token && isSignedWith(token, secrets.slice(0, 1)) ? token : null;
+  }
+
+  return {
+    /**
+     * GET /api/csrf-token: the caller's token, issuing one when it has none or
+     * it was signed with a retired secret
+     */
+    issueToken(req, res) {
+      const token = currentToken(req) || signToken(crypto.randomBytes(32).toString('base64url'), secrets[0]);
+
+      res.cookie(cookieName, token, {
+        httpOnly: true,
+        secure: secureCookie,
+        sameSite: 'strict',
+        path: '/',
+        maxAge: TOKEN_TTL_SECONDS * 1000
+      });
+      res.set('Cache-Control', 'no-store');
+      res.json({ csrf_token: token, header: TOKEN_HEADER });
+    },
+
+    /**
+     * Middleware rejecting POST, PUT, PATCH and DELETE requests whose
+     * X-CSRF-Token header does not match a validly signed cookie
+     */
+    verifyToken(req, res, next) {
+      if (!UNSAFE_METHODS.includes(req.method) || exemptPaths.includes(req.path)) {
+        return next();
+      }
+
+      const cookieToken = readCookie(req, cookieName);
+      const headerToken = req.get(TOKEN_HEADER);
+
+      if (cookieToken && headerToken && safeEqual(cookieToken, headerToken) && isSignedWith(cookieToken, secrets)) {
+        return next();
+      }
+
+      auditRequest(req, 'csrf_token_rejected', {
+        success: false,
+        error: !cookieToken ? 'Missing CSRF cookie' : !headerToken ? 'Missing CSRF header' : 'Invalid CSRF token'
+      });
+
+      res.status(403).json({
+        error: 'CSRF protection: missing or invalid token',
+        code: 'CSRF_TOKEN_INVALID'
+      });
+    }
+  };
+}
+
+module.exports = {
+  TOKEN_HEADER,
+  createCsrfProtection,
+  signToken
+};
@@ -0,0 +1,141 @@
+/**
+ * @jest-environment node
+ */
+const http = require("http");
+const crypto = require("crypto");
+const express = require("express");
+const fetch = require("cross-fetch");
+const { createCsrfProtection, signToken } = require("./csrf");
+const { auditRequest } = require("./auditLog");
+
+jest.mock("./auditLog", () => ({ auditRequest: jest.fn() }));
+
+const SECRET = Buffer.from("11".repeat(32), "hex");
+const PREVIOUS_SECRET = Buffer.from("22".repeat(32), "hex");
+const COOKIE_NAME = "__Host-csrf";
+
+const newToken = (secret = SECRET) =>
+  signToken(crypto.randomBytes(32).toString("base64url"), secret);
+
+// Mounted like server.js
+function createApp() {
+  const csrf = createCsrfProtection({
+    secrets: [SECRET, PREVIOUS_SECRET],
+    cookieName: COOKIE_NAME,
+    secureCookie: false,
+    exemptPaths: ["/csp-report", "/content-changed"],
+  });
+  const app = express();
+  app.get("/api/csrf-token", csrf.issueToken);
+  app.use("/api", csrf.verifyToken);
+  app.all("/api/*", (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+describe("CSRF protection", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    server = http.createServer(createApp()).listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const post = (path, { cookie, header } = {}) =>
+    fetch(`${baseUrl}${path}`, {
+      method: "POST",
+      headers: {
+        ...(cookie ? { Cookie: `${COOKIE_NAME}=${encodeURIComponent(cookie)}` } : {}),
+        ...(header ? { "X-CSRF-Token": header } : {}),
+      },
+    });
+
+  it("issues a signed token in a cookie that it then accepts", async () => {
+    const issued = await fetch(`${baseUrl}/api/csrf-token`);
+    const { csrf_token: token } = await issued.json();
+
+    expect(issued.headers.get("set-cookie")).toContain(`${COOKIE_NAME}=${encodeURIComponent(token)}`);
+    expect((await post("/api/cache/clear", { cookie: token, header: token })).status).toBe(200);
+  });
+
+  it("accepts tokens signed with a previous secret", async () => {
+    const token = newToken(PREVIOUS_SECRET);
+
+    expect((await post("/api/cache/clear", { cookie: token, header: token })).status).toBe(200);
+  });
+
+  it("lets safe methods through without a token", async () => {
+    expect((await fetch(`${baseUrl}/api/health`)).status).toBe(200);
+  });
+
+  it.each([
+    ["no cookie", () => ({ header: newToken() }), "Missing CSRF cookie"],
+    ["no header", () => ({ cookie: newToken() }), "Missing CSRF header"],
+    ["a header that does not match the cookie", () => ({ cookie: newToken(), header: newToken() }), "Invalid CSRF token"],
+    [
+      "a tampered signature",
+      () => {
+        const [value, signature] = newToken().split(".");
+        const tampered = `${value}.${signature.slice(0, -2)}${signature.endsWith("AA") ? "BB" : "AA"}`;
+        return { cookie: tampered, header: tampered };
+      },
+      "Invalid CSRF token",
+    ],
+    [
+      "a token signed with an unknown secret",
+      () => {
+        const token = newToken(crypto.randomBytes(32));
+        return { cookie: token, header: token };
+      },
+      "Invalid CSRF token",
+    ],
+  ])("rejects a request with %s", async (_, tokens, reason) => {
+    const response = await post("/api/cache/clear", tokens());
+
+    expect(response.status).toBe(403);
+    expect(await response.json()).toMatchObject({ code: "CSRF_TOKEN_INVALID" });
+    expect(auditRequest).toHaveBeenCalledWith(
+      expect.anything(),
+      "csrf_token_rejected",
+      { success: false, error: reason }
+    );
+  });
+
+  it("treats a malformed cookie as missing", async () => {
+    const response = await fetch(`${baseUrl}/api/cache/clear`, {
+      method: "POST",
+      headers: { Cookie: `${COOKIE_NAME}=%E0%A4%A`, "X-CSRF-Token": "%E0%A4%A" },
+    });
+
+    expect(response.status).toBe(403);
+    expect(await response.json()).toMatchObject({ code: "CSRF_TOKEN_INVALID" });
+    expect(auditRequest).toHaveBeenCalledWith(
+      expect.anything(),
+      "csrf_token_rejected",
+      { success: false, error: "Missing CSRF cookie" }
+    );
+  });
+
+  it("issues a new token in place of a malformed cookie", async () => {
+    const response = await fetch(`${baseUrl}/api/csrf-token`, {
+      headers: { Cookie: `${COOKIE_NAME}=%E0%A4%A` },
+    });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).csrf_token).toMatch(/^[\w-]+\.[\w-]+$/);
+  });
+
+  it.each(["/api/csp-report", "/api/content-changed"])("does not check %s", async (path) => {
+    expect((await post(path)).status).toBe(200);
+  });
+
+  it("checks paths that only start like an exempt one", async () => {
+    expect((await post("/api/csp-report/extra")).status).toBe(403);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * CSRF tokens for state-changing requests to the Express server
+ * (see src/api/csrf.js). The token is fetched from /api/csrf-token on first
+ * use, which also sets the matching cookie, and sent in the X-CSRF-Token header.
+ */
+
+const CSRF_TOKEN_URL = "/api/csrf-token";
+const CSRF_HEADER = "X-CSRF-Token";
+const UNSAFE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+let csrfToken = null;
+
+/**
+ * In-flight token request, shared by concurrent callers
+ */
+let pendingTokenRequest = null;
+
+const requestCsrfToken = async () => {
+  const response = await fetch(CSRF_TOKEN_URL, { credentials: "same-origin" });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch CSRF token: ${response.statusText}`);
+  }
+  const data = await response.json();
+  csrfToken = data.csrf_token;
+  return csrfToken;
+};
+
+/**
+ * Get the CSRF token, fetching it when there is none yet
+ * @returns {Promise<string>} CSRF token
+ */
+export const getCsrfToken = () => {
+  if (csrfToken) {
+    return Promise.resolve(csrfToken);
+  }
+  if (!pendingTokenRequest) {
+    pendingTokenRequest = requestCsrfToken().finally(() => {
+      pendingTokenRequest = null;
+    });
+  }
+  return pendingTokenRequest;
+};
+
+/**
+ * Forget the CSRF token, e.g. after the server rejected it
+ */
+export const clearCsrfToken = () => {
+  csrfToken = null;
+};
+
+// Only our own server gets the token, never AEM or another host
+const isSameOrigin = (input) => {
+  const url = typeof input === "string" ? input : input.url;
+  return new URL(url, window.location.href).origin === window.location.origin;
+};
+
+const isCsrfRejection = async (response) => {
+  if (response.status !== 403) return false;
+  try {
+    const data = await response.clone().json();
+    return data.code === "CSRF_TOKEN_INVALID";
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * fetch() that adds the CSRF token to same-origin POST, PUT, PATCH and DELETE
+ * requests. A request rejected because the token expired or the server's
+ * secret changed is retried once with a new token.
+ * @param {RequestInfo} input - URL or Request
+ * @param {RequestInit} [init] - fetch options
+ * @returns {Promise<Response>}
+ */
+export const csrfFetch = async (input, init = {}) => {
+  const method = (init.method || "GET").toUpperCase();
+  if (!UNSAFE_METHODS.includes(method) || !isSameOrigin(input)) {
+    return fetch(input, init);
+  }
+
+  const send = async () => {
+    const headers = new Headers(init.headers);
+    headers.set(CSRF_HEADER, await getCsrfToken());
+    return fetch(input, { credentials: "same-origin", ...init, headers });
+  };
+
+  const response = await send();
+  if (!(await isCsrfRejection(response))) {
+    return response;
+  }
+  clearCsrfToken();
+  return send();
+};
@@ -0,0 +1,90 @@
+import { Headers, Response } from "cross-fetch";
+import { clearCsrfToken, csrfFetch } from "./csrfClient";
+
+const jsonResponse = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+describe("csrfFetch", () => {
+  const realFetch = global.fetch;
+  const realHeaders = global.Headers;
+  let issuedTokens;
+  let rejectedTokens;
+
+  beforeEach(() => {
+    clearCsrfToken();
+    issuedTokens = ["token-1", "token-2"];
+    rejectedTokens = new Set();
+    global.Headers = Headers;
+    // Server stand-in: issues tokens in order and rejects the ones in rejectedTokens
+    global.fetch = jest.fn(async (url, init = {}) => {
+      if (url === "/api/csrf-token") {
+        return jsonResponse(200, { csrf_token: issuedTokens.shift() });
+      }
+      const token = init.headers?.get("X-CSRF-Token");
+      return rejectedTokens.has(token)
+        ? jsonResponse(403, { code: "CSRF_TOKEN_INVALID" })
+        : jsonResponse(200, { ok: true });
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    global.Headers = realHeaders;
+  });
+
+  const sentTokens = () =>
+    global.fetch.mock.calls
+      .filter(([url]) => url !== "/api/csrf-token")
+      .map(([, init]) => init.headers.get("X-CSRF-Token"));
+
+  it("fetches a token once and sends it with state-changing requests", async () => {
+    await csrfFetch("/api/cache/clear", { method: "POST" });
+    await csrfFetch("/api/cache/clear", { method: "DELETE" });
+
+    expect(sentTokens()).toEqual(["token-1", "token-1"]);
+    expect(global.fetch).toHaveBeenCalledWith("/api/csrf-token", { credentials: "same-origin" });
+  });
+
+  it("retries once with a new token when the server rejects the token", async () => {
+    rejectedTokens.add("token-1");
+
+    const response = await csrfFetch("/api/cache/clear", { method: "POST" });
+
+    expect(response.status).toBe(200);
+    expect(sentTokens()).toEqual(["token-1", "token-2"]);
+  });
+
+  it("does not retry more than once", async () => {
+    rejectedTokens.add("token-1");
+    rejectedTokens.add("token-2");
+
+    const response = await csrfFetch("/api/cache/clear", { method: "POST" });
+
+    expect(response.status).toBe(403);
+    expect(sentTokens()).toEqual(["token-1", "token-2"]);
+  });
+
+  it("does not retry other 403 responses", async () => {
+    global.fetch.mockImplementation(async (url) =>
+      url === "/api/csrf-token"
+        ? jsonResponse(200, { csrf_token: "token-1" })
+        : jsonResponse(403, { error: "Forbidden" })
+    );
+
+    const response = await csrfFetch("/api/cache/clear", { method: "POST" });
+
+    expect(response.status).toBe(403);
+    expect(sentTokens()).toEqual(["token-1"]);
+  });
+
+  it("sends no token with safe methods or to other origins", async () => {
+    await csrfFetch("/api/health");
+    await csrfFetch("https://aem.example.com/graphql", { method: "POST" });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch).not.toHaveBeenCalledWith("/api/csrf-token", expect.anything());
+  });
+});
@@ -0,0 +1,227 @@
+/*
+Copyright 2022 Adobe
+All Rights Reserved.
+
+NOTICE: Adobe permits you to use, modify, and distribute this file in
+accordance with the terms of the Adobe license agreement accompanying
+it.
+*/
+
+import {
+  applyFragmentChanges,
+  findFragment,
+  mapFragments,
+  parseFragmentResource,
+} from "./fragmentPatch";
+
+/**
+ * Universal Editor events that change persisted content.
+ */
+export const EDITOR_EVENTS = [
+  "aue:content-update",
+  "aue:content-patch",
+  "aue:content-add",
+  "aue:content-remove",
+  "aue:content-move",
+];
+
+/**
+ * Events changing which fragments a container references, rather than a field.
+ */
+const STRUCTURAL_EVENTS = [
+  "aue:content-add",
+  "aue:content-remove",
+  "aue:content-move",
+];
+
+/**
+ * Delay before refetching, giving AEM time to persist the change. Further
+ * edits of the same fragment within the delay postpone the refetch.
+ */
+const EDITOR_REFRESH_DELAY = 500;
+
+function getPatchChanges(patch) {
+  if (Array.isArray(patch)) {
+    // JSON Patch: [{ op: "replace", path: "/title", value: "..." }]
+    return patch
+      .filter(({ path }) => typeof path === "string" && path.length > 1)
+      .map(({ op, path, value }) => {
+        const prop = path.split("/")[1];
+        return op === "remove" ? { prop, remove: true } : { prop, value };
+      });
+  }
+  if (patch && typeof patch.name === "string") {
+    return [{ prop: patch.name, value: patch.value }];
+  }
+  return [];
+}
+
+/**
+ * Read a Universal Editor event.
+ *
+ * @param {CustomEvent} event the Universal Editor event
+ * @returns {{ type: String, fragment: Object|null, structural: Boolean, changes: Array<Object> }}
+ *   `fragment` is `{ path, variation }` (see parseFragmentResource) and `changes`
+ *   the field edits carried by the event (`{ prop, value }` or `{ prop, remove }`)
+ */
+export function parseEditorEvent(event) {
+  const detail = event?.detail || {};
+  const request = detail.request || {};
+  const target = request.target || {};
+
+  const fragment = parseFragmentResource(
+    target.resource || target.container?.resource || detail.resource
+  );
+  const structural = STRUCTURAL_EVENTS.includes(event?.type);
+
+  let changes = [];
+  if (!structural) {
+    const patch = request.patch ?? detail.patch;
+    const prop = target.prop || detail.prop;
+    const value = request.value !== undefined ? request.value : detail.value;
+
+    if (patch) {
+      changes = getPatchChanges(patch);
+    } else if (prop && value !== undefined) {
+      changes = [{ prop, value }];
+    }
+  }
+
+  return { type: event?.type, fragment, structural, changes };
+}
+
+const isReference = (value) =>
+  Boolean(value?._path) ||
+  (Array.isArray(value) && value.some((item) => item?._path));
+
+/**
+ * Copy the fields of a refetched fragment onto a copy of it selected by another
+ * query. Queries select different fields, so only fields both have are copied,
+ * and references are left to the queries selecting them.
+ */
+function mergeFragment(target, fresh) {
+  const merged = { ...target };
+  Object.keys(target).forEach((name) => {
+    if (name in fresh && !isReference(target[name])) {
+      merged[name] = fresh[name];
+    }
+  });
+  return merged;
+}
+
+/**
+ * Create the bridge applying Universal Editor changes to a query cache:
+ * 1. Field edits are applied straight away to every cached copy of the
+ *    fragment named by the event's `data-aue-resource`
+ * 2. After EDITOR_REFRESH_DELAY the smallest cached query holding the fragment
+ *    is refetched, and the persisted field values are copied to the other copies
+ * 3. Changes to a container (references added, removed or moved) invalidate
+ *    the queries holding the container fragment
+ * Events without a fragment resource invalidate every cached query.
+ *
+ * @param {Object} queryCache the query cache (see ./queryCache.js)
+ * @param {Object} [options]
+ * @param {Number} [options.refreshDelay] delay before refetching, in milliseconds
+ * @returns {{ handleEvent: Function, subscribe: Function, dispose: Function }}
+ */
+export function createEditorBridge(
+  queryCache,
+  { refreshDelay = EDITOR_REFRESH_DELAY } = {}
+) {
+  const listeners = new Set();
+  // fragment path -> { timeout, change } of the pending refetch
+  const pending = new Map();
+
+  function emit(change, phase) {
+    listeners.forEach((listener) => listener(change, phase));
+  }
+
+  function getEntriesWithFragment(fragment) {
+    return queryCache
+      .getEntries()
+      .filter((entry) => findFragment(entry.data, fragment));
+  }
+
+  async function reconcile(change) {
+    const { fragment } = change;
+    const entries = getEntriesWithFragment(fragment);
+
+    if (change.structural) {
+      const keys = new Set(entries.map((entry) => entry.key));
+      queryCache.invalidate((entry) => keys.has(entry.key));
+      emit(change, "settled");
+      return;
+    }
+
+    // The smallest response holding the fragment is the cheapest to refetch
+    const [smallest] = entries
+      .map((entry) => ({ entry, size: JSON.stringify(entry.data).length }))
+      .sort((a, b) => a.size - b.size);
+
+    if (smallest) {
+      const refetched = await queryCache.refetch(smallest.entry.key);
+      const fresh = refetched && findFragment(refetched.data, fragment);
+      if (fresh) {
+        queryCache.updateData((data) =>
+          mapFragments(data, fragment, (copy) =>
+            copy === fresh ? copy : mergeFragment(copy, fresh)
+          )
+        );
+      }
+    }
+    emit(change, "settled");
+  }
+
+  function handleEvent(event) {
+    const change = parseEditorEvent(event);
+
+    if (!change.fragment) {
+      queryCache.invalidate();
+      emit(change, "settled");
+      return;
+    }
+
+    if (change.changes.length) {
+      queryCache.updateData((data) =>
+        mapFragments(data, change.fragment, (fragment) =>
+          applyFragmentChanges(fragment, change.changes)
+        )
+      );
+    }
+    emit(change, "applied");
+
+    // One refetch per burst of edits, structural if any of them was
+    const { path } = change.fragment;
+    const previous = pending.get(path);
+    const next = previous?.change.structural
+      ? { ...change, structural: true }
+      : change;
+    clearTimeout(previous?.timeout);
+    pending.set(path, {
+      change: next,
+      timeout: setTimeout(() => {
+        pending.delete(path);
+        reconcile(next);
+      }, refreshDelay),
+    });
+  }
+
+  /**
+   * Listen to changes handled by the bridge.
+   *
+   * @param {Function} listener called with the parsed change and its phase:
+   *   "applied" once field edits are shown, "settled" once AEM's data is back
+   * @returns {Function} unsubscribe function
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function dispose() {
+    pending.forEach(({ timeout }) => clearTimeout(timeout));
+    pending.clear();
+  }
+
+  return { handleEvent, subscribe, dispose };
+}
@@ -0,0 +1,204 @@
+import { createEditorBridge, parseEditorEvent } from "./editorBridge";
+import { createQueryCache } from "./queryCache";
+
+const PATH = "/content/dam/securbank/en/articles/saving-tips";
+const RESOURCE = `urn:aemconnection:${PATH}/jcr:content/data/master`;
+
+const editorEvent = (type, request) => new CustomEvent(type, { detail: { request } });
+
+// The article page query: every field, the author with their name
+const articleList = (title) => ({
+  articleList: {
+    items: [
+      {
+        _path: PATH,
+        title,
+        summary: { html: "<p>Spend less.</p>", plaintext: "Spend less." },
+        author: { _path: "/content/dam/securbank/en/authors/jane", name: "Jane Doe" },
+        relatedArticles: [{ _path: "/content/dam/securbank/en/articles/budgeting" }],
+      },
+    ],
+  },
+});
+
+// The teaser query: fewer fields, the author reference only
+const articleTeaser = (title, author = "jane") => ({
+  articleByPath: {
+    item: {
+      _path: PATH,
+      slug: "saving-tips",
+      title,
+      author: { _path: `/content/dam/securbank/en/authors/${author}` },
+    },
+  },
+});
+
+const nextSettled = (bridge) =>
+  new Promise((resolve) => {
+    const unsubscribe = bridge.subscribe((change, phase) => {
+      if (phase === "settled") {
+        unsubscribe();
+        resolve(change);
+      }
+    });
+  });
+
+describe("parseEditorEvent", () => {
+  it("reads JSON Patch edits", () => {
+    const event = editorEvent("aue:content-patch", {
+      target: { resource: RESOURCE },
+      patch: [
+        { op: "replace", path: "/title", value: "Saving tips" },
+        { op: "remove", path: "/summary" },
+      ],
+    });
+
+    expect(parseEditorEvent(event)).toEqual({
+      type: "aue:content-patch",
+      fragment: { path: PATH, variation: "master" },
+      structural: false,
+      changes: [{ prop: "title", value: "Saving tips" }, { prop: "summary", remove: true }],
+    });
+  });
+
+  it("reads name/value edits", () => {
+    const event = editorEvent("aue:content-patch", {
+      target: { resource: RESOURCE },
+      patch: { name: "title", value: "Saving tips" },
+    });
+
+    expect(parseEditorEvent(event).changes).toEqual([{ prop: "title", value: "Saving tips" }]);
+  });
+
+  it("reads the edited prop and value of content updates", () => {
+    const event = editorEvent("aue:content-update", {
+      target: { resource: RESOURCE, prop: "title" },
+      value: "Saving tips",
+    });
+
+    expect(parseEditorEvent(event).changes).toEqual([{ prop: "title", value: "Saving tips" }]);
+  });
+
+  it("reads changes to a container as structural", () => {
+    const event = editorEvent("aue:content-add", {
+      target: { container: { resource: RESOURCE } },
+    });
+
+    expect(parseEditorEvent(event)).toMatchObject({
+      fragment: { path: PATH, variation: "master" },
+      structural: true,
+      changes: [],
+    });
+  });
+});
+
+describe("createEditorBridge", () => {
+  const LIST_KEY = "securbank/article-by-slug?slug=saving-tips";
+  const TEASER_KEY = "securbank/article-by-path?path=saving-tips";
+  const OTHER_KEY = "securbank/navigation?";
+  let cache;
+  let bridge;
+  let fetchList;
+  let fetchTeaser;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    cache = createQueryCache();
+    fetchList = jest.fn(async () => ({ data: articleList("Saving tips") }));
+    fetchTeaser = jest.fn(async () => ({ data: articleTeaser("Saving tips") }));
+    await cache.load(LIST_KEY, fetchList);
+    await cache.load(TEASER_KEY, fetchTeaser);
+    await cache.load(OTHER_KEY, async () => ({ data: { navigation: [] } }));
+    fetchList.mockClear();
+    fetchTeaser.mockClear();
+    bridge = createEditorBridge(cache, { refreshDelay: 500 });
+  });
+
+  afterEach(() => {
+    bridge.dispose();
+    jest.useRealTimers();
+  });
+
+  const patchTitle = (value) =>
+    bridge.handleEvent(
+      editorEvent("aue:content-patch", {
+        target: { resource: RESOURCE },
+        patch: { name: "title", value },
+      })
+    );
+
+  it("shows field edits in every cached copy straight away", () => {
+    bridge.handleEvent(
+      editorEvent("aue:content-patch", {
+        target: { resource: RESOURCE },
+        patch: [{ op: "replace", path: "/summary", value: "<p>Spend <b>less</b>.</p>" }],
+      })
+    );
+    patchTitle("Ten saving tips");
+
+    const article = cache.getEntry(LIST_KEY).data.articleList.items[0];
+    expect(article.title).toBe("Ten saving tips");
+    expect(article.summary).toEqual({
+      html: "<p>Spend <b>less</b>.</p>",
+      plaintext: "Spend less.",
+    });
+    expect(cache.getEntry(TEASER_KEY).data.articleByPath.item).toEqual(
+      articleTeaser("Ten saving tips").articleByPath.item
+    );
+  });
+
+  it("refetches the smallest query once per burst of edits", async () => {
+    fetchTeaser.mockResolvedValue({ data: articleTeaser("Saving tips, persisted") });
+    const settled = nextSettled(bridge);
+
+    patchTitle("Saving");
+    jest.advanceTimersByTime(300);
+    patchTitle("Saving tips");
+    jest.advanceTimersByTime(300);
+    expect(fetchTeaser).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(200);
+    await settled;
+    expect(fetchTeaser).toHaveBeenCalledTimes(1);
+    expect(fetchList).not.toHaveBeenCalled();
+    expect(cache.getEntry(LIST_KEY).data.articleList.items[0].title).toBe(
+      "Saving tips, persisted"
+    );
+  });
+
+  it("copies the refetched fields the other queries select, but not references", async () => {
+    fetchTeaser.mockResolvedValue({ data: articleTeaser("Persisted", "john") });
+    const settled = nextSettled(bridge);
+
+    patchTitle("Edited");
+    jest.advanceTimersByTime(500);
+    await settled;
+
+    expect(cache.getEntry(LIST_KEY).data).toEqual(articleList("Persisted"));
+  });
+
+  it("invalidates the queries holding a container changed during a burst", async () => {
+    const settled = nextSettled(bridge);
+
+    patchTitle("Edited");
+    bridge.handleEvent(
+      editorEvent("aue:content-add", { target: { container: { resource: RESOURCE } } })
+    );
+    patchTitle("Edited again");
+    jest.advanceTimersByTime(500);
+
+    expect((await settled).structural).toBe(true);
+    expect(fetchTeaser).not.toHaveBeenCalled();
+    expect(cache.getEntry(LIST_KEY).invalidated).toBe(true);
+    expect(cache.getEntry(TEASER_KEY).invalidated).toBe(true);
+    expect(cache.getEntry(OTHER_KEY).invalidated).toBe(false);
+  });
+
+  it("invalidates every query for changes to other resources", () => {
+    bridge.handleEvent(
+      editorEvent("aue:content-update", { target: { resource: "urn:aemconnection:" } })
+    );
+
+    expect(cache.getEntries().every((entry) => entry.invalidated)).toBe(true);
+  });
+});
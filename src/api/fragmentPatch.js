@@ -0,0 +1,125 @@
+/*
+Copyright 2022 Adobe
+All Rights Reserved.
+
+NOTICE: Adobe permits you to use, modify, and distribute this file in
+accordance with the terms of the Adobe license agreement accompanying
+it.
+*/
+
+/**
+ * Helpers locating and updating Content Fragments inside persisted query data,
+ * without mutating it: updated data shares every untouched branch with the
+ * original, and unchanged data is returned as is.
+ */
+
+/**
+ * Parse a Universal Editor resource.
+ * Resources look like `urn:aemconnection:/content/dam/.../jcr:content/data/master`.
+ *
+ * @param {String} resource the `data-aue-resource` URN
+ * @returns {{ path: String, variation: String|null }|null} the fragment, or null for other resources
+ */
+export function parseFragmentResource(resource) {
+  if (!resource || typeof resource !== "string") return null;
+
+  const [path, data] = resource.replace(/^urn:[^:]+:/, "").split("/jcr:content");
+  if (!path) return null;
+
+  const variation = data?.match(/^\/data\/([^/]+)/)?.[1] || null;
+  return { path, variation };
+}
+
+function isFragment(value, { path, variation }) {
+  return (
+    value?._path === path &&
+    (!variation || (value._variation || "master") === variation)
+  );
+}
+
+/**
+ * Find a fragment in query data.
+ *
+ * @param {*} data persisted query data
+ * @param {Object} fragment `{ path, variation }`, variation optional
+ * @returns {Object|null} the first matching fragment
+ */
+export function findFragment(data, fragment) {
+  if (!data || typeof data !== "object") return null;
+  if (isFragment(data, fragment)) return data;
+
+  for (const value of Object.values(data)) {
+    const found = findFragment(value, fragment);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Replace every matching fragment in query data.
+ *
+ * @param {*} data persisted query data
+ * @param {Object} fragment `{ path, variation }`, variation optional
+ * @param {Function} update receives a matching fragment, returns its replacement
+ * @returns {*} the updated data, or `data` itself when nothing changed
+ */
+export function mapFragments(data, fragment, update) {
+  if (!data || typeof data !== "object") return data;
+  if (isFragment(data, fragment)) return update(data);
+
+  let changed = false;
+  const mapped = Array.isArray(data) ? [] : {};
+  Object.entries(data).forEach(([name, value]) => {
+    const next = mapFragments(value, fragment, update);
+    changed = changed || next !== value;
+    mapped[name] = next;
+  });
+
+  return changed ? mapped : data;
+}
+
+const stripTags = (html) => String(html).replace(/<[^>]*>/g, "");
+
+/**
+ * Value of a field after an edit. Rich text fields are objects (`{ html }`,
+ * `{ plaintext }`, ...); their representations are updated from the edited text.
+ *
+ * @param {*} current the field's current value
+ * @param {*} value the value sent by the Universal Editor
+ * @returns {*} the new field value
+ */
+export function getEditedValue(current, value) {
+  if (
+    !current ||
+    typeof current !== "object" ||
+    Array.isArray(current) ||
+    typeof value !== "string"
+  ) {
+    return value;
+  }
+
+  const next = { ...current };
+  if ("html" in current) next.html = value;
+  if ("plaintext" in current) next.plaintext = stripTags(value);
+  if ("markdown" in current) next.markdown = stripTags(value);
+  return next;
+}
+
+/**
+ * Apply field changes to a fragment. Fields the query did not select are left
+ * out, so every copy of a fragment keeps the shape its query gave it.
+ *
+ * @param {Object} fragment the fragment
+ * @param {Array<Object>} changes `{ prop, value }` or `{ prop, remove: true }`
+ * @returns {Object} the updated fragment
+ */
+export function applyFragmentChanges(fragment, changes) {
+  return changes.reduce((next, { prop, value, remove }) => {
+    if (!(prop in next)) return next;
+    // A removed value reads as null, as GraphQL returns empty fields
+    return {
+      ...next,
+      [prop]: remove ? null : getEditedValue(next[prop], value),
+    };
+  }, fragment);
+}
@@ -0,0 +1,68 @@
+import {
+  applyFragmentChanges,
+  mapFragments,
+  parseFragmentResource,
+} from "./fragmentPatch";
+
+const PATH = "/content/dam/securbank/en/articles/saving-tips";
+
+describe("parseFragmentResource", () => {
+  it("reads the fragment path and variation", () => {
+    expect(
+      parseFragmentResource(`urn:aemconnection:${PATH}/jcr:content/data/small_business`)
+    ).toEqual({ path: PATH, variation: "small_business" });
+  });
+
+  it("reads resources without a variation", () => {
+    expect(parseFragmentResource(`urn:aemconnection:${PATH}`)).toEqual({
+      path: PATH,
+      variation: null,
+    });
+  });
+});
+
+describe("mapFragments", () => {
+  const data = {
+    teaser: { _path: PATH, title: "Saving tips" },
+    variation: { _path: PATH, _variation: "spring", title: "Spring saving tips" },
+    navigation: [{ _path: "/content/dam/securbank/en/navigation" }],
+  };
+
+  it("updates the copies of the fragment's variation only", () => {
+    const mapped = mapFragments(data, { path: PATH, variation: "master" }, (fragment) => ({
+      ...fragment,
+      title: "Edited",
+    }));
+
+    expect(mapped.teaser.title).toBe("Edited");
+    expect(mapped.variation).toBe(data.variation);
+    expect(mapped.navigation).toBe(data.navigation);
+  });
+
+  it("returns the data itself when no fragment matches", () => {
+    expect(mapFragments(data, { path: "/content/dam/other" }, () => ({}))).toBe(data);
+  });
+});
+
+describe("applyFragmentChanges", () => {
+  const fragment = {
+    _path: PATH,
+    title: "Saving tips",
+    body: { html: "<p>Spend less.</p>", markdown: "Spend less." },
+  };
+
+  it("updates every representation of rich text fields", () => {
+    expect(
+      applyFragmentChanges(fragment, [{ prop: "body", value: "<p>Spend <i>less</i>.</p>" }]).body
+    ).toEqual({ html: "<p>Spend <i>less</i>.</p>", markdown: "Spend less." });
+  });
+
+  it("empties removed fields and skips fields the query did not select", () => {
+    expect(
+      applyFragmentChanges(fragment, [
+        { prop: "title", remove: true },
+        { prop: "slug", value: "saving-tips" },
+      ])
+    ).toEqual({ ...fragment, title: null });
+  });
+});
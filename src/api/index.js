@@ -4,4 +4,14 @@ export {
   useServiceBySlug,
   useArticles,
   useServices,
+  useCallToAction,
+  useNavigation,
+  QUERY_STATUS,
 } from "./usePersistedQueries";
+export { invalidateQueries } from "./queryCache";
+export {
+  useEditorBridge,
+  useEditorChanges,
+  useEditorPending,
+} from "./useEditorBridge";
+export { csrfFetch, getCsrfToken, clearCsrfToken } from "./csrfClient";
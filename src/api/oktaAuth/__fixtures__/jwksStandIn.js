@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { ALGORITHM } = require('../accessToken');
+
+const KEYS_PATH = '/oauth2/default/v1/keys';
+
+/**
+ * In-process stand-in for an Okta authorization server: serves a JSON Web Key
+ * Set and signs access tokens with its keys, so the Okta middleware tests run
+ * without an Okta org:
+ *
+ *   const standIn = createJwksStandIn();
+ *   const { issuer, jwksUri } = await standIn.listen();
+ *   process.env.OKTA_ISSUER = issuer;
+ *   process.env.OKTA_JWKS_URI = jwksUri;
+ *   const token = standIn.signAccessToken({ sub: 'admin@example.com', groups: ['admin'] });
+ *
+ * @param {object} [options]
+ * @param {string} [options.audience] - Default `aud` of signed tokens
+ * @param {string} [options.clientId] - Default `cid` of signed tokens
+ * @returns {object} - { listen(port), close(), signAccessToken(claims, options), rotateKey(), kid, requests }
+ */
+function createJwksStandIn({ audience = 'api://default', clientId = 'stand-in-client' } = {}) {
+  // Newest key first; tokens are signed with it
+  const keys = [];
+  let issuer = null;
+  const stats = { requests: 0 };
+
+  function rotateKey() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    keys.unshift({ kid, publicKey, privateKey });
+    return kid;
+  }
+
+  rotateKey();
+
+  const server = http.createServer((req, res) => {
+    stats.requests++;
+    if (req.method !== 'GET' || req.url !== KEYS_PATH) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ errorCode: 'E0000022', errorSummary: 'Not found' }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      keys: keys.map(({ kid, publicKey }) => ({ ...publicKey.export({ format: 'jwk' }), kid, alg: ALGORITHM, use: 'sig' }))
+    }));
+  });
+
+  return {
+    get requests() {
+      return stats.requests;
+    },
+
+    // ID of the current signing key
+    get kid() {
+      return keys[0].kid;
+    },
+
+    /**
+     * Start listening on 127.0.0.1
+     * @param {number} [port] - Port, random when omitted
+     * @returns {Promise<object>} - { port, issuer, jwksUri }
+     */
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          const origin = `http://127.0.0.1:${server.address().port}`;
+          issuer = `${origin}/oauth2/default`;
+          resolve({ port: server.address().port, issuer, jwksUri: `${origin}${KEYS_PATH}` });
+        });
+      });
+    },
+
+    /**
+     * Sign an access token with the current key. Claims default to a valid
+     * token for this issuer, expiring in an hour.
+     * @param {object} [claims] - Claims to add or override (e.g. sub, groups, exp)
+     * @param {object} [options]
+     * @param {string} [options.kid] - Key ID put in the header
+     * @returns {string} - JWT
+     */
+    signAccessToken(claims = {}, { kid = keys[0].kid } = {}) {
+      const now = Math.floor(Date.now() / 1000);
+      const payload = {
+        ver: 1,
+        jti: `AT.${crypto.randomBytes(16).toString('base64url')}`,
+        iss: issuer,
+        aud: audience,
+        cid: clientId,
+        iat: now,
+        exp: now + 3600,
+        scp: ['openid', 'profile', 'email'],
+        sub: 'user@example.com',
+        ...claims
+      };
+      return jwt.sign(payload, keys[0].privateKey, { algorithm: ALGORITHM, keyid: kid });
+    },
+
+    /**
+     * Publish a new signing key, as Okta does on rotation; older keys stay in the set
+     * @returns {string} - New key ID
+     */
+    rotateKey,
+
+    /**
+     * Stop the server
+     */
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  createJwksStandIn
+};
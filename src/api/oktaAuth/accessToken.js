@@ -0,0 +1,116 @@
+const jwt = require('jsonwebtoken');
+
+// Okta signs access tokens with RS256 only; accepting the header's algorithm
+// as-is would let "none" or HMAC tokens through
+const ALGORITHM = 'RS256';
+// Allowed difference between our clock and Okta's
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+function tokenError(message) {
+  const error = new Error(message);
+  error.code = 'ACCESS_TOKEN_INVALID';
+  return error;
+}
+
+/**
+ * Read the header of a compact JWT, without verifying anything
+ * @param {string} token - JWT
+ * @returns {object} - JOSE header
+ */
+function decodeHeader(token) {
+  const decoded = jwt.decode(String(token), { complete: true });
+  if (!decoded || typeof decoded.payload !== 'object' || !decoded.signature) {
+    throw tokenError('Token is not a signed JWT');
+  }
+  return decoded.header;
+}
+
+/**
+ * Verify the signature and the registered claims jsonwebtoken knows (`iss`,
+ * `aud`, `exp`, `nbf`)
+ * @returns {object} - Token payload
+ */
+function verifySignedClaims(token, key, { issuer, audience }) {
+  try {
+    return jwt.verify(token, key, {
+      algorithms: [ALGORITHM],
+      issuer,
+      audience,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw tokenError('Token has expired');
+    if (error.name === 'NotBeforeError') throw tokenError('Token is not valid yet');
+    throw tokenError(`Invalid token: ${error.message}`);
+  }
+}
+
+/**
+ * Check the claims of an access token that jsonwebtoken leaves alone
+ * @param {object} claims - Token payload
+ * @param {object} options - { clientIds }
+ * @param {number} now - Current time in seconds
+ */
+function checkClaims(claims, { clientIds }, now) {
+  // jsonwebtoken accepts tokens without an expiry
+  if (typeof claims.exp !== 'number') {
+    throw tokenError('Token has no expiry');
+  }
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_TOLERANCE_SECONDS > now) {
+    throw tokenError('Token was issued in the future');
+  }
+
+  // Okta access tokens name the OAuth client they were issued to in `cid`
+  if (clientIds.length && !clientIds.includes(claims.cid)) {
+    throw tokenError('Token was issued to another client');
+  }
+
+  if (!claims.sub) {
+    throw tokenError('Token has no subject');
+  }
+}
+
+/**
+ * Create an Okta access token verifier
+ * @param {object} options - serverSecurityConfig.okta
+ * @param {string} options.issuer - Authorization server, e.g. https://dev-123.okta.com/oauth2/default
+ * @param {string} options.audience - Expected `aud`, e.g. api://default
+ * @param {Array<string>} options.clientIds - Accepted `cid` values; any when empty
+ * @param {string} options.groupsClaim - Claim listing the user's groups
+ * @param {object} options.jwksClient - Signing keys (see ./jwksClient)
+ * @returns {function} - async (token) -> { sub, groups, scopes, claims }
+ * @throws {Error} - ACCESS_TOKEN_INVALID, or JWKS_UNAVAILABLE when the keys can't be fetched
+ */
+function createAccessTokenVerifier({ issuer, audience, clientIds = [], groupsClaim, jwksClient }) {
+  return async function verifyAccessToken(token) {
+    const header = decodeHeader(token);
+
+    if (header.alg !== ALGORITHM) {
+      throw tokenError(`Unsupported signing algorithm "${header.alg}"`);
+    }
+    if (!header.kid) {
+      throw tokenError('Token header has no key ID');
+    }
+
+    const key = await jwksClient.getKey(header.kid);
+    if (!key) {
+      throw tokenError(`Token signed with unknown key "${header.kid}"`);
+    }
+
+    const claims = verifySignedClaims(token, key, { issuer, audience });
+    checkClaims(claims, { clientIds }, Math.floor(Date.now() / 1000));
+
+    const groups = claims[groupsClaim];
+    return {
+      sub: claims.sub,
+      groups: Array.isArray(groups) ? groups.filter((group) => typeof group === 'string') : [],
+      scopes: Array.isArray(claims.scp) ? claims.scp : [],
+      claims
+    };
+  };
+}
+
+module.exports = {
+  ALGORITHM,
+  createAccessTokenVerifier
+};
@@ -0,0 +1,118 @@
+const { getServerSecurityConfig } = require('../serverSecurityConfig');
+const { auditRequest } = require('../auditLog');
+const { createJwksClient } = require('./jwksClient');
+const { createAccessTokenVerifier } = require('./accessToken');
+
+/**
+ * Read the bearer token of a request
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+function reject(req, res, status, code, message, details) {
+  auditRequest(req, status === 403 ? 'access_denied' : 'access_token_rejected', {
+    success: false,
+    error: details || message
+  });
+
+  if (status === 401) {
+    res.set('WWW-Authenticate', `Bearer error="${code === 'ACCESS_TOKEN_MISSING' ? 'invalid_request' : 'invalid_token'}"`);
+  }
+  res.status(status).json({ error: message, code });
+}
+
+/**
+ * Create Okta access token middleware. `authenticate` verifies the caller's
+ * `Authorization: Bearer` token against the authorization server's keys and
+ * sets `req.user` ({ sub, groups, scopes, claims }); `requireGroups` then
+ * limits a route to members of a group. For example:
+ *
+ *   router.delete('/thing', okta.authenticate(), okta.requireGroups('admin'), handler);
+ *
+ * @param {object} options - serverSecurityConfig.okta
+ * @param {string|null} options.issuer - Without one, protected routes answer 503
+ * @param {string} options.jwksUri
+ * @param {object} [options.jwksClient] - Signing keys; defaults to fetching jwksUri
+ * @returns {object} - { authenticate(options), requireGroups(...groups), verifyAccessToken }
+ */
+function createOktaAuth(options) {
+  const verifyAccessToken = options.issuer
+    ? createAccessTokenVerifier({
+      ...options,
+      jwksClient: options.jwksClient || createJwksClient({ jwksUri: options.jwksUri })
+    })
+    : null;
+
+  return {
+    verifyAccessToken,
+
+    /**
+     * Middleware verifying the bearer token
+     * @param {object} [authenticateOptions]
+     * @param {boolean} [authenticateOptions.optional] - Let requests without a
+     *   (valid) token through without `req.user` instead of answering 401
+     * @returns {function} - Express middleware
+     */
+    authenticate({ optional = false } = {}) {
+      return async (req, res, next) => {
+        const token = getBearerToken(req);
+        if (!verifyAccessToken || !token) {
+          if (optional) return next();
+          if (!verifyAccessToken) {
+            return reject(req, res, 503, 'OKTA_NOT_CONFIGURED', 'Authentication is not configured on this server');
+          }
+          return reject(req, res, 401, 'ACCESS_TOKEN_MISSING', 'Authentication required');
+        }
+
+        try {
+          req.user = await verifyAccessToken(token);
+          next();
+        } catch (error) {
+          if (optional) return next();
+          if (error.code === 'ACCESS_TOKEN_INVALID') {
+            return reject(req, res, 401, 'ACCESS_TOKEN_INVALID', 'Invalid or expired access token', error.message);
+          }
+          console.error('Access token verification failed:', error.message);
+          reject(req, res, 503, 'JWKS_UNAVAILABLE', 'Unable to verify access token', error.message);
+        }
+      };
+    },
+
+    /**
+     * Middleware allowing users in at least one of the groups; runs after authenticate()
+     * @param {...string} groups - Okta group names
+     * @returns {function} - Express middleware
+     */
+    requireGroups(...groups) {
+      return (req, res, next) => {
+        if (req.user && req.user.groups.some((group) => groups.includes(group))) {
+          return next();
+        }
+        reject(req, res, 403, 'INSUFFICIENT_GROUP', 'Not allowed', `Requires group ${groups.join(' or ')}`);
+      };
+    }
+  };
+}
+
+let oktaAuth = null;
+
+/**
+ * Process-wide Okta middleware, configured from the server security configuration
+ * @returns {object}
+ */
+function getOktaAuth() {
+  if (!oktaAuth) {
+    oktaAuth = createOktaAuth(getServerSecurityConfig().okta);
+  }
+  return oktaAuth;
+}
+
+module.exports = {
+  createOktaAuth,
+  getOktaAuth,
+  getBearerToken
+};
@@ -0,0 +1,128 @@
+/**
+ * @jest-environment node
+ */
+const { createOktaAuth } = require("./index");
+const { createJwksStandIn } = require("./__fixtures__/jwksStandIn");
+
+jest.mock("../auditLog", () => ({ auditRequest: jest.fn() }));
+
+const CLIENT_ID = "stand-in-client";
+
+function createRequest(token) {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  return { get: (name) => headers[name.toLowerCase()] };
+}
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+}
+
+describe("createOktaAuth", () => {
+  let standIn;
+  let otherServer;
+  let issuer;
+  let okta;
+
+  beforeAll(async () => {
+    // Jest's node environment has no fetch for the JWKS client
+    global.fetch = require("cross-fetch");
+    standIn = createJwksStandIn({ clientId: CLIENT_ID });
+    otherServer = createJwksStandIn({ clientId: CLIENT_ID });
+    let jwksUri;
+    ({ issuer, jwksUri } = await standIn.listen());
+
+    okta = createOktaAuth({
+      issuer,
+      audience: "api://default",
+      clientIds: [CLIENT_ID],
+      groupsClaim: "groups",
+      jwksUri,
+    });
+  });
+
+  afterAll(() => {
+    delete global.fetch;
+    return standIn.close();
+  });
+
+  // Runs authenticate() then requireGroups("admin"), like the admin routes
+  async function requestAdminRoute(token) {
+    const req = createRequest(token);
+    const res = createResponse();
+    const next = jest.fn();
+
+    await okta.authenticate()(req, res, next);
+    if (next.mock.calls.length) {
+      next.mockClear();
+      okta.requireGroups("admin")(req, res, next);
+    }
+
+    return {
+      req,
+      status: next.mock.calls.length ? 200 : res.status.mock.calls[0][0],
+      code: res.json.mock.calls[0]?.[0].code,
+    };
+  }
+
+  it("rejects requests without a token", async () => {
+    expect(await requestAdminRoute(null)).toMatchObject({
+      status: 401,
+      code: "ACCESS_TOKEN_MISSING",
+    });
+  });
+
+  it.each([
+    ["that expired", () => standIn.signAccessToken({ exp: Math.floor(Date.now() / 1000) - 120 })],
+    ["with a wrong signature", () => otherServer.signAccessToken({ iss: issuer }, { kid: standIn.kid })],
+    ["signed with an unknown key", () => otherServer.signAccessToken({ iss: issuer })],
+    ["from another issuer", () => standIn.signAccessToken({ iss: "https://other.okta.com/oauth2/default" })],
+    ["for another audience", () => standIn.signAccessToken({ aud: "api://other" })],
+    ["issued to another client", () => standIn.signAccessToken({ cid: "other-client" })],
+  ])("rejects a token %s", async (_, signToken) => {
+    expect(await requestAdminRoute(signToken())).toMatchObject({
+      status: 401,
+      code: "ACCESS_TOKEN_INVALID",
+    });
+  });
+
+  it("forbids users outside the group", async () => {
+    const token = standIn.signAccessToken({ groups: ["customers"] });
+    expect(await requestAdminRoute(token)).toMatchObject({
+      status: 403,
+      code: "INSUFFICIENT_GROUP",
+    });
+  });
+
+  it("lets admins through with the verified user", async () => {
+    const token = standIn.signAccessToken({ sub: "admin@example.com", groups: ["admin"] });
+    const { status, req } = await requestAdminRoute(token);
+
+    expect(status).toBe(200);
+    expect(req.user).toMatchObject({ sub: "admin@example.com", groups: ["admin"] });
+  });
+
+  it("accepts tokens signed with a rotated key", async () => {
+    standIn.rotateKey();
+    // The key set is refetched at most every 30 seconds
+    jest.spyOn(Date, "now").mockReturnValue(Date.now() + 31 * 1000);
+    try {
+      const token = standIn.signAccessToken({ groups: ["admin"] });
+      expect((await requestAdminRoute(token)).status).toBe(200);
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  it("lets requests through without a user when optional", async () => {
+    const next = jest.fn();
+    const req = createRequest("not-a-jwt");
+
+    await okta.authenticate({ optional: true })(req, createResponse(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBeUndefined();
+  });
+});
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// Keys are refetched after this long, and Okta rotates its keys far less often
+const DEFAULT_CACHE_MAX_AGE_MS = 60 * 60 * 1000;
+// The set is fetched at most this often, so tokens with made-up key IDs (or an
+// Okta outage) can't turn into a flood of JWKS requests
+const DEFAULT_REFETCH_INTERVAL_MS = 30 * 1000;
+const FETCH_TIMEOUT_MS = 5000;
+
+function jwksError(message) {
+  const error = new Error(message);
+  error.code = 'JWKS_UNAVAILABLE';
+  return error;
+}
+
+/**
+ * Public keys of a JSON Web Key Set (e.g. https://<okta>/oauth2/default/v1/keys),
+ * fetched on first use and cached by key ID
+ * @param {object} options
+ * @param {string} options.jwksUri - JWKS URL
+ * @param {number} [options.cacheMaxAgeMs]
+ * @param {number} [options.refetchIntervalMs]
+ * @param {function} [options.fetch] - fetch implementation
+ * @returns {object} - { getKey(kid), refresh() }
+ */
+function createJwksClient({
+  jwksUri,
+  cacheMaxAgeMs = DEFAULT_CACHE_MAX_AGE_MS,
+  refetchIntervalMs = DEFAULT_REFETCH_INTERVAL_MS,
+  fetch: fetchJwks = fetch
+}) {
+  // kid -> KeyObject
+  let keys = new Map();
+  let fetchedAt = 0;
+  let attemptedAt = 0;
+  // In-flight fetch, shared by concurrent verifications
+  let pendingFetch = null;
+
+  async function fetchKeys() {
+    let response;
+    try {
+      response = await fetchJwks(jwksUri, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw jwksError(`Failed to fetch JWKS from ${jwksUri}: ${error.message}`);
+    }
+    if (!response.ok) {
+      throw jwksError(`Failed to fetch JWKS from ${jwksUri}: ${response.status} ${response.statusText}`);
+    }
+
+    const { keys: jwks } = await response.json();
+    if (!Array.isArray(jwks)) {
+      throw jwksError(`JWKS from ${jwksUri} has no "keys" array`);
+    }
+
+    const fetched = new Map();
+    jwks
+      .filter((jwk) => jwk.kid && jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+      .forEach((jwk) => {
+        try {
+          fetched.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        } catch (error) {
+          console.warn(`Ignoring unusable JWKS key ${jwk.kid}: ${error.message}`);
+        }
+      });
+
+    keys = fetched;
+    fetchedAt = Date.now();
+    return keys;
+  }
+
+  function refresh() {
+    if (!pendingFetch) {
+      attemptedAt = Date.now();
+      pendingFetch = fetchKeys().finally(() => {
+        pendingFetch = null;
+      });
+    }
+    return pendingFetch;
+  }
+
+  return {
+    /**
+     * Public key for a key ID, refetching the set when it is stale or the key
+     * is new (Okta published a rotated key). Cached keys are still used while
+     * Okta is unreachable.
+     * @param {string} kid - Key ID from the token header
+     * @returns {Promise<KeyObject|null>} - Key, or null when the set has no such key
+     * @throws {Error} - JWKS_UNAVAILABLE when the key is not cached and the set can't be fetched
+     */
+    async getKey(kid) {
+      const now = Date.now();
+      const outdated = now - fetchedAt > cacheMaxAgeMs || !keys.has(kid);
+      if (pendingFetch || (outdated && now - attemptedAt > refetchIntervalMs)) {
+        try {
+          await refresh();
+        } catch (error) {
+          if (!keys.has(kid)) throw error;
+          console.warn(`${error.message}, using cached keys`);
+        }
+      }
+      if (!fetchedAt) {
+        throw jwksError(`No keys fetched from ${jwksUri} yet`);
+      }
+      return keys.get(kid) || null;
+    },
+
+    refresh
+  };
+}
+
+module.exports = {
+  createJwksClient
+};
@@ -0,0 +1,64 @@
+/**
+ * Server-side client for AEM GraphQL persisted queries.
+ * Uses the same GET URL format as @adobe/aem-headless-client-js:
+ *   <host>/graphql/execute.json/<endpoint>/<query>;name=value
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Build the persisted query URL
+ * @param {string} hostUri - AEM host, e.g. https://publish-....adobeaemcloud.com
+ * @param {string} persistedQueryName - Fully qualified name, e.g. securbank/articles
+ * @param {object} [variables] - Query variables
+ * @returns {string} - Request URL
+ */
+function buildPersistedQueryUrl(hostUri, persistedQueryName, variables = {}) {
+  const params = Object.entries(variables)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `;${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+    .join('');
+
+  return `${hostUri.replace(/\/$/, '')}/graphql/execute.json/${persistedQueryName}${params}`;
+}
+
+/**
+ * Run a persisted query against AEM
+ * @param {string} queryName - Query name without the endpoint prefix, e.g. "articles"
+ * @param {object} [variables] - Query variables
+ * @param {object} [options]
+ * @param {string} [options.hostUri] - AEM host, defaults to REACT_APP_HOST_URI
+ * @param {string} [options.endpoint] - Persisted query endpoint, defaults to REACT_APP_ENDPOINT
+ * @param {object} [options.headers] - Extra request headers (e.g. Authorization)
+ * @returns {Promise<object>} - GraphQL `data`
+ */
+async function runPersistedQuery(queryName, variables = {}, {
+  hostUri = process.env.REACT_APP_HOST_URI,
+  endpoint = process.env.REACT_APP_ENDPOINT,
+  headers = {},
+} = {}) {
+  if (!hostUri || !endpoint) {
+    throw new Error('REACT_APP_HOST_URI and REACT_APP_ENDPOINT must be set to run persisted queries');
+  }
+
+  const response = await fetch(buildPersistedQueryUrl(hostUri, `${endpoint}/${queryName}`, variables), {
+    headers: { Accept: 'application/json', ...headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Persisted query ${queryName} failed: ${response.status} ${response.statusText}`);
+  }
+
+  const body = await response.json();
+  if (body.errors?.length) {
+    throw new Error(`Persisted query ${queryName} returned errors: ${body.errors.map((e) => e.message).join('; ')}`);
+  }
+
+  return body.data;
+}
+
+module.exports = {
+  buildPersistedQueryUrl,
+  runPersistedQuery
+};
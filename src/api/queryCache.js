@@ -0,0 +1,330 @@
+/*
+Copyright 2022 Adobe
+All Rights Reserved.
+
+NOTICE: Adobe permits you to use, modify, and distribute this file in
+accordance with the terms of the Adobe license agreement accompanying
+it.
+*/
+
+/**
+ * Shared client-side cache for AEM persisted query responses.
+ *
+ * Entries are keyed on the persisted query name plus its variables, so every
+ * component asking for the same query shares a single entry:
+ * 1. Concurrent requests for the same key are collapsed into one network call
+ * 2. Stale entries keep serving their last data while they revalidate
+ * 3. Entries can be invalidated explicitly (e.g. after a Universal Editor change)
+ *
+ * The browser uses a single shared cache; server-side rendering creates one
+ * cache per request with `createQueryCache()` and serializes it with
+ * `dehydrate()` so the client can `hydrate()` without refetching.
+ */
+
+export const DEFAULT_QUERY_TTL = 60 * 1000; // 1 minute
+
+/**
+ * Build the cache key for a persisted query call.
+ * Variable order does not matter and `undefined` variables are ignored.
+ *
+ * @param {String} persistedQueryName the fully qualified name of the persisted query
+ * @param {Object} [variables] the query variables
+ * @returns {String} the cache key
+ */
+export function getQueryKey(persistedQueryName, variables = {}) {
+  const normalized = Object.keys(variables)
+    .sort()
+    .reduce((acc, name) => {
+      if (variables[name] !== undefined) {
+        acc[name] = variables[name];
+      }
+      return acc;
+    }, {});
+
+  return `${persistedQueryName}?${JSON.stringify(normalized)}`;
+}
+
+/**
+ * Whether an entry is past its TTL or has been invalidated.
+ *
+ * @param {Object} entry the cache entry
+ * @returns {Boolean}
+ */
+export function isQueryStale(entry) {
+  return (
+    entry.invalidated ||
+    !entry.updatedAt ||
+    Date.now() - entry.updatedAt > entry.ttl
+  );
+}
+
+/**
+ * Create an isolated query cache.
+ *
+ * @returns {Object} the cache API
+ */
+export function createQueryCache() {
+  const entries = new Map();
+  const listeners = new Map();
+
+  function notify(key) {
+    const keyListeners = listeners.get(key);
+    if (keyListeners) {
+      keyListeners.forEach((listener) => listener(entries.get(key)));
+    }
+  }
+
+  /**
+   * Get the current cache entry for a key.
+   *
+   * @param {String} key the cache key
+   * @returns {Object|undefined} the entry ({ data, error, updatedAt, promise, ... })
+   */
+  function getEntry(key) {
+    return entries.get(key);
+  }
+
+  /**
+   * Get every cache entry.
+   *
+   * @returns {Array<Object>} the entries
+   */
+  function getEntries() {
+    return [...entries.values()];
+  }
+
+  /**
+   * Subscribe to changes of a cache entry.
+   *
+   * @param {String} key the cache key
+   * @param {Function} listener called with the updated entry
+   * @returns {Function} unsubscribe function
+   */
+  function subscribe(key, listener) {
+    if (!listeners.has(key)) {
+      listeners.set(key, new Set());
+    }
+    listeners.get(key).add(listener);
+
+    return () => {
+      const keyListeners = listeners.get(key);
+      keyListeners.delete(listener);
+      if (!keyListeners.size) {
+        listeners.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Load a query through the cache.
+   *
+   * Fresh entries are returned as is, in-flight requests are shared, and stale or
+   * invalidated entries are refetched while keeping their previous data.
+   *
+   * @param {String} key the cache key
+   * @param {Function} fetcher async function resolving to `{ data, err }`
+   * @param {Object} [options]
+   * @param {Number} [options.ttl] time in milliseconds before the entry is stale
+   * @param {Boolean} [options.force] refetch even when the entry is fresh
+   * @returns {Promise<Object>} the settled cache entry
+   */
+  function load(key, fetcher, { ttl = DEFAULT_QUERY_TTL, force = false } = {}) {
+    const entry = entries.get(key) || {
+      key,
+      data: undefined,
+      error: null,
+      updatedAt: 0,
+      invalidated: false,
+      promise: null,
+    };
+    entry.ttl = ttl;
+    entry.fetcher = fetcher;
+    entries.set(key, entry);
+
+    if (entry.promise) {
+      return entry.promise;
+    }
+
+    if (!force && !isQueryStale(entry)) {
+      return Promise.resolve(entry);
+    }
+
+    entry.promise = fetcher()
+      .catch((error) => ({ err: error?.message || String(error) }))
+      .then((response) => {
+        if (response?.err) {
+          entry.error = response.err;
+        } else {
+          entry.data = response?.data;
+          entry.error = null;
+          entry.updatedAt = Date.now();
+          entry.invalidated = false;
+        }
+        return entry;
+      })
+      .finally(() => {
+        entry.promise = null;
+        notify(key);
+      });
+
+    notify(key);
+    return entry.promise;
+  }
+
+  /**
+   * Invalidate cached queries.
+   *
+   * Matching entries are marked stale; the ones currently rendered are refetched
+   * straight away, the others on their next use.
+   *
+   * @param {Function|String} [match] predicate receiving the entry, or a persisted
+   *   query name; invalidates every entry when omitted
+   */
+  function invalidate(match) {
+    const predicate =
+      typeof match === "function"
+        ? match
+        : typeof match === "string"
+        ? (entry) => entry.key.startsWith(`${match}?`)
+        : () => true;
+
+    entries.forEach((entry, key) => {
+      if (!predicate(entry)) return;
+
+      entry.invalidated = true;
+      if (listeners.has(key) && entry.fetcher) {
+        load(key, entry.fetcher, { ttl: entry.ttl });
+      }
+    });
+  }
+
+  /**
+   * Replace the data of cached queries without a request, e.g. to show a
+   * Universal Editor change straight away. Entries keep their timestamps, so
+   * they revalidate as usual.
+   *
+   * @param {Function} update receives an entry's data, returns the new data
+   *   (the same value when unchanged)
+   * @returns {Array<String>} keys of the updated entries
+   */
+  function updateData(update) {
+    const updated = [];
+    entries.forEach((entry, key) => {
+      if (entry.data === undefined) return;
+
+      const data = update(entry.data);
+      if (data === entry.data) return;
+
+      entry.data = data;
+      updated.push(key);
+      notify(key);
+    });
+    return updated;
+  }
+
+  /**
+   * Refetch one cached query, whether or not it is stale.
+   *
+   * @param {String} key the cache key
+   * @returns {Promise<Object>|null} the settled entry, or null when the query
+   *   was never loaded through the cache
+   */
+  function refetch(key) {
+    const entry = entries.get(key);
+    if (!entry?.fetcher) return null;
+    return load(key, entry.fetcher, { ttl: entry.ttl, force: true });
+  }
+
+  /**
+   * Wait for every in-flight request to settle.
+   *
+   * @returns {Promise<Boolean>} true when there were pending requests
+   */
+  async function waitForPending() {
+    const pending = [...entries.values()]
+      .map((entry) => entry.promise)
+      .filter(Boolean);
+
+    await Promise.all(pending);
+    return pending.length > 0;
+  }
+
+  /**
+   * Serialize the settled entries. Failed requests are kept too, so the client
+   * renders the same error the server did instead of a loading state.
+   *
+   * @returns {Object} map of cache key to `{ data, error }`; `data` is left out
+   *   for entries that never loaded
+   */
+  function dehydrate() {
+    const state = {};
+    entries.forEach((entry, key) => {
+      if (entry.updatedAt) {
+        state[key] = { data: entry.data ?? null, error: entry.error };
+      } else if (entry.error) {
+        state[key] = { error: entry.error };
+      }
+    });
+    return state;
+  }
+
+  /**
+   * Seed the cache with entries serialized by `dehydrate()`.
+   * Hydrated entries with data count as fresh, so they are not refetched on
+   * first render; failed ones are retried once rendered.
+   *
+   * @param {Object} state map of cache key to `{ data, error }`
+   * @param {Object} [options]
+   * @param {Number} [options.ttl] TTL applied until the entry is next loaded
+   */
+  function hydrate(state = {}, { ttl = DEFAULT_QUERY_TTL } = {}) {
+    const now = Date.now();
+    Object.entries(state).forEach(([key, { data, error = null }]) => {
+      const loaded = data !== undefined;
+      entries.set(key, {
+        key,
+        data: loaded ? data : undefined,
+        error,
+        updatedAt: loaded ? now : 0,
+        invalidated: false,
+        promise: null,
+        ttl,
+      });
+    });
+  }
+
+  /**
+   * Drop every cached entry. Mostly useful for tests and sign-out.
+   */
+  function clear() {
+    entries.clear();
+  }
+
+  return {
+    getEntry,
+    getEntries,
+    subscribe,
+    load,
+    invalidate,
+    updateData,
+    refetch,
+    waitForPending,
+    dehydrate,
+    hydrate,
+    clear,
+  };
+}
+
+/**
+ * The cache shared by the browser app.
+ */
+export const defaultQueryCache = createQueryCache();
+
+export const getQueryEntry = defaultQueryCache.getEntry;
+export const subscribeQuery = defaultQueryCache.subscribe;
+export const loadQuery = defaultQueryCache.load;
+export const invalidateQueries = defaultQueryCache.invalidate;
+export const updateQueryData = defaultQueryCache.updateData;
+export const refetchQuery = defaultQueryCache.refetch;
+export const hydrateQueryCache = defaultQueryCache.hydrate;
+export const clearQueryCache = defaultQueryCache.clear;
@@ -0,0 +1,176 @@
+import { createQueryCache, getQueryKey, isQueryStale } from "./queryCache";
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+};
+
+describe("getQueryKey", () => {
+  it("ignores variable order and undefined variables", () => {
+    expect(getQueryKey("securbank/articles", { b: 2, a: 1, c: undefined })).toBe(
+      getQueryKey("securbank/articles", { a: 1, b: 2 })
+    );
+  });
+});
+
+describe("createQueryCache", () => {
+  let cache;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    cache = createQueryCache();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("shares one request between concurrent loads of a key", async () => {
+    const request = deferred();
+    const fetcher = jest.fn(() => request.promise);
+
+    const first = cache.load("a", fetcher);
+    const second = cache.load("a", fetcher);
+    request.resolve({ data: { title: "Home" } });
+
+    const [entryA, entryB] = await Promise.all([first, second]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(entryA).toBe(entryB);
+    expect(entryA.data).toEqual({ title: "Home" });
+  });
+
+  it("serves fresh entries without refetching until the TTL", async () => {
+    const fetcher = jest.fn(async () => ({ data: 1 }));
+
+    await cache.load("a", fetcher, { ttl: 1000 });
+    await cache.load("a", fetcher, { ttl: 1000 });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1001);
+    expect(isQueryStale(cache.getEntry("a"))).toBe(true);
+    await cache.load("a", fetcher, { ttl: 1000 });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps serving stale data while revalidating", async () => {
+    await cache.load("a", async () => ({ data: "old" }), { ttl: 1000 });
+    jest.advanceTimersByTime(1001);
+
+    const request = deferred();
+    const pending = cache.load("a", () => request.promise, { ttl: 1000 });
+    expect(cache.getEntry("a").data).toBe("old");
+    expect(cache.getEntry("a").promise).not.toBeNull();
+
+    request.resolve({ data: "new" });
+    await pending;
+    expect(cache.getEntry("a").data).toBe("new");
+    expect(isQueryStale(cache.getEntry("a"))).toBe(false);
+  });
+
+  it("keeps the previous data when a revalidation fails", async () => {
+    await cache.load("a", async () => ({ data: "old" }), { ttl: 1000 });
+
+    const entry = await cache.load("a", async () => ({ err: "Offline" }), {
+      force: true,
+    });
+    expect(entry.data).toBe("old");
+    expect(entry.error).toBe("Offline");
+  });
+
+  it("notifies subscribers when a request starts and settles", async () => {
+    const listener = jest.fn();
+    cache.subscribe("a", listener);
+
+    await cache.load("a", async () => ({ data: 1 }));
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  describe("invalidate", () => {
+    const name = "securbank/articles";
+    const other = "securbank/services";
+
+    beforeEach(async () => {
+      await cache.load(getQueryKey(name, { first: 3 }), async () => ({ data: 1 }));
+      await cache.load(getQueryKey(name), async () => ({ data: 2 }));
+      await cache.load(getQueryKey(other), async () => ({ data: 3 }));
+    });
+
+    const invalidated = () =>
+      cache
+        .getEntries()
+        .filter((entry) => entry.invalidated)
+        .map((entry) => entry.key)
+        .sort();
+
+    it("invalidates the entries of a persisted query by name", () => {
+      cache.invalidate(name);
+      expect(invalidated()).toEqual(
+        [getQueryKey(name), getQueryKey(name, { first: 3 })].sort()
+      );
+    });
+
+    it("does not match other queries sharing a name prefix", () => {
+      cache.invalidate("securbank/article");
+      expect(invalidated()).toEqual([]);
+    });
+
+    it("invalidates the entries matching a predicate", () => {
+      cache.invalidate((entry) => entry.data === 3);
+      expect(invalidated()).toEqual([getQueryKey(other)]);
+    });
+
+    it("invalidates every entry without an argument", () => {
+      cache.invalidate();
+      expect(invalidated()).toHaveLength(3);
+    });
+
+    it("refetches invalidated entries that are rendered", async () => {
+      const fetcher = jest.fn(async () => ({ data: "fresh" }));
+      const key = getQueryKey(other);
+      await cache.load(key, fetcher, { force: true });
+      cache.subscribe(key, () => {});
+
+      cache.invalidate(other);
+      await cache.waitForPending();
+      expect(fetcher).toHaveBeenCalledTimes(2);
+      expect(cache.getEntry(key).invalidated).toBe(false);
+    });
+  });
+
+  describe("dehydrate and hydrate", () => {
+    it("round-trips loaded entries as fresh", async () => {
+      await cache.load("a", async () => ({ data: { title: "Home" } }));
+      const state = JSON.parse(JSON.stringify(cache.dehydrate()));
+
+      const client = createQueryCache();
+      client.hydrate(state);
+      const fetcher = jest.fn();
+      const entry = await client.load("a", fetcher);
+
+      expect(fetcher).not.toHaveBeenCalled();
+      expect(entry.data).toEqual({ title: "Home" });
+      expect(entry.error).toBeNull();
+    });
+
+    it("keeps failed requests, so the client renders the same error", async () => {
+      await cache.load("a", async () => ({ err: "Not found" }));
+      const state = JSON.parse(JSON.stringify(cache.dehydrate()));
+      expect(state).toEqual({ a: { error: "Not found" } });
+
+      const client = createQueryCache();
+      client.hydrate(state);
+      const entry = client.getEntry("a");
+      expect(entry.error).toBe("Not found");
+      expect(entry.updatedAt).toBe(0);
+      expect(entry.data).toBeUndefined();
+    });
+
+    it("leaves out requests that are still pending", () => {
+      cache.load("a", () => new Promise(() => {}));
+      expect(cache.dehydrate()).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const path = require('path');
+const { getServerSecurityConfig } = require('../serverSecurityConfig');
+const { createMemoryBucketStore } = require('./memoryBucketStore');
+const { createRedisBucketStore } = require('./redisBucketStore');
+
+/**
+ * Bucket stores share one async interface:
+ *   take(key, policy) -> { allowed, remaining, resetMs, retryAfterMs }, close()
+ *
+ * Policies ({ max, burst, windowMs }) come from serverSecurityConfig.rateLimits.
+ */
+
+const MESSAGES = {
+  static: 'Too many requests, please try again later.',
+  spa: 'Too many requests, please try again later.',
+  api: 'Too many requests, please try again later.',
+  aem: 'Too many content requests, please try again later.',
+  auth: 'Too many token requests, please try again later.'
+};
+
+/**
+ * Create the bucket store selected by the configuration
+ * @param {object} options - serverSecurityConfig.rateLimits
+ * @returns {object} - Bucket store
+ */
+function createBucketStore({ store, redisUrl }) {
+  return store === 'redis' ? createRedisBucketStore({ url: redisUrl }) : createMemoryBucketStore();
+}
+
+let bucketStore = null;
+
+function getBucketStore() {
+  if (!bucketStore) {
+    bucketStore = createBucketStore(getServerSecurityConfig().rateLimits);
+  }
+  return bucketStore;
+}
+
+/**
+ * Whom a request is counted against: the Okta subject once a middleware has
+ * verified the caller's access token and set `req.user`, the client IP
+ * otherwise. Unverified tokens are never trusted, or callers could pick a
+ * fresh bucket per request.
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+function getRateLimitKey(req) {
+  return req.user && req.user.sub ? `user:${req.user.sub}` : `ip:${req.ip}`;
+}
+
+/**
+ * Policy for a request: the API routes by prefix, files (anything with an
+ * extension, e.g. /static/js/main.js or /favicons/site.webmanifest) as static,
+ * and page loads answered by the SPA fallback as spa
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+function getRoutePolicy(req) {
+  const requestPath = req.path;
+  if (requestPath.startsWith('/api/aem/') || requestPath === '/api/aem') return 'aem';
+  if (requestPath.startsWith('/api/')) return 'api';
+  if (requestPath.startsWith('/static/') || path.extname(requestPath)) return 'static';
+  return 'spa';
+}
+
+function setHeaders(res, policy, result) {
+  res.setHeader('RateLimit-Policy', `${policy.max};w=${Math.ceil(policy.windowMs / 1000)};burst=${policy.burst}`);
+  res.setHeader('RateLimit-Limit', policy.burst);
+  res.setHeader('RateLimit-Remaining', Math.max(0, result.remaining));
+  res.setHeader('RateLimit-Reset', Math.ceil(result.resetMs / 1000));
+}
+
+/**
+ * Create token bucket rate limiting middleware. Responses carry RateLimit-Policy,
+ * RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset; a 429 adds Retry-After.
+ * If the store is unreachable requests are let through rather than failing
+ * the whole site.
+ * @param {object} [options]
+ * @param {string|function} [options.policy] - Policy name, or (req) -> name; defaults to getRoutePolicy
+ * @param {object} [options.policies] - Policies by name; defaults to the server configuration
+ * @param {object} [options.store] - Bucket store; defaults to the process-wide one
+ * @param {function} [options.keyGenerator] - (req) -> key; defaults to getRateLimitKey
+ * @returns {function} - Express middleware
+ */
+function createRateLimiter({
+  policy = getRoutePolicy,
+  policies,
+  store,
+  keyGenerator = getRateLimitKey
+} = {}) {
+  const resolvePolicy = typeof policy === 'function' ? policy : () => policy;
+
+  return async (req, res, next) => {
+    const name = resolvePolicy(req);
+    const activePolicies = policies || getServerSecurityConfig().rateLimits.policies;
+    const activePolicy = activePolicies[name];
+    if (!activePolicy) {
+      return next(new Error(`Unknown rate limit policy "${name}"`));
+    }
+
+    let result;
+    try {
+      result = await (store || getBucketStore()).take(`${name}:${keyGenerator(req)}`, activePolicy);
+    } catch (error) {
+      console.error('Rate limit store unavailable, allowing request:', error.message);
+      return next();
+    }
+
+    setHeaders(res, activePolicy, result);
+
+    if (!result.allowed) {
+      const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: MESSAGES[name] || MESSAGES.api,
+        retry_after: retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  createBucketStore,
+  getRateLimitKey,
+  getRoutePolicy
+};
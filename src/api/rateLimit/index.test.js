@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+const { createRateLimiter, getRateLimitKey, getRoutePolicy } = require("./index");
+const { createMemoryBucketStore } = require("./memoryBucketStore");
+
+// One token per second, up to two at once
+const POLICIES = {
+  static: { max: 60, windowMs: 60 * 1000, burst: 2 },
+  spa: { max: 60, windowMs: 60 * 1000, burst: 2 },
+  api: { max: 60, windowMs: 60 * 1000, burst: 2 },
+  aem: { max: 60, windowMs: 60 * 1000, burst: 2 },
+  auth: { max: 6, windowMs: 60 * 1000, burst: 1 },
+};
+
+function createRequest({ path = "/api/health", ip = "203.0.113.1", user } = {}) {
+  return { path, ip, user };
+}
+
+function createResponse() {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    setHeader: jest.fn((name, value) => {
+      res.headers[name] = value;
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(),
+  };
+  return res;
+}
+
+describe("rate limiting", () => {
+  let now;
+  let store;
+  let limiter;
+
+  const send = async (request, middleware = limiter) => {
+    const res = createResponse();
+    const next = jest.fn();
+    await middleware(request, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    now = 1000000;
+    store = createMemoryBucketStore({ now: () => now });
+    limiter = createRateLimiter({ policies: POLICIES, store });
+  });
+
+  describe("getRoutePolicy", () => {
+    it.each([
+      ["/api/aem/graphql/execute.json/securbank/articles", "aem"],
+      ["/api/aem", "aem"],
+      ["/api/aemx", "api"],
+      ["/api/csrf-token", "api"],
+      ["/static/js/main.js", "static"],
+      ["/favicons/site.webmanifest", "static"],
+      ["/articles/saving-tips", "spa"],
+      ["/", "spa"],
+    ])("counts %s against %s", (path, policy) => {
+      expect(getRoutePolicy(createRequest({ path }))).toBe(policy);
+    });
+  });
+
+  describe("getRateLimitKey", () => {
+    it("keys verified users by subject and everyone else by IP", () => {
+      expect(getRateLimitKey(createRequest({ user: { sub: "00u1" } }))).toBe("user:00u1");
+      expect(getRateLimitKey(createRequest())).toBe("ip:203.0.113.1");
+      expect(getRateLimitKey(createRequest({ user: {} }))).toBe("ip:203.0.113.1");
+    });
+  });
+
+  it("sets the RateLimit headers on allowed requests", async () => {
+    const { res, next } = await send(createRequest());
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.headers).toEqual({
+      "RateLimit-Policy": "60;w=60;burst=2",
+      "RateLimit-Limit": 2,
+      "RateLimit-Remaining": 1,
+      "RateLimit-Reset": 1,
+    });
+  });
+
+  it("answers 429 with Retry-After once the burst is used up, until tokens refill", async () => {
+    await send(createRequest());
+    await send(createRequest());
+    now += 250;
+
+    const { res, next } = await send(createRequest());
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(429);
+    expect(res.headers["RateLimit-Remaining"]).toBe(0);
+    expect(res.headers["Retry-After"]).toBe(1);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: "Too many requests", retry_after: 1 }));
+
+    now += 750;
+    expect((await send(createRequest())).next).toHaveBeenCalledWith();
+  });
+
+  it("keeps separate buckets per policy", async () => {
+    await send(createRequest());
+    await send(createRequest());
+
+    expect((await send(createRequest())).res.statusCode).toBe(429);
+    expect((await send(createRequest({ path: "/api/aem" }))).next).toHaveBeenCalled();
+    expect((await send(createRequest({ path: "/static/js/main.js" }))).next).toHaveBeenCalled();
+    expect((await send(createRequest({ path: "/accounts" }))).next).toHaveBeenCalled();
+  });
+
+  it("counts signed-in callers per user, not per shared IP", async () => {
+    const alice = createRequest({ user: { sub: "alice" } });
+    const bob = createRequest({ user: { sub: "bob" } });
+    await send(alice);
+    await send(alice);
+
+    expect((await send(alice)).res.statusCode).toBe(429);
+    expect((await send(bob)).next).toHaveBeenCalled();
+    expect((await send(createRequest())).next).toHaveBeenCalled();
+  });
+
+  it("applies a fixed policy with its own message", async () => {
+    const authLimiter = createRateLimiter({ policy: "auth", policies: POLICIES, store });
+    await send(createRequest({ path: "/api/aem" }), authLimiter);
+
+    const { res } = await send(createRequest({ path: "/api/aem" }), authLimiter);
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers["Retry-After"]).toBe(10);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: "Too many token requests, please try again later." }));
+  });
+
+  it("fails an unknown policy", async () => {
+    const { next } = await send(createRequest(), createRateLimiter({ policy: "missing", policies: POLICIES, store }));
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Unknown rate limit policy "missing"' }));
+  });
+
+  it("lets requests through when the store is unavailable", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const failing = { take: async () => { throw new Error("connection refused"); } };
+
+    const { res, next } = await send(createRequest(), createRateLimiter({ policies: POLICIES, store: failing }));
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.setHeader).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
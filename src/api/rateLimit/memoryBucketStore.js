@@ -0,0 +1,42 @@
+const { takeToken, describeTake } = require('./tokenBucket');
+
+// Buckets tracked before refilled (expired) ones are swept
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Token buckets in process memory: each instance limits on its own
+ * @param {object} [options]
+ * @param {function} [options.now] - Clock in ms, for tests
+ * @returns {object} - Bucket store
+ */
+function createMemoryBucketStore({ now: clock = Date.now } = {}) {
+  // key -> { tokens, updatedAt, expiresAt }
+  const buckets = new Map();
+
+  function sweep(now) {
+    buckets.forEach((bucket, key) => {
+      if (bucket.expiresAt <= now) buckets.delete(key);
+    });
+  }
+
+  return {
+    name: 'memory',
+
+    async take(key, policy) {
+      const now = clock();
+      if (buckets.size >= SWEEP_THRESHOLD) sweep(now);
+
+      const { allowed, state, ttlMs } = takeToken(buckets.get(key) || null, now, policy);
+      buckets.set(key, { ...state, expiresAt: now + ttlMs });
+      return describeTake(allowed, state.tokens, policy);
+    },
+
+    async close() {
+      buckets.clear();
+    }
+  };
+}
+
+module.exports = {
+  createMemoryBucketStore
+};
@@ -0,0 +1,57 @@
+const { createRespClient } = require('../tokenStore/respClient');
+const { getRefillPerMs, describeTake } = require('./tokenBucket');
+
+// takeToken (tokenBucket.js) run atomically on the server, with the server's
+// clock so instances agree. The bucket is stored as "<tokens>:<updatedAt>".
+// Returns { allowed (1/0), tokens left } as strings to keep the fraction.
+const TAKE_TOKEN_SCRIPT = [
+  'local burst = tonumber(ARGV[1])',
+  'local rate = tonumber(ARGV[2])',
+  'local time = redis.call("TIME")',
+  'local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)',
+  'local tokens = burst',
+  'local value = redis.call("GET", KEYS[1])',
+  'if value then',
+  '  local separator = string.find(value, ":")',
+  '  local updated = tonumber(string.sub(value, separator + 1))',
+  '  tokens = math.min(burst, tonumber(string.sub(value, 1, separator - 1)) + math.max(0, now - updated) * rate)',
+  'end',
+  'local allowed = 0',
+  'if tokens >= 1 then',
+  '  tokens = tokens - 1',
+  '  allowed = 1',
+  'end',
+  'redis.call("SET", KEYS[1], tokens .. ":" .. now, "PX", math.max(1, math.ceil((burst - tokens) / rate)))',
+  'return { tostring(allowed), tostring(tokens) }'
+].join('\n');
+
+/**
+ * Token buckets on a Redis-protocol server, shared by every instance
+ * @param {object} options
+ * @param {string} options.url - redis:// or rediss:// URL
+ * @param {string} [options.prefix] - Key namespace
+ * @returns {object} - Bucket store
+ */
+function createRedisBucketStore({ url, prefix = 'securbank:ratelimit:' }) {
+  const client = createRespClient({ url });
+
+  return {
+    name: 'redis',
+
+    async take(key, policy) {
+      const [allowed, tokens] = await client.command(
+        'EVAL', TAKE_TOKEN_SCRIPT, 1, prefix + key, policy.burst, getRefillPerMs(policy)
+      );
+      return describeTake(allowed === '1', Number(tokens), policy);
+    },
+
+    async close() {
+      await client.close();
+    }
+  };
+}
+
+module.exports = {
+  createRedisBucketStore,
+  TAKE_TOKEN_SCRIPT
+};
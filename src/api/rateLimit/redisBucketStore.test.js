@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+const mockCommand = jest.fn();
+const mockClose = jest.fn();
+
+jest.mock("../tokenStore/respClient", () => ({
+  createRespClient: () => ({ command: mockCommand, close: mockClose }),
+}));
+
+const { createRedisBucketStore, TAKE_TOKEN_SCRIPT } = require("./redisBucketStore");
+
+// One token per second, up to three at once
+const POLICY = { max: 60, windowMs: 60 * 1000, burst: 3 };
+
+describe("createRedisBucketStore", () => {
+  let store;
+
+  beforeEach(() => {
+    store = createRedisBucketStore({ url: "redis://127.0.0.1:6379", prefix: "test:" });
+  });
+
+  it("runs the take script on the prefixed key with the burst and refill rate", async () => {
+    mockCommand.mockResolvedValue(["1", "2"]);
+
+    await store.take("api:ip:203.0.113.1", POLICY);
+
+    expect(mockCommand).toHaveBeenCalledWith(
+      "EVAL", TAKE_TOKEN_SCRIPT, 1, "test:api:ip:203.0.113.1", 3, 0.001
+    );
+  });
+
+  it("reads an allowed take and the tokens left", async () => {
+    mockCommand.mockResolvedValue(["1", "1.5"]);
+
+    expect(await store.take("key", POLICY)).toEqual({
+      allowed: true,
+      remaining: 1,
+      resetMs: 1500,
+      retryAfterMs: 0,
+    });
+  });
+
+  it("reads a rejected take, keeping the fraction of a token", async () => {
+    mockCommand.mockResolvedValue(["0", "0.25"]);
+
+    expect(await store.take("key", POLICY)).toEqual({
+      allowed: false,
+      remaining: 0,
+      resetMs: 2750,
+      retryAfterMs: 750,
+    });
+  });
+
+  it("passes store errors on, for the limiter to let the request through", async () => {
+    mockCommand.mockRejectedValue(new Error("connection refused"));
+
+    await expect(store.take("key", POLICY)).rejects.toThrow("connection refused");
+  });
+
+  it("closes its connection", async () => {
+    await store.close();
+
+    expect(mockClose).toHaveBeenCalled();
+  });
+
+  it("stores the bucket with an expiry and returns the fraction as a string", () => {
+    expect(TAKE_TOKEN_SCRIPT).toContain('redis.call("TIME")');
+    expect(TAKE_TOKEN_SCRIPT).toContain('redis.call("SET", KEYS[1], tokens .. ":" .. now, "PX"');
+    expect(TAKE_TOKEN_SCRIPT).toContain("return { tostring(allowed), tostring(tokens) }");
+  });
+});
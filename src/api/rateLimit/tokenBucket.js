@@ -0,0 +1,60 @@
+/**
+ * Token bucket: a bucket holds up to `burst` tokens and refills at `max` tokens
+ * per `windowMs`. Each request takes one token; an empty bucket means 429.
+ * A full bucket is the same as no bucket, so stores can expire idle buckets.
+ */
+
+/**
+ * Refill rate of a policy
+ * @param {object} policy - { max, windowMs }
+ * @returns {number} - Tokens per millisecond
+ */
+function getRefillPerMs({ max, windowMs }) {
+  return max / windowMs;
+}
+
+/**
+ * Take one token
+ * @param {object|null} state - { tokens, updatedAt } as last stored, or null for a full bucket
+ * @param {number} now - Current time in ms
+ * @param {object} policy - { max, windowMs, burst }
+ * @returns {object} - { allowed, state, ttlMs }; ttlMs is how long until the bucket is full again
+ */
+function takeToken(state, now, policy) {
+  const refillPerMs = getRefillPerMs(policy);
+  const tokens = state
+    ? Math.min(policy.burst, state.tokens + Math.max(0, now - state.updatedAt) * refillPerMs)
+    : policy.burst;
+
+  const allowed = tokens >= 1;
+  const remaining = allowed ? tokens - 1 : tokens;
+
+  return {
+    allowed,
+    state: { tokens: remaining, updatedAt: now },
+    ttlMs: Math.ceil((policy.burst - remaining) / refillPerMs)
+  };
+}
+
+/**
+ * Describe a take for the RateLimit-* headers
+ * @param {boolean} allowed - Whether the token was taken
+ * @param {number} tokens - Tokens left in the bucket
+ * @param {object} policy - { max, windowMs, burst }
+ * @returns {object} - { allowed, remaining, resetMs, retryAfterMs }
+ */
+function describeTake(allowed, tokens, policy) {
+  const refillPerMs = getRefillPerMs(policy);
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    resetMs: Math.ceil((policy.burst - tokens) / refillPerMs),
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs)
+  };
+}
+
+module.exports = {
+  getRefillPerMs,
+  takeToken,
+  describeTake
+};
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+const { takeToken, describeTake, getRefillPerMs } = require("./tokenBucket");
+
+// One token per second, up to three at once
+const POLICY = { max: 60, windowMs: 60 * 1000, burst: 3 };
+
+describe("token bucket", () => {
+  it("refills at max tokens per window", () => {
+    expect(getRefillPerMs(POLICY)).toBe(0.001);
+  });
+
+  it("allows a burst from a full bucket, then rejects", () => {
+    let state = null;
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      const result = takeToken(state, 1000, POLICY);
+      results.push(result.allowed);
+      state = result.state;
+    }
+
+    expect(results).toEqual([true, true, true, false]);
+    expect(state).toEqual({ tokens: 0, updatedAt: 1000 });
+  });
+
+  it("refills in proportion to the time elapsed", () => {
+    const empty = { tokens: 0, updatedAt: 1000 };
+
+    expect(takeToken(empty, 1500, POLICY)).toMatchObject({
+      allowed: false,
+      state: { tokens: 0.5, updatedAt: 1500 },
+    });
+    expect(takeToken(empty, 2000, POLICY)).toMatchObject({
+      allowed: true,
+      state: { tokens: 0, updatedAt: 2000 },
+      ttlMs: 3000,
+    });
+  });
+
+  it("never holds more than burst tokens", () => {
+    const result = takeToken({ tokens: 0, updatedAt: 0 }, 60 * 60 * 1000, POLICY);
+
+    expect(result.state.tokens).toBe(2);
+    expect(result.ttlMs).toBe(1000);
+  });
+
+  it("ignores a clock that went backwards", () => {
+    expect(takeToken({ tokens: 0.5, updatedAt: 5000 }, 4000, POLICY).state.tokens).toBe(0.5);
+  });
+
+  it("describes when the bucket is full again and when to retry", () => {
+    expect(describeTake(true, 1.5, POLICY)).toEqual({
+      allowed: true,
+      remaining: 1,
+      resetMs: 1500,
+      retryAfterMs: 0,
+    });
+    expect(describeTake(false, 0.25, POLICY)).toEqual({
+      allowed: false,
+      remaining: 0,
+      resetMs: 2750,
+      retryAfterMs: 750,
+    });
+  });
+});
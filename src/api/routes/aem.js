@@ -0,0 +1,191 @@
+const express = require('express');
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
+const { getAemAuthorization, refreshAemAuthorization } = require('../aemAuthorization');
+
+const AEM_HOST_URI = process.env.AEM_HOST_URI || process.env.REACT_APP_HOST_URI;
+const GRAPHQL_ENDPOINT = `/${(process.env.REACT_APP_GRAPHQL_ENDPOINT || 'content/graphql/global/endpoint.json').replace(/^\//, '')}`;
+const PERSISTED_QUERY_PREFIX = '/graphql/execute.json/';
+
+// Persisted queries used by the app (see usePersistedQueries.js)
+const DEFAULT_PERSISTED_QUERIES = [
+  'page-by-slug',
+  'teaser-list-by-path',
+  'article-by-slug',
+  'service-by-slug',
+  'articles',
+  'services',
+  'cta-by-path',
+  'navigation-by-path'
+];
+
+// Fully qualified names (<endpoint>/<query>) the proxy forwards; extend with
+// AEM_PROXY_ALLOWED_QUERIES (comma-separated)
+const ALLOWED_PERSISTED_QUERIES = new Set([
+  ...DEFAULT_PERSISTED_QUERIES.map((name) => `${process.env.REACT_APP_ENDPOINT}/${name}`),
+  ...(process.env.AEM_PROXY_ALLOWED_QUERIES || '').split(',').map((name) => name.trim()).filter(Boolean)
+]);
+
+// Ad-hoc GraphQL queries are only forwarded outside production (e.g. /test-graphql)
+const ALLOW_GRAPHQL_QUERIES = process.env.NODE_ENV !== 'production';
+
+// Response headers that must never reach the browser
+const STRIPPED_RESPONSE_HEADERS = [
+  'set-cookie',
+  'www-authenticate',
+  'authorization',
+  'proxy-authenticate',
+  'x-aem-debug'
+];
+
+// Hop-by-hop headers of the AEM connection, not the browser's
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding'];
+
+// Responses that mean the token expired or was revoked
+const AUTH_ERROR_STATUSES = [401, 403];
+
+/**
+ * Fully qualified persisted query name from a request path, e.g.
+ * /graphql/execute.json/securbank/page-by-slug%3Bslug%3Dhome -> securbank/page-by-slug
+ * @param {string} requestPath - Path relative to /api/aem
+ * @returns {string|null} - Query name or null if the path is malformed
+ */
+function getPersistedQueryName(requestPath) {
+  try {
+    const decoded = decodeURIComponent(requestPath.slice(PERSISTED_QUERY_PREFIX.length));
+    // Dot segments could resolve to a different query than the allow-listed one
+    return /(^|\/)\.\.(\/|;|$)/.test(decoded) ? null : decoded.split(';')[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Only let allow-listed persisted queries (and, outside production, GraphQL
+ * queries) through to AEM
+ */
+function validateAemRequest(req, res, next) {
+  if (req.method === 'GET' && req.path.startsWith(PERSISTED_QUERY_PREFIX)) {
+    const queryName = getPersistedQueryName(req.path);
+    if (queryName && ALLOWED_PERSISTED_QUERIES.has(queryName)) {
+      return next();
+    }
+    return res.status(403).json({
+      error: 'Persisted query not allowed',
+      query: queryName
+    });
+  }
+
+  if (req.method === 'POST' && req.path === GRAPHQL_ENDPOINT && ALLOW_GRAPHQL_QUERIES) {
+    return next();
+  }
+
+  res.status(404).json({ error: 'Not found' });
+}
+
+/**
+ * Attach the server-side Authorization header to the proxied request
+ */
+async function attachAuthorization(req, res, next) {
+  try {
+    req.aemAuthorization = await getAemAuthorization();
+    next();
+  } catch (error) {
+    console.error('Error authorizing AEM request:', error);
+    res.status(502).json({
+      error: 'AEM authorization failed',
+      message: 'Could not obtain credentials for AEM'
+    });
+  }
+}
+
+/**
+ * Create the AEM proxy router
+ * @param {object} options
+ * @param {Set<string>} options.allowedOrigins - Origins allowed to read proxied responses
+ * @returns {express.Router}
+ */
+function createAemProxy({ allowedOrigins }) {
+  const router = express.Router();
+
+  if (!AEM_HOST_URI) {
+    console.warn('AEM_HOST_URI / REACT_APP_HOST_URI not set, /api/aem is disabled');
+    router.use((req, res) => res.status(503).json({ error: 'AEM host not configured' }));
+    return router;
+  }
+
+  const proxy = createProxyMiddleware({
+    target: AEM_HOST_URI,
+    changeOrigin: true,
+    pathRewrite: { '^/api/aem': '' },
+    // Responses are written in onProxyRes, so a rejected token can be retried
+    selfHandleResponse: true,
+    onProxyReq: function(proxyReq, req) {
+      // Browser credentials are never forwarded to AEM
+      proxyReq.removeHeader('cookie');
+      proxyReq.removeHeader('authorization');
+      if (req.aemAuthorization) {
+        proxyReq.setHeader('Authorization', req.aemAuthorization);
+      }
+      fixRequestBody(proxyReq, req);
+    },
+    onProxyRes: function(proxyRes, req, res) {
+      // A token revoked before it expires is rejected; retry once with a new one
+      if (AUTH_ERROR_STATUSES.includes(proxyRes.statusCode) && req.aemAuthorization && !req.aemRetried) {
+        proxyRes.resume();
+        req.aemRetried = true;
+        retryWithNewAuthorization(req, res);
+        return;
+      }
+
+      STRIPPED_RESPONSE_HEADERS.concat(HOP_BY_HOP_HEADERS).forEach((header) => {
+        delete proxyRes.headers[header];
+      });
+
+      const origin = req.headers.origin;
+      // Only set ACAO for allow-listed origins — never reflect an arbitrary origin
+      // or fall back to '*', which would bypass the Same-Origin Policy.
+      if (origin && allowedOrigins.has(origin)) {
+        proxyRes.headers['Access-Control-Allow-Origin'] = origin;
+        proxyRes.headers['Access-Control-Allow-Credentials'] = 'true';
+      } else {
+        delete proxyRes.headers['access-control-allow-origin'];
+        delete proxyRes.headers['access-control-allow-credentials'];
+      }
+      proxyRes.headers['Access-Control-Allow-Methods'] = 'GET, POST, OPTIONS';
+      proxyRes.headers['Access-Control-Allow-Headers'] = 'Origin, X-Requested-With, Content-Type, Accept';
+
+      res.writeHead(proxyRes.statusCode, proxyRes.headers);
+      proxyRes.pipe(res);
+    },
+    onError: function(error, req, res) {
+      console.error('AEM proxy error:', error.message);
+      if (!res.headersSent) {
+        res.status(502).json({ error: 'AEM request failed' });
+      }
+    }
+  });
+
+  async function retryWithNewAuthorization(req, res) {
+    try {
+      req.aemAuthorization = await refreshAemAuthorization(req.aemAuthorization);
+    } catch (error) {
+      console.error('Error reauthorizing AEM request:', error);
+      res.status(502).json({
+        error: 'AEM authorization failed',
+        message: 'Could not obtain credentials for AEM'
+      });
+      return;
+    }
+    proxy(req, res, () => res.status(404).json({ error: 'Not found' }));
+  }
+
+  router.use(validateAemRequest, attachAuthorization, proxy);
+
+  return router;
+}
+
+module.exports = {
+  createAemProxy,
+  getPersistedQueryName,
+  ALLOWED_PERSISTED_QUERIES
+};
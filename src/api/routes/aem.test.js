@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+const http = require("http");
+const express = require("express");
+const fetch = require("cross-fetch");
+
+const ENDPOINT = "securbank";
+const QUERY_PATH = `/graphql/execute.json/${ENDPOINT}/articles`;
+
+const mockTokens = { current: "revoked-token", next: "fresh-token" };
+const mockClearServiceTokens = jest.fn();
+
+jest.mock("../serviceTokenManager", () => ({
+  obtainServiceToken: async () => ({ token: mockTokens.current }),
+  clearServiceTokens: (...args) => mockClearServiceTokens(...args),
+}));
+
+/**
+ * AEM stand-in that rejects every token but "fresh-token" with a 401
+ */
+function startAemStub(requests) {
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, authorization: req.headers.authorization });
+    if (req.headers.authorization !== "Bearer fresh-token") {
+      res.writeHead(401, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Token revoked" }));
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ data: { articleList: { items: [] } } }));
+  });
+  return listen(server);
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+const urlOf = (server, path) => `http://127.0.0.1:${server.address().port}${path}`;
+
+describe("AEM proxy", () => {
+  const env = process.env;
+  const requests = [];
+  let aem;
+  let app;
+
+  beforeAll(async () => {
+    aem = await startAemStub(requests);
+
+    // The proxy reads its configuration when the module loads
+    process.env = {
+      ...env,
+      AEM_HOST_URI: urlOf(aem, ""),
+      AEM_AUTH_METHOD: "service-token",
+      REACT_APP_ENDPOINT: ENDPOINT,
+    };
+    const { createAemProxy } = require("./aem");
+
+    const server = express();
+    server.use("/api/aem", createAemProxy({ allowedOrigins: new Set() }));
+    app = await listen(http.createServer(server));
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    mockTokens.current = "revoked-token";
+    mockClearServiceTokens.mockImplementation(async () => {
+      mockTokens.current = mockTokens.next;
+      return 1;
+    });
+  });
+
+  afterAll((done) => {
+    process.env = env;
+    app.close(() => aem.close(done));
+  });
+
+  it("retries once with a new service token when AEM rejects the cached one", async () => {
+    const response = await fetch(urlOf(app, `/api/aem${QUERY_PATH}`));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ data: { articleList: { items: [] } } });
+    expect(mockClearServiceTokens).toHaveBeenCalledTimes(1);
+    expect(requests).toEqual([
+      { url: QUERY_PATH, authorization: "Bearer revoked-token" },
+      { url: QUERY_PATH, authorization: "Bearer fresh-token" },
+    ]);
+  });
+
+  it("passes the rejection on when the new token is rejected too", async () => {
+    mockTokens.next = "also-revoked";
+    try {
+      const response = await fetch(urlOf(app, `/api/aem${QUERY_PATH}`));
+
+      expect(response.status).toBe(401);
+      expect(requests).toHaveLength(2);
+    } finally {
+      mockTokens.next = "fresh-token";
+    }
+  });
+
+  it("does not exchange a new token when another request already did", async () => {
+    const { refreshAemAuthorization } = require("../aemAuthorization");
+    mockTokens.current = "fresh-token";
+
+    await expect(refreshAemAuthorization("Bearer revoked-token")).resolves.toBe(
+      "Bearer fresh-token"
+    );
+    expect(mockClearServiceTokens).not.toHaveBeenCalled();
+  });
+});
@@ -8,60 +8,31 @@ it.
 */
 
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
-const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const helmet = require('helmet');
 const router = express.Router();
 
 // Security configuration
+const { sanitizeConfigForLogging } = require('../securityConfig');
+const { getServerSecurityConfig } = require('../serverSecurityConfig');
 const {
-  SECURITY_CONFIG,
-  encryptData,
-  decryptData,
-  generateSecureId,
-  validateServiceConfig,
-  sanitizeConfigForLogging,
-  createSecureCacheKey
-} = require('../securityConfig');
+  obtainServiceToken,
+  getCachedServiceToken,
+  clearServiceTokens,
+  getTokenCacheSize,
+  getTokenStoreName
+} = require('../serviceTokenManager');
+const { auditRequest } = require('../auditLog');
+const { createRateLimiter } = require('../rateLimit');
 
-// Import Adobe API client library
-let exchange;
-try {
-  exchange = require("@adobe/aemcs-api-client-lib");
-} catch (error) {
-  console.error("@adobe/aemcs-api-client-lib not found.");
-  console.error("Install it from GitHub with: npm install https://github.com/adobe/aemcs-api-client-lib.git");
-  console.error("Or run: npm install");
-}
+const serverSecurity = getServerSecurityConfig();
 
 // Apply security headers
-router.use(helmet(SECURITY_CONFIG.HELMET_CONFIG));
+router.use(helmet(serverSecurity.helmet));
 
-// Rate limiting for authentication endpoints
-const tokenRateLimit = rateLimit(SECURITY_CONFIG.RATE_LIMIT);
-
-// Secure cache for service tokens (encrypted)
-const secureTokenCache = new Map();
-
-/**
- * Security audit log for token operations
- */
-function auditLog(operation, details = {}) {
-  const timestamp = new Date().toISOString();
-  const logEntry = {
-    timestamp,
-    operation,
-    ip: details.ip || 'unknown',
-    userAgent: details.userAgent || 'unknown',
-    success: details.success || false,
-    error: details.error || null
-  };
-  
-  // In production, this should go to a secure logging service
-  console.log('SECURITY_AUDIT:', JSON.stringify(logEntry));
-}
+// Rate limiting for the token endpoints (the `auth` policy), on top of the
+// `api` policy applied to every /api request
+const tokenRateLimit = createRateLimiter({ policy: 'auth' });
 
 /**
  * Input validation middleware for token requests
@@ -73,9 +44,7 @@ const validateTokenRequest = [
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      auditLog('token_request_validation_failed', {
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
+      auditRequest(req, 'token_request_validation_failed', {
         success: false,
         error: 'Invalid input parameters'
       });
@@ -90,68 +59,10 @@ const validateTokenRequest = [
 ];
 
 /**
- * Get cached token securely
- * @param {string} cacheKey - Cache key
- * @returns {object|null} - Cached token or null
- */
-function getSecureCachedToken(cacheKey) {
-  try {
-    const cached = secureTokenCache.get(cacheKey);
-    if (!cached) return null;
-    
-    // Check if token is still valid
-    if (cached.expiresAt <= Date.now()) {
-      secureTokenCache.delete(cacheKey);
-      return null;
-    }
-    
-    // Decrypt the token
-    const decryptedToken = decryptData(cached.encryptedToken);
-    
-    return {
-      token: decryptedToken,
-      expiresAt: cached.expiresAt,
-      id: cached.id
-    };
-  } catch (error) {
-    console.error('Error retrieving cached token:', error);
-    secureTokenCache.delete(cacheKey);
-    return null;
-  }
-}
-
-/**
- * Store token securely in cache
- * @param {string} cacheKey - Cache key
- * @param {string} token - Access token
- * @param {number} expiresIn - Expiry time in seconds
- * @returns {string} - Token ID for tracking
- */
-function setSecureCachedToken(cacheKey, token, expiresIn) {
-  try {
-    const tokenId = generateSecureId();
-    const expiresAt = Date.now() + ((expiresIn - SECURITY_CONFIG.TOKEN_SAFETY_MARGIN) * 1000);
-    
-    // Encrypt the token before caching
-    const encryptedToken = encryptData(token);
-    
-    secureTokenCache.set(cacheKey, {
-      encryptedToken,
-      expiresAt,
-      id: tokenId,
-      createdAt: Date.now()
-    });
-    
-    return tokenId;
-  } catch (error) {
-    console.error('Error caching token:', error);
-    throw new Error('Failed to cache token securely');
-  }
-}
-
-/**
- * Generate service token for Adobe AEM authentication
+ * Generate service token for Adobe AEM authentication, cached for the server's
+ * AEM requests. The token itself is never returned.
  * POST /api/auth/service-token
+ * Admins only: server.js requires an Okta access token in the admin group
  */
 router.post('/service-token', 
   tokenRateLimit,
@@ -161,96 +72,65 @@ router.post('/service-token',
     let serviceConfig = null;
     
     try {
-      // Create secure cache key
-      const cacheKey = createSecureCacheKey('adobe-service-token');
-      
-      // Check for valid cached token
-      const cachedToken = getSecureCachedToken(cacheKey);
-      if (cachedToken) {
-        auditLog('token_cache_hit', {
-          ip: req.ip,
-          userAgent: req.get('User-Agent'),
+      const serviceToken = await obtainServiceToken({
+        onConfigLoaded: (config) => { serviceConfig = config; }
+      });
+
+      if (serviceToken.cached) {
+        auditRequest(req, 'token_cache_hit', {
           success: true,
-          tokenId: cachedToken.id
+          tokenId: serviceToken.id
         });
-        
-        return res.json({
-          access_token: cachedToken.token,
-          expires_in: Math.floor((cachedToken.expiresAt - Date.now()) / 1000),
-          token_type: 'Bearer',
-          cached: true,
-          token_id: cachedToken.id
+      } else {
+        auditRequest(req, 'token_generated', {
+          success: true,
+          tokenId: serviceToken.id,
+          processingTime: Date.now() - startTime,
+          serviceConfig: serviceConfig ? sanitizeConfigForLogging(serviceConfig) : null
         });
       }
 
-      // Load and validate service configuration
-      const serviceJsonPath = path.join(__dirname, '..', '..', '..', 'service.json');
-      
-      if (!fs.existsSync(serviceJsonPath)) {
-        auditLog('service_config_missing', {
-          ip: req.ip,
-          userAgent: req.get('User-Agent'),
+      res.json({
+        expires_in: serviceToken.expiresIn,
+        cached: serviceToken.cached,
+        token_id: serviceToken.id
+      });
+
+    } catch (error) {
+      console.error('Error generating service token:', error);
+
+      if (error.code === 'SERVICE_CONFIG_MISSING') {
+        auditRequest(req, 'service_config_missing', {
           success: false,
-          error: 'Service configuration file not found'
-        });
-        
+          error: 'Service credentials not configured'
+        }, 'error');
+
         return res.status(500).json({
           error: 'Service configuration not found',
-          message: 'service.json file is missing'
+          message: 'No service credentials configured (AEM_SERVICE_JSON_BASE64, AEM_SERVICE_JSON_FILE, AEM_CLIENT_* variables or service.json)'
         });
       }
 
-      // Read and parse service configuration
-      const serviceConfigData = fs.readFileSync(serviceJsonPath, 'utf8');
-      serviceConfig = JSON.parse(serviceConfigData);
-      
-      // Validate service configuration security
-      validateServiceConfig(serviceConfig);
-      
-      // Exchange credentials for access token
-      const accessToken = await exchange(serviceConfig);
-      
-      if (!accessToken || !accessToken.access_token) {
-        throw new Error('Invalid token response from Adobe IMS');
-      }
-      
-      // Validate token expiry
-      const expiresIn = accessToken.expires_in || 3600;
-      if (expiresIn > SECURITY_CONFIG.MAX_TOKEN_AGE) {
-        console.warn('Token expiry exceeds maximum allowed age');
-      }
-      
-      // Cache the token securely
-      const tokenId = setSecureCachedToken(cacheKey, accessToken.access_token, expiresIn);
-      
-      auditLog('token_generated', {
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
-        success: true,
-        tokenId,
-        processingTime: Date.now() - startTime,
-        serviceConfig: sanitizeConfigForLogging(serviceConfig)
-      });
-
-      res.json({
-        access_token: accessToken.access_token,
-        expires_in: expiresIn,
-        token_type: 'Bearer',
-        cached: false,
-        token_id: tokenId
-      });
+      if (error.code === 'SERVICE_CONFIG_INVALID') {
+        auditRequest(req, 'service_config_invalid', {
+          success: false,
+          error: error.message
+        }, 'error');
 
-    } catch (error) {
-      console.error('Error generating service token:', error);
+        // Field paths and rule messages only, never configuration values
+        return res.status(500).json({
+          error: 'Invalid service configuration',
+          message: 'Service credentials failed validation',
+          details: error.errors
+        });
+      }
       
-      auditLog('token_generation_failed', {
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
+      auditRequest(req, 'token_generation_failed', {
         success: false,
         error: error.message,
         processingTime: Date.now() - startTime,
         serviceConfig: serviceConfig ? sanitizeConfigForLogging(serviceConfig) : null
-      });
+      }, 'error');
       
       // Don't expose internal error details in production
       const errorMessage = process.env.NODE_ENV === 'production' 
@@ -268,15 +148,13 @@ router.post('/service-token',
 /**
  * Clear cached service token
  * DELETE /api/auth/service-token
+ * Admins only: server.js requires an Okta access token in the admin group
  */
-router.delete('/service-token', tokenRateLimit, (req, res) => {
+router.delete('/service-token', tokenRateLimit, async (req, res) => {
   try {
-    const clearedCount = secureTokenCache.size;
-    secureTokenCache.clear();
+    const clearedCount = await clearServiceTokens();
     
-    auditLog('token_cache_cleared', {
-      ip: req.ip,
-      userAgent: req.get('User-Agent'),
+    auditRequest(req, 'token_cache_cleared', {
       success: true,
       clearedTokens: clearedCount
     });
@@ -288,12 +166,10 @@ router.delete('/service-token', tokenRateLimit, (req, res) => {
   } catch (error) {
     console.error('Error clearing token cache:', error);
     
-    auditLog('token_cache_clear_failed', {
-      ip: req.ip,
-      userAgent: req.get('User-Agent'),
+    auditRequest(req, 'token_cache_clear_failed', {
       success: false,
       error: error.message
-    });
+    }, 'error');
     
     res.status(500).json({
       error: 'Failed to clear token cache'
@@ -304,19 +180,17 @@ router.delete('/service-token', tokenRateLimit, (req, res) => {
 /**
  * Get service token status
  * GET /api/auth/service-token/status
+ * Admins only: server.js requires an Okta access token in the admin group
  */
-router.get('/service-token/status', tokenRateLimit, (req, res) => {
+router.get('/service-token/status', tokenRateLimit, async (req, res) => {
   try {
-    const cacheKey = createSecureCacheKey('adobe-service-token');
-    const cachedToken = getSecureCachedToken(cacheKey);
+    const cachedToken = await getCachedServiceToken();
     
     if (cachedToken) {
       const isValid = cachedToken.expiresAt > Date.now();
       const expiresIn = Math.floor((cachedToken.expiresAt - Date.now()) / 1000);
       
-      auditLog('token_status_check', {
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
+      auditRequest(req, 'token_status_check', {
         success: true,
         tokenId: cachedToken.id,
         isValid
@@ -330,9 +204,7 @@ router.get('/service-token/status', tokenRateLimit, (req, res) => {
         token_id: cachedToken.id
       });
     } else {
-      auditLog('token_status_check', {
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
+      auditRequest(req, 'token_status_check', {
         success: true,
         cached: false
       });
@@ -346,12 +218,10 @@ router.get('/service-token/status', tokenRateLimit, (req, res) => {
   } catch (error) {
     console.error('Error checking token status:', error);
     
-    auditLog('token_status_check_failed', {
-      ip: req.ip,
-      userAgent: req.get('User-Agent'),
+    auditRequest(req, 'token_status_check_failed', {
       success: false,
       error: error.message
-    });
+    }, 'error');
     
     res.status(500).json({
       error: 'Failed to check token status'
@@ -363,12 +233,24 @@ router.get('/service-token/status', tokenRateLimit, (req, res) => {
  * Health check endpoint for monitoring
  * GET /api/auth/health
  */
-router.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    cache_size: secureTokenCache.size
-  });
+router.get('/health', async (req, res) => {
+  try {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      token_store: getTokenStoreName(),
+      cache_size: await getTokenCacheSize()
+    });
+  } catch (error) {
+    console.error('Token store health check failed:', error);
+
+    res.status(503).json({
+      status: 'unhealthy',
+      timestamp: new Date().toISOString(),
+      token_store: getTokenStoreName(),
+      error: 'Token store unavailable'
+    });
+  }
 });
 
 module.exports = router; 
\ No newline at end of file
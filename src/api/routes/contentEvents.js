@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const express = require('express');
+const { auditRequest } = require('../auditLog');
+const { getBearerToken } = require('../oktaAuth');
+const { SERVER_EVENTS, serverEvents } = require('../serverEvents');
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Content change notifications from AEM, e.g. a replication or Content
+ * Fragment event webhook, so caches derived from AEM content (the sitemap)
+ * are rebuilt instead of waiting for their TTL
+ *   POST /api/content-changed - `Authorization: Bearer <secret>`, optional
+ *   JSON body { path } recorded in the audit log
+ * Answers 503 until a secret is configured.
+ * @param {object} [options]
+ * @param {string} [options.secret] - Shared secret; defaults to AEM_WEBHOOK_SECRET
+ * @returns {object} - Express router
+ */
+function createContentEventsRouter({ secret = process.env.AEM_WEBHOOK_SECRET } = {}) {
+  const router = express.Router();
+
+  router.post('/', (req, res) => {
+    if (!secret) {
+      return res.status(503).json({ error: 'Content change notifications are not configured on this server' });
+    }
+
+    const token = getBearerToken(req);
+    if (!token || !crypto.timingSafeEqual(digest(token), digest(secret))) {
+      auditRequest(req, 'content_changed_rejected', {
+        success: false,
+        error: 'Invalid webhook secret'
+      });
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const path = typeof req.body?.path === 'string' ? req.body.path.slice(0, 500) : null;
+    serverEvents.emit(SERVER_EVENTS.CONTENT_CHANGED, { path });
+
+    auditRequest(req, 'content_changed', {
+      success: true,
+      contentPath: path
+    });
+    res.status(202).json({ message: 'Content change received' });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createContentEventsRouter
+};
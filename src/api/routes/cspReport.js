@@ -0,0 +1,116 @@
+const express = require('express');
+const { auditRequest } = require('../auditLog');
+
+// Distinct violations kept; reports for new ones are dropped once full
+const MAX_VIOLATIONS = Number(process.env.CSP_REPORT_MAX_VIOLATIONS) || 500;
+// Reporting API requests batch reports, but never this many legitimately
+const MAX_REPORTS_PER_REQUEST = 50;
+
+const REPORT_CONTENT_TYPES = ['application/csp-report', 'application/reports+json', 'application/json'];
+
+/**
+ * Where the blocked resource came from, without paths or query strings that
+ * may carry tokens: `inline`, `eval`, a scheme such as `data`, or an origin
+ */
+function normalizeBlocked(value) {
+  if (!value) return 'unknown';
+  if (/^(inline|eval|wasm-eval|trusted-types-\w+)$/.test(value)) return value;
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol) ? url.origin : url.protocol.replace(':', '');
+  } catch (error) {
+    return String(value).slice(0, 100);
+  }
+}
+
+function normalizePath(value) {
+  try {
+    return new URL(value).pathname;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+/**
+ * Read the violations of a request body, sent either by `report-uri`
+ * ({ "csp-report": {...} }) or by the Reporting API ([{ type, body }])
+ * @param {*} body - Parsed JSON body
+ * @returns {Array<object>} - Normalized violations
+ */
+function parseReports(body) {
+  const reports = Array.isArray(body)
+    ? body.filter((report) => report && report.type === 'csp-violation').map((report) => report.body || {})
+    : body && body['csp-report']
+      ? [{
+        documentURL: body['csp-report']['document-uri'],
+        blockedURL: body['csp-report']['blocked-uri'],
+        effectiveDirective: body['csp-report']['effective-directive'] || body['csp-report']['violated-directive'],
+        disposition: body['csp-report'].disposition,
+        sourceFile: body['csp-report']['source-file'],
+        lineNumber: body['csp-report']['line-number']
+      }]
+      : [];
+
+  return reports.slice(0, MAX_REPORTS_PER_REQUEST).map((report) => ({
+    directive: String(report.effectiveDirective || 'unknown').split(' ')[0],
+    blocked: normalizeBlocked(report.blockedURL),
+    document: normalizePath(report.documentURL),
+    disposition: report.disposition === 'report' ? 'report' : 'enforce',
+    sourceFile: report.sourceFile ? normalizeBlocked(report.sourceFile) : null,
+    lineNumber: Number(report.lineNumber) || null
+  }));
+}
+
+/**
+ * Collect CSP violation reports, aggregated by directive, blocked source,
+ * page and disposition
+ *   POST /api/csp-report - report-uri and report-to endpoint
+ *   GET /api/csp-report - aggregated violations, outside production
+ * New violations are also written to the audit log.
+ * @returns {object} - Express router
+ */
+function createCspReportRouter() {
+  const router = express.Router();
+  const violations = new Map();
+
+  router.post('/', express.json({ type: REPORT_CONTENT_TYPES, limit: '64kb' }), (req, res) => {
+    const now = new Date().toISOString();
+
+    parseReports(req.body).forEach((violation) => {
+      const key = [violation.disposition, violation.directive, violation.blocked, violation.document].join('|');
+      const existing = violations.get(key);
+
+      if (existing) {
+        existing.count += 1;
+        existing.lastSeen = now;
+        return;
+      }
+      if (violations.size >= MAX_VIOLATIONS) return;
+
+      violations.set(key, { ...violation, count: 1, firstSeen: now, lastSeen: now });
+      auditRequest(req, 'csp_violation', { success: false, ...violation }, violation.disposition === 'enforce' ? 'warn' : 'info');
+    });
+
+    res.status(204).end();
+  });
+
+  router.get('/', (req, res) => {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const sorted = [...violations.values()].sort((a, b) => b.count - a.count);
+    res.json({
+      total: sorted.reduce((sum, violation) => sum + violation.count, 0),
+      distinct: sorted.length,
+      violations: sorted
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createCspReportRouter,
+  parseReports
+};
@@ -0,0 +1,250 @@
+const express = require('express');
+const { runPersistedQuery } = require('../persistedQueryClient');
+const { getAemAuthorization } = require('../aemAuthorization');
+const { SERVER_EVENTS, serverEvents } = require('../serverEvents');
+
+const router = express.Router();
+
+// The sitemap protocol allows at most 50,000 URLs per file
+const MAX_URLS_PER_SITEMAP = Number(process.env.SITEMAP_MAX_URLS) || 50000;
+const SITEMAP_CACHE_TTL = Number(process.env.SITEMAP_CACHE_TTL_MS) || 60 * 60 * 1000; // 1 hour
+
+// Routes that must never be crawled
+const DISALLOWED_PATHS = ['/test-graphql', '/api/', '/login/callback', '/account'];
+
+// Metadata fields that may carry the fragment's last modification date
+const LAST_MODIFIED_FIELDS = ['cq:lastModified', 'jcr:lastModified', 'lastModified', 'modified'];
+
+const STATIC_ROUTES = ['/', '/articles', '/services'];
+
+// Cached until it expires, the token cache is cleared or AEM reports a content
+// change (POST /api/content-changed, see ./contentEvents.js)
+let sitemapCache = null;
+// Keyed by the production flag only, as the Host header is client-supplied;
+// production answers for the configured SITE_URL alone
+const robotsCache = new Map();
+
+function clearCaches() {
+  sitemapCache = null;
+  robotsCache.clear();
+}
+
+serverEvents.on(SERVER_EVENTS.TOKEN_CACHE_CLEARED, clearCaches);
+serverEvents.on(SERVER_EVENTS.CONTENT_CHANGED, clearCaches);
+
+function getSiteUrl(req) {
+  const configured = process.env.SITE_URL || process.env.REACT_APP_SITE_URL;
+  return (configured || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+/**
+ * Whether the request targets the production site. Preview deployments,
+ * localhost and any host other than SITE_URL are treated as non-production.
+ */
+function isProductionHost(req) {
+  const configured = process.env.SITE_URL || process.env.REACT_APP_SITE_URL;
+  if (process.env.NODE_ENV !== 'production' || !configured) return false;
+
+  try {
+    return new URL(configured).hostname === req.hostname;
+  } catch (error) {
+    return false;
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Read the last modification date from a fragment's `_metadata`
+ * @param {object} fragment - Content Fragment
+ * @returns {string|null} - W3C date (YYYY-MM-DD) or null
+ */
+function getLastModified(fragment) {
+  const metadata = fragment?._metadata || {};
+  const candidates = [...(metadata.calendarMetadata || []), ...(metadata.stringMetadata || [])];
+
+  const match = candidates.find((meta) => LAST_MODIFIED_FIELDS.includes(meta?.name) && meta.value);
+  if (!match) return null;
+
+  const date = new Date(match.value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * List every fragment of a paginated persisted query, following
+ * `pageInfo.endCursor` until `hasNextPage` is false. The query must declare an
+ * `$after: String` variable and pass it to the paginated field, e.g.
+ * `articlePaginated(after: $after) { edges { node { ... } } pageInfo { endCursor hasNextPage } }`.
+ * @param {string} queryName - Persisted query name
+ * @param {string} rootField - Paginated root field, e.g. articlePaginated
+ * @returns {Promise<Array>} - Fragments of all pages
+ */
+async function listFragments(queryName, rootField) {
+  // Authenticated like the /api/aem proxy and server-side rendering
+  const authorization = await getAemAuthorization();
+  const fragments = [];
+  const seenCursors = new Set();
+  let after;
+
+  for (;;) {
+    const data = await runPersistedQuery(queryName, { after }, {
+      headers: authorization ? { Authorization: authorization } : {},
+    });
+    const { edges = [], pageInfo } = data?.[rootField] || {};
+    fragments.push(...edges.map((edge) => edge?.node || Object.values(edge || {})[0]).filter(Boolean));
+
+    const cursor = pageInfo?.endCursor;
+    if (!pageInfo?.hasNextPage || !cursor) break;
+    // A query that ignores $after would return the same page forever
+    if (seenCursors.has(cursor)) {
+      console.warn(`Persisted query ${queryName} does not advance past cursor ${cursor}, sitemap may be incomplete`);
+      break;
+    }
+    seenCursors.add(cursor);
+    after = cursor;
+  }
+
+  return fragments;
+}
+
+/**
+ * Collect every public URL with its last modification date
+ * @returns {Promise<Array>} - Entries as { path, lastmod }
+ */
+async function collectSitemapEntries() {
+  const [articles, services] = await Promise.all([
+    listFragments('articles', 'articlePaginated'),
+    listFragments('services', 'servicePaginated'),
+  ]);
+
+  const toEntries = (fragments, prefix) => fragments
+    .filter((fragment) => fragment.slug)
+    .map((fragment) => ({
+      path: `/${prefix}/${encodeURIComponent(fragment.slug)}`,
+      lastmod: getLastModified(fragment),
+    }));
+
+  return [
+    ...STATIC_ROUTES.map((path) => ({ path, lastmod: null })),
+    ...toEntries(articles, 'articles'),
+    ...toEntries(services, 'services'),
+  ];
+}
+
+async function getSitemapEntries() {
+  if (sitemapCache && sitemapCache.expiresAt > Date.now()) {
+    return sitemapCache.entries;
+  }
+
+  const entries = await collectSitemapEntries();
+  sitemapCache = { entries, expiresAt: Date.now() + SITEMAP_CACHE_TTL };
+  return entries;
+}
+
+function renderUrlSet(siteUrl, entries) {
+  const urls = entries.map(({ path, lastmod }) => [
+    '  <url>',
+    `    <loc>${escapeXml(siteUrl + path)}</loc>`,
+    lastmod ? `    <lastmod>${lastmod}</lastmod>` : null,
+    '  </url>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+  ].join('\n');
+}
+
+function renderSitemapIndex(siteUrl, pageCount) {
+  const sitemaps = Array.from({ length: pageCount }, (_, index) =>
+    `  <sitemap>\n    <loc>${escapeXml(`${siteUrl}/sitemap-${index + 1}.xml`)}</loc>\n  </sitemap>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps,
+    '</sitemapindex>',
+  ].join('\n');
+}
+
+function sendXml(res, xml) {
+  res.set('Cache-Control', `public, max-age=${Math.floor(SITEMAP_CACHE_TTL / 1000)}`);
+  res.type('application/xml').send(xml);
+}
+
+/**
+ * Sitemap, or a sitemap index when the catalog exceeds one file
+ * GET /sitemap.xml
+ */
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const entries = await getSitemapEntries();
+    const siteUrl = getSiteUrl(req);
+
+    if (entries.length > MAX_URLS_PER_SITEMAP) {
+      return sendXml(res, renderSitemapIndex(siteUrl, Math.ceil(entries.length / MAX_URLS_PER_SITEMAP)));
+    }
+
+    sendXml(res, renderUrlSet(siteUrl, entries));
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+    res.status(503).type('text/plain').send('Sitemap temporarily unavailable');
+  }
+});
+
+/**
+ * One page of a sitemap index
+ * GET /sitemap-:page.xml
+ */
+router.get(/^\/sitemap-(\d+)\.xml$/, async (req, res) => {
+  try {
+    const page = Number(req.params[0]);
+    const entries = await getSitemapEntries();
+    const pageEntries = entries.slice((page - 1) * MAX_URLS_PER_SITEMAP, page * MAX_URLS_PER_SITEMAP);
+
+    if (page < 1 || !pageEntries.length) {
+      return res.status(404).type('text/plain').send('Sitemap not found');
+    }
+
+    sendXml(res, renderUrlSet(getSiteUrl(req), pageEntries));
+  } catch (error) {
+    console.error('Error generating sitemap page:', error);
+    res.status(503).type('text/plain').send('Sitemap temporarily unavailable');
+  }
+});
+
+/**
+ * Environment-aware robots.txt: non-production hosts are not crawled at all
+ * GET /robots.txt
+ */
+router.get('/robots.txt', (req, res) => {
+  const production = isProductionHost(req);
+  const cacheKey = String(production);
+
+  if (!robotsCache.has(cacheKey)) {
+    const lines = production
+      ? [
+        'User-agent: *',
+        ...DISALLOWED_PATHS.map((path) => `Disallow: ${path}`),
+        '',
+        `Sitemap: ${getSiteUrl(req)}/sitemap.xml`,
+      ]
+      : ['User-agent: *', 'Disallow: /'];
+
+    robotsCache.set(cacheKey, `${lines.join('\n')}\n`);
+  }
+
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.type('text/plain').send(robotsCache.get(cacheKey));
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ */
+const http = require("http");
+const express = require("express");
+const fetch = require("cross-fetch");
+
+const ENDPOINT = "securbank";
+
+jest.mock("../aemAuthorization", () => ({
+  getAemAuthorization: async () => null,
+}));
+
+/**
+ * AEM stand-in serving the articles in pages of two and no services
+ */
+function startAemStub(slugs, requests) {
+  const server = http.createServer((req, res) => {
+    const url = decodeURIComponent(req.url);
+    requests.push(url);
+    const after = Number((url.match(/;after=(\d+)/) || [])[1] || 0);
+    const data = url.includes("/articles")
+      ? {
+        articlePaginated: {
+          edges: slugs.slice(after, after + 2).map((slug) => ({ cursor: slug, node: { slug } })),
+          pageInfo: { endCursor: String(after + 2), hasNextPage: after + 2 < slugs.length },
+        },
+      }
+      : { servicePaginated: { edges: [], pageInfo: { hasNextPage: false } } };
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ data }));
+  });
+  return listen(server);
+}
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+describe("sitemap.xml", () => {
+  const env = process.env;
+  const slugs = ["one", "two", "three", "four", "five"];
+  const requests = [];
+  let aem;
+  let app;
+
+  beforeAll(async () => {
+    aem = await startAemStub(slugs, requests);
+    process.env = {
+      ...env,
+      REACT_APP_HOST_URI: `http://127.0.0.1:${aem.address().port}`,
+      REACT_APP_ENDPOINT: ENDPOINT,
+      SITE_URL: "https://www.securbank.example",
+    };
+    // Jest's node environment has no fetch, the server gets Node's own
+    global.fetch = fetch;
+
+    const server = express();
+    server.use(require("./seo"));
+    app = await listen(http.createServer(server));
+  });
+
+  afterAll((done) => {
+    process.env = env;
+    delete global.fetch;
+    app.close(() => aem.close(done));
+  });
+
+  it("lists the fragments of every page of a paginated query", async () => {
+    const response = await fetch(`http://127.0.0.1:${app.address().port}/sitemap.xml`);
+    const xml = await response.text();
+
+    expect(response.status).toBe(200);
+    slugs.forEach((slug) =>
+      expect(xml).toContain(`<loc>https://www.securbank.example/articles/${slug}</loc>`)
+    );
+    expect(requests.filter((url) => url.includes("/articles"))).toEqual([
+      `/graphql/execute.json/${ENDPOINT}/articles`,
+      `/graphql/execute.json/${ENDPOINT}/articles;after=2`,
+      `/graphql/execute.json/${ENDPOINT}/articles;after=4`,
+    ]);
+  });
+});
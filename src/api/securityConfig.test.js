@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+const OLD_KEY = "aa".repeat(32);
+const NEW_KEY = "bb".repeat(32);
+
+// The keyring is loaded from process.env on first use
+const loadWithEnv = (variables) => {
+  const env = process.env;
+  process.env = { ...env, ...variables };
+  try {
+    let securityConfig;
+    jest.isolateModules(() => {
+      securityConfig = require("./securityConfig");
+    });
+    securityConfig.getCurrentEncryptionKeyId();
+    return securityConfig;
+  } finally {
+    process.env = env;
+  }
+};
+
+describe("securityConfig", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe("key rotation", () => {
+    it("decrypts data written with a retired key and re-encrypts it with the current one", () => {
+      const before = loadWithEnv({ TOKEN_ENCRYPTION_KEY: `k1:${OLD_KEY}` });
+      const encrypted = before.encryptData("service-token");
+      expect(before.getEncryptionKeyId(encrypted)).toBe("k1");
+
+      const after = loadWithEnv({
+        TOKEN_ENCRYPTION_KEY: `k2:${NEW_KEY}`,
+        TOKEN_ENCRYPTION_PREVIOUS_KEYS: `k1:${OLD_KEY}`,
+      });
+      expect(after.decryptData(encrypted)).toBe("service-token");
+
+      const reencrypted = after.reencryptData(encrypted);
+      expect(after.getEncryptionKeyId(reencrypted)).toBe("k2");
+      expect(after.decryptData(reencrypted)).toBe("service-token");
+      expect(after.reencryptData(reencrypted)).toBe(reencrypted);
+    });
+
+    it("cannot decrypt data once its key is removed from the previous keys", () => {
+      const before = loadWithEnv({ TOKEN_ENCRYPTION_KEY: `k1:${OLD_KEY}` });
+      const encrypted = before.encryptData("service-token");
+
+      const after = loadWithEnv({ TOKEN_ENCRYPTION_KEY: `k2:${NEW_KEY}` });
+      expect(() => after.decryptData(encrypted)).toThrow("Failed to decrypt data");
+      expect(() => after.reencryptData(encrypted)).toThrow("Failed to decrypt data");
+    });
+
+    it("rejects a retired key ID that claims another key's ciphertext", () => {
+      const before = loadWithEnv({ TOKEN_ENCRYPTION_KEY: `k1:${OLD_KEY}` });
+      const forged = before.encryptData("service-token").replace(".k1.", ".k2.");
+
+      const after = loadWithEnv({
+        TOKEN_ENCRYPTION_KEY: `k1:${NEW_KEY}`,
+        TOKEN_ENCRYPTION_PREVIOUS_KEYS: `k2:${OLD_KEY}`,
+      });
+      expect(() => after.decryptData(forged)).toThrow("Failed to decrypt data");
+    });
+  });
+
+  describe("parseEncryptionKey", () => {
+    const { parseEncryptionKey } = require("./securityConfig");
+
+    it("reads the key ID and key material of <id>:<key>", () => {
+      const { id, key } = parseEncryptionKey(`2024-01:${OLD_KEY}`, "TOKEN_ENCRYPTION_KEY");
+
+      expect(id).toBe("2024-01");
+      expect(key).toEqual(Buffer.from(OLD_KEY, "hex"));
+    });
+
+    it("derives a stable key ID when none is given", () => {
+      const first = parseEncryptionKey(OLD_KEY, "TOKEN_ENCRYPTION_KEY");
+      const second = parseEncryptionKey(Buffer.from(OLD_KEY, "hex").toString("base64"), "TOKEN_ENCRYPTION_KEY");
+
+      expect(first.id).toMatch(/^[0-9a-f]{8}$/);
+      expect(second.id).toBe(first.id);
+    });
+
+    it.each([
+      ["an invalid key ID", `bad id!:${OLD_KEY}`, /invalid key ID "bad id!"/],
+      ["a key ID longer than 32 characters", `${"k".repeat(33)}:${OLD_KEY}`, /invalid key ID/],
+      ["a short key", "k1:abcd", /must be 32 bytes/],
+      ["an empty key", "k1:", /must be 32 bytes/],
+    ])("rejects %s", (_, spec, message) => {
+      expect(() => parseEncryptionKey(spec, "TOKEN_ENCRYPTION_PREVIOUS_KEYS")).toThrow(
+        expect.objectContaining({ code: "ENCRYPTION_KEY_INVALID", message: expect.stringMatching(message) })
+      );
+    });
+
+    it("names the variable holding a malformed previous key", () => {
+      expect(() =>
+        loadWithEnv({
+          TOKEN_ENCRYPTION_KEY: `k2:${NEW_KEY}`,
+          TOKEN_ENCRYPTION_PREVIOUS_KEYS: `k1:${OLD_KEY},k0:not-a-key`,
+        })
+      ).toThrow(/^TOKEN_ENCRYPTION_PREVIOUS_KEYS must be 32 bytes/);
+    });
+  });
+});
@@ -0,0 +1,17 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Process-wide events shared by the server modules, so caches derived from AEM
+ * content can be dropped without the modules depending on each other.
+ */
+const SERVER_EVENTS = {
+  TOKEN_CACHE_CLEARED: 'token-cache-cleared',
+  CONTENT_CHANGED: 'content-changed',
+};
+
+const serverEvents = new EventEmitter();
+
+module.exports = {
+  SERVER_EVENTS,
+  serverEvents
+};
@@ -0,0 +1,317 @@
+/**
+ * Security settings of the Express server (allowed origins, rate limits, CSRF,
+ * Okta token verification, helmet and CSP), loaded from the environment on top
+ * of per-environment defaults.
+ * Invalid values stop the server at startup instead of weakening it silently.
+ */
+
+const crypto = require('crypto');
+const { buildContentSecurityPolicy } = require('./contentSecurityPolicy');
+const { loadEncryptionKeys } = require('./securityConfig');
+
+const ENVIRONMENTS = ['development', 'test', 'staging', 'production'];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Rate limit policies, chosen per request (see src/api/rateLimit): token
+// buckets refilling `max` requests per window and holding up to `burst`
+const RATE_LIMIT_POLICIES = ['static', 'spa', 'api', 'aem', 'auth'];
+
+// Defaults per environment; `test` uses the development defaults
+const ENVIRONMENT_DEFAULTS = {
+  development: {
+    allowedOrigins: [
+      'http://localhost:3000',
+      'https://localhost:3000',
+      'http://localhost:3001',
+      'https://publish-p18253-e46622.adobeaemcloud.com'
+    ],
+    rateLimitWindowMs: 15 * MINUTE_MS,
+    rateLimits: {
+      static: { max: 30000, burst: 3000 },
+      spa: { max: 3000, burst: 300 },
+      api: { max: 1000, burst: 200 },
+      aem: { max: 10000, burst: 1000 },
+      auth: { max: 100, burst: 20 }
+    }
+  },
+  staging: {
+    allowedOrigins: ['https://publish-p18253-e46622.adobeaemcloud.com'],
+    rateLimitWindowMs: 15 * MINUTE_MS,
+    rateLimits: {
+      static: { max: 3000, burst: 300 },
+      spa: { max: 300, burst: 30 },
+      api: { max: 100, burst: 20 },
+      aem: { max: 1000, burst: 100 },
+      auth: { max: 10, burst: 5 }
+    }
+  },
+  production: {
+    allowedOrigins: [
+      'https://securbankdemo.vercel.app',
+      'https://publish-p18253-e46622.adobeaemcloud.com'
+    ],
+    rateLimitWindowMs: 15 * MINUTE_MS,
+    rateLimits: {
+      static: { max: 3000, burst: 300 },
+      spa: { max: 300, burst: 30 },
+      api: { max: 100, burst: 20 },
+      aem: { max: 1000, burst: 100 },
+      auth: { max: 10, burst: 5 }
+    }
+  }
+};
+
+// Older names of the per-policy variables
+const RATE_LIMIT_ALIASES = {
+  RATE_LIMIT_API_MAX_REQUESTS: 'RATE_LIMIT_MAX_REQUESTS',
+  RATE_LIMIT_AUTH_MAX_REQUESTS: 'AUTH_RATE_LIMIT_MAX_REQUESTS'
+};
+
+function configError(errors) {
+  const error = new Error(`Invalid security configuration: ${errors.join('; ')}`);
+  error.code = 'SECURITY_CONFIG_INVALID';
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Parse an origin (scheme, host and port only). Outside development only https
+ * origins are accepted, except for localhost.
+ * @returns {string|null} - Normalized origin, or null after recording an error
+ */
+function parseOrigin(variable, value, { requireHttps }, errors) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    errors.push(`${variable} contains "${value}", which is not a URL`);
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || url.origin !== value.replace(/\/$/, '')) {
+    errors.push(`${variable} contains "${value}", expected an origin such as https://example.com (no path or wildcard)`);
+    return null;
+  }
+  if (requireHttps && url.protocol !== 'https:' && url.hostname !== 'localhost') {
+    errors.push(`${variable} contains "${value}", only https origins are allowed outside development`);
+    return null;
+  }
+  return url.origin;
+}
+
+/**
+ * Parse a CSRF signing secret: at least 32 bytes, as hex or base64
+ * @returns {Buffer|null} - Secret, or null after recording an error
+ */
+function parseSecret(variable, value, errors) {
+  const trimmed = value.trim();
+  const secret = /^[0-9a-f]+$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  if (secret.length < 32) {
+    errors.push(`${variable} must be at least 32 bytes, as hex or base64. Generate one with \`npm run security:generate\`.`);
+    return null;
+  }
+  return secret;
+}
+
+/**
+ * Token encryption keys (see securityConfig.loadEncryptionKeys), checked here
+ * so a missing or malformed key stops the server at startup. Without a key
+ * outside production, a random one is generated on first use.
+ */
+function checkEncryptionKeys(env, environment, errors) {
+  if (!env.TOKEN_ENCRYPTION_KEY && !env.ENCRYPTION_KEY && environment !== 'production') return;
+  try {
+    loadEncryptionKeys(env);
+  } catch (error) {
+    errors.push(error.message);
+  }
+}
+
+/**
+ * CSRF token signing secrets: CSRF_SECRET, then CSRF_PREVIOUS_SECRETS
+ * (comma-separated, verification only). Required outside development, where
+ * a random secret is used for the lifetime of the process.
+ */
+function loadCsrfSecrets(env, environment, errors) {
+  let current;
+  if (env.CSRF_SECRET) {
+    current = parseSecret('CSRF_SECRET', env.CSRF_SECRET, errors);
+  } else if (environment === 'staging' || environment === 'production') {
+    errors.push('CSRF_SECRET must be set outside development. Generate one with `npm run security:generate`.');
+  } else {
+    console.warn('CSRF_SECRET not set, using a random secret for this process. CSRF tokens will not survive a restart or be shared between instances.');
+    current = crypto.randomBytes(32);
+  }
+
+  const previous = (env.CSRF_PREVIOUS_SECRETS || '')
+    .split(',')
+    .filter((value) => value.trim())
+    .map((value) => parseSecret('CSRF_PREVIOUS_SECRETS', value, errors));
+
+  return [current, ...previous].filter(Boolean);
+}
+
+/**
+ * Okta access token verification (see src/api/oktaAuth). The issuer defaults to
+ * the one the browser signs in with; without one, routes requiring sign-in
+ * answer 503.
+ */
+function loadOktaConfig(env, requireHttps, errors) {
+  const issuer = (env.OKTA_ISSUER || env.REACT_APP_OKTA_ISSUER || '').replace(/\/$/, '') || null;
+  const split = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+  for (const [variable, value] of [['OKTA_ISSUER', issuer], ['OKTA_JWKS_URI', env.OKTA_JWKS_URI]]) {
+    if (!value) continue;
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      errors.push(`${variable} "${value}" is not a URL`);
+      continue;
+    }
+    if (requireHttps && url.protocol !== 'https:') {
+      errors.push(`${variable} "${value}" must use https outside development`);
+    }
+  }
+
+  return {
+    issuer,
+    audience: env.OKTA_AUDIENCE || 'api://default',
+    clientIds: split(env.OKTA_CLIENT_IDS || env.REACT_APP_OKTA_CLIENT_ID),
+    jwksUri: env.OKTA_JWKS_URI || (issuer ? `${issuer}/v1/keys` : null),
+    groupsClaim: env.OKTA_GROUPS_CLAIM || 'groups',
+    adminGroup: env.OKTA_ADMIN_GROUP || 'admin'
+  };
+}
+
+function parseInteger(env, name, fallback, { min, max }, errors) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push(`${name} must be an integer between ${min} and ${max}, got "${env[name]}"`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * Load the server security configuration
+ *   NODE_ENV - development (default), test, staging or production
+ *   ALLOWED_ORIGINS - comma-separated origins for CORS and CSRF origin checks
+ *   RATE_LIMIT_WINDOW_MS - refill window shared by the rate limit policies
+ *   RATE_LIMIT_<POLICY>_MAX_REQUESTS, RATE_LIMIT_<POLICY>_BURST - per policy
+ *     (STATIC, SPA, API, AEM, AUTH); RATE_LIMIT_MAX_REQUESTS and
+ *     AUTH_RATE_LIMIT_MAX_REQUESTS are read for API and AUTH
+ *   RATE_LIMIT_STORE - memory (default) or redis, at RATE_LIMIT_REDIS_URL
+ *   CSP_REPORT_ONLY, CSP_FRAME_ANCESTORS - see buildContentSecurityPolicy
+ *   CSRF_SECRET, CSRF_PREVIOUS_SECRETS - CSRF token signing secrets
+ *   TOKEN_ENCRYPTION_KEY, TOKEN_ENCRYPTION_PREVIOUS_KEYS - checked only, see securityConfig
+ *   OKTA_ISSUER (or REACT_APP_OKTA_ISSUER), OKTA_AUDIENCE, OKTA_CLIENT_IDS (or
+ *     REACT_APP_OKTA_CLIENT_ID), OKTA_JWKS_URI, OKTA_GROUPS_CLAIM,
+ *     OKTA_ADMIN_GROUP - access token verification
+ * @param {object} [env] - Environment variables
+ * @returns {object} - { environment, allowedOrigins, rateLimits, csrf, okta, helmet }
+ * @throws {Error} - SECURITY_CONFIG_INVALID listing every invalid value
+ */
+function loadServerSecurityConfig(env = process.env) {
+  const errors = [];
+  const environment = env.NODE_ENV || 'development';
+
+  if (!ENVIRONMENTS.includes(environment)) {
+    throw configError([`NODE_ENV must be one of ${ENVIRONMENTS.join(', ')}, got "${environment}"`]);
+  }
+
+  const defaults = ENVIRONMENT_DEFAULTS[environment === 'test' ? 'development' : environment];
+  const requireHttps = environment === 'staging' || environment === 'production';
+
+  const origins = env.ALLOWED_ORIGINS
+    ? env.ALLOWED_ORIGINS.split(',').map((origin) => origin.trim()).filter(Boolean)
+    : defaults.allowedOrigins;
+  const parseOrigins = (variable, values) =>
+    values.map((origin) => parseOrigin(variable, origin, { requireHttps }, errors)).filter(Boolean);
+
+  const allowedOrigins = new Set(parseOrigins('ALLOWED_ORIGINS', origins));
+  if (!allowedOrigins.size && !errors.length) {
+    errors.push('ALLOWED_ORIGINS must list at least one origin');
+  }
+
+  const windowMs = parseInteger(env, 'RATE_LIMIT_WINDOW_MS', defaults.rateLimitWindowMs, { min: 1000, max: DAY_MS }, errors);
+  const policies = Object.fromEntries(RATE_LIMIT_POLICIES.map((policy) => {
+    const prefix = `RATE_LIMIT_${policy.toUpperCase()}`;
+    const maxVariable = [`${prefix}_MAX_REQUESTS`, RATE_LIMIT_ALIASES[`${prefix}_MAX_REQUESTS`]]
+      .find((name) => name && env[name] !== undefined) || `${prefix}_MAX_REQUESTS`;
+    const max = parseInteger(env, maxVariable, defaults.rateLimits[policy].max, { min: 1, max: 1000000 }, errors);
+    const burst = parseInteger(env, `${prefix}_BURST`, Math.min(defaults.rateLimits[policy].burst, max), { min: 1, max: 1000000 }, errors);
+    return [policy, { max, burst, windowMs }];
+  }));
+
+  const rateLimitStore = (env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  const rateLimitRedisUrl = env.RATE_LIMIT_REDIS_URL || env.TOKEN_STORE_REDIS_URL || env.REDIS_URL;
+  if (!['memory', 'redis'].includes(rateLimitStore)) {
+    errors.push(`RATE_LIMIT_STORE must be memory or redis, got "${env.RATE_LIMIT_STORE}"`);
+  } else if (rateLimitStore === 'redis' && !rateLimitRedisUrl) {
+    errors.push('RATE_LIMIT_STORE=redis requires RATE_LIMIT_REDIS_URL, TOKEN_STORE_REDIS_URL or REDIS_URL');
+  }
+
+  const contentSecurityPolicy = buildContentSecurityPolicy(env, { parseOrigins }, errors);
+  const csrfSecrets = loadCsrfSecrets(env, environment, errors);
+  checkEncryptionKeys(env, environment, errors);
+  const okta = loadOktaConfig(env, requireHttps, errors);
+
+  if (errors.length) {
+    throw configError(errors);
+  }
+
+  return Object.freeze({
+    environment,
+    allowedOrigins,
+    rateLimits: {
+      store: rateLimitStore,
+      redisUrl: rateLimitStore === 'redis' ? rateLimitRedisUrl : null,
+      policies
+    },
+    csrf: {
+      secrets: csrfSecrets,
+      secureCookie: requireHttps,
+      // __Host- cookies must be Secure, for this host only, on path /
+      cookieName: requireHttps ? '__Host-securbank.csrf' : 'securbank.csrf'
+    },
+    okta,
+    helmet: {
+      contentSecurityPolicy,
+      // frame-ancestors decides who may frame the app (the Universal Editor)
+      xFrameOptions: false,
+      // Okta's popup sign-in reports back to its opener
+      crossOriginOpenerPolicy: { policy: 'same-origin-allow-popups' },
+      crossOriginEmbedderPolicy: false,
+      // Browsers remember HSTS per host, so it is never sent for localhost
+      strictTransportSecurity: environment === 'production' || environment === 'staging'
+        ? { maxAge: 31536000, includeSubDomains: true, preload: environment === 'production' }
+        : false
+    }
+  });
+}
+
+let serverSecurityConfig = null;
+
+/**
+ * Process-wide configuration, loaded from process.env on first use
+ * @returns {object}
+ */
+function getServerSecurityConfig() {
+  if (!serverSecurityConfig) {
+    serverSecurityConfig = loadServerSecurityConfig();
+  }
+  return serverSecurityConfig;
+}
+
+module.exports = {
+  ENVIRONMENTS,
+  RATE_LIMIT_POLICIES,
+  ENVIRONMENT_DEFAULTS,
+  loadServerSecurityConfig,
+  getServerSecurityConfig
+};
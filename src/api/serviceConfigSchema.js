@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+
+// Warn this many days before the integration certificate expires
+const CERTIFICATE_EXPIRY_WARNING_DAYS = Number(process.env.SERVICE_CERT_EXPIRY_WARNING_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shape of the service.json downloaded from the AEM Developer Console
+ * (Integrations > Technical Accounts), as consumed by @adobe/aemcs-api-client-lib.
+ */
+const SERVICE_CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['integration'],
+  properties: {
+    ok: { type: 'boolean' },
+    statusCode: { type: 'number' },
+    integration: {
+      type: 'object',
+      required: ['imsEndpoint', 'metascopes', 'technicalAccount', 'id', 'org', 'privateKey', 'publicKey'],
+      properties: {
+        imsEndpoint: {
+          type: 'string',
+          pattern: /^[a-z0-9.-]+$/i,
+          description: 'a host name without scheme, e.g. ims-na1.adobelogin.com'
+        },
+        metascopes: { type: 'string', minLength: 1 },
+        technicalAccount: {
+          type: 'object',
+          required: ['clientId', 'clientSecret'],
+          properties: {
+            clientId: { type: 'string', minLength: 1 },
+            clientSecret: { type: 'string', minLength: 1 }
+          }
+        },
+        email: {
+          type: 'string',
+          pattern: /@techacct\.adobe\.com$/,
+          description: 'a technical account email (...@techacct.adobe.com)'
+        },
+        id: {
+          type: 'string',
+          pattern: /@techacct\.adobe\.com$/,
+          description: 'a technical account ID (...@techacct.adobe.com)'
+        },
+        org: {
+          type: 'string',
+          pattern: /@AdobeOrg$/,
+          description: 'an IMS organization ID (...@AdobeOrg)'
+        },
+        privateKey: {
+          type: 'string',
+          pattern: /-----BEGIN (RSA )?PRIVATE KEY-----/,
+          description: 'a PEM private key (BEGIN RSA PRIVATE KEY or BEGIN PRIVATE KEY)'
+        },
+        publicKey: {
+          type: 'string',
+          pattern: /-----BEGIN CERTIFICATE-----/,
+          description: 'a PEM certificate (BEGIN CERTIFICATE)'
+        },
+        certificateExpirationDate: { type: 'string', format: 'date-time' }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema node, collecting field-level errors
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema node
+ * @param {string} field - Dotted path of the value, for messages
+ * @param {Array} errors - Collected { field, message }
+ */
+function checkSchema(value, schema, field, errors) {
+  if (typeOf(value) !== schema.type) {
+    errors.push({ field, message: `must be ${schema.type === 'object' ? 'an' : 'a'} ${schema.type}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push({ field, message: 'must not be empty' });
+    } else if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push({ field, message: `must be ${schema.description || `a string matching ${schema.pattern}`}` });
+    } else if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push({ field, message: 'must be an ISO 8601 date' });
+    }
+    return;
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || [])
+      .filter((name) => value[name] === undefined)
+      .forEach((name) => errors.push({ field: field ? `${field}.${name}` : name, message: 'is required' }));
+
+    Object.entries(schema.properties || {})
+      .filter(([name]) => value[name] !== undefined)
+      .forEach(([name, propertySchema]) => {
+        checkSchema(value[name], propertySchema, field ? `${field}.${name}` : name, errors);
+      });
+  }
+}
+
+/**
+ * Parse the key pair and check that the certificate matches the private key and
+ * is not expired (or about to)
+ * @param {object} integration - service.json `integration`
+ * @param {Array} errors - Collected { field, message }
+ * @param {Array} warnings - Collected { field, message }
+ * @returns {object|null} - Certificate details, or null when it cannot be read
+ */
+function checkKeyPair(integration, errors, warnings) {
+  let privateKey;
+  let certificate;
+
+  try {
+    privateKey = crypto.createPrivateKey(integration.privateKey);
+  } catch (error) {
+    errors.push({ field: 'integration.privateKey', message: `cannot be parsed: ${error.message}` });
+  }
+
+  try {
+    certificate = new crypto.X509Certificate(integration.publicKey);
+  } catch (error) {
+    errors.push({ field: 'integration.publicKey', message: `cannot be parsed: ${error.message}` });
+    return null;
+  }
+
+  if (privateKey && !certificate.checkPrivateKey(privateKey)) {
+    errors.push({ field: 'integration.privateKey', message: 'does not match the certificate in integration.publicKey' });
+  }
+
+  const expiresAt = new Date(certificate.validTo);
+  const daysRemaining = Math.floor((expiresAt.getTime() - Date.now()) / DAY_MS);
+
+  if (integration.certificateExpirationDate) {
+    const declared = new Date(integration.certificateExpirationDate);
+    if (!Number.isNaN(declared.getTime()) && Math.abs(declared.getTime() - expiresAt.getTime()) > DAY_MS) {
+      warnings.push({
+        field: 'integration.certificateExpirationDate',
+        message: `does not match the certificate, which expires on ${expiresAt.toISOString()}`
+      });
+    }
+  }
+
+  if (expiresAt.getTime() <= Date.now()) {
+    errors.push({
+      field: 'integration.publicKey',
+      message: `certificate expired on ${expiresAt.toISOString()}; create a new one in the AEM Developer Console`
+    });
+  } else if (daysRemaining <= CERTIFICATE_EXPIRY_WARNING_DAYS) {
+    warnings.push({
+      field: 'integration.publicKey',
+      message: `certificate expires in ${daysRemaining} day(s), on ${expiresAt.toISOString()}`
+    });
+  }
+
+  return {
+    subject: certificate.subject,
+    expiresAt: expiresAt.toISOString(),
+    daysRemaining
+  };
+}
+
+/**
+ * Check a service configuration against SERVICE_CONFIG_SCHEMA and verify its
+ * key pair, without throwing
+ * @param {object} config - Parsed service.json
+ * @returns {object} - { valid, errors, warnings, certificate }, errors and
+ *   warnings as { field, message }
+ */
+function checkServiceConfig(config) {
+  const errors = [];
+  const warnings = [];
+  let certificate = null;
+
+  checkSchema(config, SERVICE_CONFIG_SCHEMA, '', errors);
+
+  const integration = config?.integration;
+  const keyFieldsValid = !errors.some(({ field }) =>
+    ['integration', 'integration.privateKey', 'integration.publicKey'].includes(field));
+
+  if (integration && keyFieldsValid) {
+    certificate = checkKeyPair(integration, errors, warnings);
+  }
+
+  return { valid: errors.length === 0, errors, warnings, certificate };
+}
+
+/**
+ * Format field-level issues as one line each
+ * @param {Array} issues - { field, message }
+ * @returns {string}
+ */
+function formatIssues(issues) {
+  return issues.map(({ field, message }) => `${field || 'service.json'} ${message}`).join('; ');
+}
+
+module.exports = {
+  SERVICE_CONFIG_SCHEMA,
+  CERTIFICATE_EXPIRY_WARNING_DAYS,
+  checkServiceConfig,
+  formatIssues
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEGACY_SERVICE_JSON_PATH = path.join(__dirname, '..', '..', 'service.json');
+
+/**
+ * Sources of the service credentials (the AEM Developer Console integration
+ * JSON), in order of precedence. The first one configured wins:
+ *
+ * 1. AEM_SERVICE_JSON_BASE64 - the whole service.json, base64 encoded
+ * 2. AEM_SERVICE_JSON_FILE - path to a mounted secrets file (e.g. /run/secrets/service.json)
+ * 3. Individual variables: AEM_CLIENT_ID, AEM_CLIENT_SECRET, ... (the REACT_APP_*
+ *    names from older env files are still read, see ENV_FIELDS)
+ * 4. service.json at the repository root (deprecated)
+ */
+const CREDENTIAL_SOURCES = ['env-base64', 'secrets-file', 'env-variables', 'service-json'];
+
+// Individual variables: integration field -> variable names, first set wins
+const ENV_FIELDS = {
+  imsEndpoint: ['AEM_IMS_ENDPOINT', 'REACT_APP_IMS_ENDPOINT'],
+  clientId: ['AEM_CLIENT_ID', 'REACT_APP_CLIENT_ID'],
+  clientSecret: ['AEM_CLIENT_SECRET', 'REACT_APP_CLIENT_SECRET'],
+  id: ['AEM_TECHNICAL_ACCOUNT_ID', 'REACT_APP_TECHNICAL_ACCOUNT_ID'],
+  email: ['AEM_TECHNICAL_ACCOUNT_EMAIL'],
+  org: ['AEM_ORG_ID', 'REACT_APP_ORG_ID'],
+  metascopes: ['AEM_META_SCOPES', 'REACT_APP_META_SCOPES'],
+  privateKey: ['AEM_PRIVATE_KEY'],
+  publicKey: ['AEM_CERTIFICATE'],
+  certificateExpirationDate: ['AEM_CERTIFICATE_EXPIRATION_DATE']
+};
+
+// Required by SERVICE_CONFIG_SCHEMA (see ./serviceConfigSchema); the variables
+// are only used as a source when all of them are set
+const REQUIRED_ENV_FIELDS = ['clientId', 'clientSecret', 'id', 'org', 'privateKey', 'publicKey'];
+
+function credentialsError(message, code = 'SERVICE_CONFIG_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function readEnvField(env, field) {
+  const name = ENV_FIELDS[field].find((variable) => env[variable]);
+  return name ? env[name] : undefined;
+}
+
+/**
+ * PEM values in environment variables often carry escaped newlines, or are
+ * base64 encoded as a whole
+ */
+function readPem(value) {
+  if (!value) return value;
+  const pem = value.includes('-----BEGIN') ? value : Buffer.from(value, 'base64').toString('utf8');
+  return pem.replace(/\\n/g, '\n');
+}
+
+function parseServiceJson(contents, source) {
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    throw credentialsError(`Service credentials from ${source} are not valid JSON: ${error.message}`);
+  }
+}
+
+function fromBase64(env) {
+  if (!env.AEM_SERVICE_JSON_BASE64) return null;
+  const contents = Buffer.from(env.AEM_SERVICE_JSON_BASE64, 'base64').toString('utf8');
+  return parseServiceJson(contents, 'AEM_SERVICE_JSON_BASE64');
+}
+
+function fromSecretsFile(env) {
+  if (!env.AEM_SERVICE_JSON_FILE) return null;
+  if (!fs.existsSync(env.AEM_SERVICE_JSON_FILE)) {
+    // Configured but missing is a deployment error, not a reason to fall through
+    throw credentialsError(`AEM_SERVICE_JSON_FILE points to a missing file: ${env.AEM_SERVICE_JSON_FILE}`, 'SERVICE_CONFIG_MISSING');
+  }
+  return parseServiceJson(fs.readFileSync(env.AEM_SERVICE_JSON_FILE, 'utf8'), 'AEM_SERVICE_JSON_FILE');
+}
+
+function fromEnvVariables(env) {
+  const values = Object.keys(ENV_FIELDS).reduce((acc, field) => {
+    acc[field] = readEnvField(env, field);
+    return acc;
+  }, {});
+
+  if (!REQUIRED_ENV_FIELDS.every((field) => values[field])) return null;
+
+  return {
+    integration: {
+      imsEndpoint: values.imsEndpoint || 'ims-na1.adobelogin.com',
+      metascopes: values.metascopes || 'ent_aem_cloud_api',
+      technicalAccount: {
+        clientId: values.clientId,
+        clientSecret: values.clientSecret
+      },
+      ...(values.email ? { email: values.email } : {}),
+      id: values.id,
+      org: values.org,
+      privateKey: readPem(values.privateKey),
+      publicKey: readPem(values.publicKey),
+      ...(values.certificateExpirationDate ? { certificateExpirationDate: values.certificateExpirationDate } : {})
+    }
+  };
+}
+
+function fromServiceJson(env, serviceJsonPath) {
+  if (!fs.existsSync(serviceJsonPath)) return null;
+  if (env.NODE_ENV === 'production') {
+    console.warn('Reading service credentials from service.json is deprecated, use AEM_SERVICE_JSON_BASE64 or AEM_SERVICE_JSON_FILE');
+  }
+  return parseServiceJson(fs.readFileSync(serviceJsonPath, 'utf8'), 'service.json');
+}
+
+const LOADERS = {
+  'env-base64': fromBase64,
+  'secrets-file': fromSecretsFile,
+  'env-variables': fromEnvVariables,
+  'service-json': fromServiceJson
+};
+
+/**
+ * Load the service credentials from the first configured source
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment variables
+ * @param {string} [options.serviceJsonPath] - Legacy service.json location
+ * @returns {object} - { config, source }, config in the service.json shape
+ */
+function loadServiceCredentials({ env = process.env, serviceJsonPath = LEGACY_SERVICE_JSON_PATH } = {}) {
+  for (const source of CREDENTIAL_SOURCES) {
+    const config = LOADERS[source](env, serviceJsonPath);
+    if (config) {
+      return { config, source };
+    }
+  }
+
+  const requiredVariables = REQUIRED_ENV_FIELDS.map((field) => ENV_FIELDS[field][0]).join('/');
+  throw credentialsError(
+    `No service credentials configured: set AEM_SERVICE_JSON_BASE64, AEM_SERVICE_JSON_FILE or the ${requiredVariables} variables`,
+    'SERVICE_CONFIG_MISSING'
+  );
+}
+
+module.exports = {
+  CREDENTIAL_SOURCES,
+  ENV_FIELDS,
+  REQUIRED_ENV_FIELDS,
+  loadServiceCredentials
+};
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+const path = require("path");
+const selfsigned = require("selfsigned");
+const { loadServiceCredentials } = require("./serviceCredentials");
+const { validateServiceConfig } = require("./securityConfig");
+
+// No service.json fallback
+const serviceJsonPath = path.join(__dirname, "missing-service.json");
+
+describe("loadServiceCredentials from individual variables", () => {
+  let env;
+
+  beforeAll(() => {
+    const pems = selfsigned.generate([{ name: "commonName", value: "securbank-integration" }], {
+      days: 365,
+      keySize: 1024,
+      algorithm: "sha256",
+    });
+
+    env = {
+      AEM_CLIENT_ID: "cm-p1-e1-integration-0",
+      AEM_CLIENT_SECRET: "client-secret",
+      AEM_TECHNICAL_ACCOUNT_ID: "F8E92295682DE04E0A495E83@techacct.adobe.com",
+      AEM_ORG_ID: "21BD487E5F2280130A495ECC@AdobeOrg",
+      // As set in a hosting dashboard: escaped newlines and base64
+      AEM_PRIVATE_KEY: pems.private.replace(/\r?\n/g, "\\n"),
+      AEM_CERTIFICATE: Buffer.from(pems.cert).toString("base64"),
+    };
+  });
+
+  it("builds a service configuration that passes validation", () => {
+    const { config, source } = loadServiceCredentials({ env, serviceJsonPath });
+
+    expect(source).toBe("env-variables");
+    expect(config.integration).toMatchObject({
+      imsEndpoint: "ims-na1.adobelogin.com",
+      metascopes: "ent_aem_cloud_api",
+      technicalAccount: { clientId: "cm-p1-e1-integration-0", clientSecret: "client-secret" },
+      id: env.AEM_TECHNICAL_ACCOUNT_ID,
+      org: env.AEM_ORG_ID,
+    });
+    expect(validateServiceConfig(config).certificate.subject).toBe("CN=securbank-integration");
+  });
+
+  it.each(["AEM_TECHNICAL_ACCOUNT_ID", "AEM_ORG_ID", "AEM_CERTIFICATE"])(
+    "is not used as a source without %s",
+    (variable) => {
+      const { [variable]: omitted, ...partial } = env;
+
+      expect(() => loadServiceCredentials({ env: partial, serviceJsonPath })).toThrow(
+        expect.objectContaining({ code: "SERVICE_CONFIG_MISSING", message: expect.stringContaining(variable) })
+      );
+    }
+  );
+});
@@ -0,0 +1,252 @@
+const {
+  SECURITY_CONFIG,
+  encryptData,
+  decryptData,
+  generateSecureId,
+  validateServiceConfig,
+  createSecureCacheKey
+} = require('./securityConfig');
+const { SERVER_EVENTS, serverEvents } = require('./serverEvents');
+const { createTokenStore } = require('./tokenStore');
+const { loadServiceCredentials } = require('./serviceCredentials');
+
+// Import Adobe API client library
+let exchange;
+try {
+  exchange = require("@adobe/aemcs-api-client-lib");
+} catch (error) {
+  console.error("@adobe/aemcs-api-client-lib not found.");
+  console.error("Install it from GitHub with: npm install https://github.com/adobe/aemcs-api-client-lib.git");
+  console.error("Or run: npm install");
+}
+
+// Secure cache for service tokens (encrypted), shared between instances
+// depending on TOKEN_STORE (see ./tokenStore)
+const tokenStore = createTokenStore();
+
+// Only one instance exchanges credentials with IMS at a time
+const EXCHANGE_LOCK = 'adobe-service-token-exchange';
+const EXCHANGE_LOCK_TTL = 30 * 1000;
+const EXCHANGE_LOCK_WAIT = 35 * 1000;
+const EXCHANGE_LOCK_RETRY = 250;
+
+// In-flight exchange, shared by concurrent requests
+let pendingExchange = null;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Get cached token securely
+ * @param {string} cacheKey - Cache key
+ * @returns {Promise<object|null>} - Cached token or null
+ */
+async function getSecureCachedToken(cacheKey) {
+  try {
+    const stored = await tokenStore.get(cacheKey);
+    if (!stored) return null;
+
+    const cached = JSON.parse(stored);
+
+    // Check if token is still valid
+    if (cached.expiresAt <= Date.now()) {
+      await tokenStore.delete(cacheKey);
+      return null;
+    }
+
+    // Decrypt the token
+    const decryptedToken = decryptData(cached.encryptedToken);
+
+    return {
+      token: decryptedToken,
+      expiresAt: cached.expiresAt,
+      id: cached.id
+    };
+  } catch (error) {
+    console.error('Error retrieving cached token:', error);
+    await tokenStore.delete(cacheKey).catch(() => {});
+    return null;
+  }
+}
+
+/**
+ * Store token securely in cache
+ * @param {string} cacheKey - Cache key
+ * @param {string} token - Access token
+ * @param {number} expiresIn - Expiry time in seconds
+ * @returns {Promise<object>} - Cached token ({ token, expiresAt, id })
+ */
+async function setSecureCachedToken(cacheKey, token, expiresIn) {
+  try {
+    const tokenId = generateSecureId();
+    const expiresAt = Date.now() + ((expiresIn - SECURITY_CONFIG.TOKEN_SAFETY_MARGIN) * 1000);
+
+    // Encrypt the token before caching
+    const encryptedToken = encryptData(token);
+
+    await tokenStore.set(cacheKey, JSON.stringify({
+      encryptedToken,
+      expiresAt,
+      id: tokenId,
+      createdAt: Date.now()
+    }), expiresAt - Date.now());
+
+    return { token, expiresAt, id: tokenId };
+  } catch (error) {
+    console.error('Error caching token:', error);
+    throw new Error('Failed to cache token securely');
+  }
+}
+
+/**
+ * Load and validate the service configuration from the configured credential source
+ * @returns {object} - Service configuration
+ */
+function loadServiceConfig() {
+  const { config } = loadServiceCredentials();
+
+  // Validate service configuration security
+  validateServiceConfig(config);
+
+  return config;
+}
+
+async function exchangeServiceToken(cacheKey, onConfigLoaded) {
+  const serviceConfig = loadServiceConfig();
+  onConfigLoaded(serviceConfig);
+
+  if (!exchange) {
+    throw new Error('@adobe/aemcs-api-client-lib is not installed');
+  }
+
+  // Exchange credentials for access token
+  const accessToken = await exchange(serviceConfig);
+
+  if (!accessToken || !accessToken.access_token) {
+    throw new Error('Invalid token response from Adobe IMS');
+  }
+
+  // Validate token expiry
+  const expiresIn = accessToken.expires_in || 3600;
+  if (expiresIn > SECURITY_CONFIG.MAX_TOKEN_AGE) {
+    console.warn('Token expiry exceeds maximum allowed age');
+  }
+
+  // Cache the token securely
+  return setSecureCachedToken(cacheKey, accessToken.access_token, expiresIn);
+}
+
+/**
+ * Exchange credentials under the distributed lock. Instances that do not get
+ * the lock wait for the token the lock holder caches.
+ * @returns {Promise<object>} - Cached token plus whether it came from the cache
+ */
+async function exchangeWithLock(cacheKey, onConfigLoaded) {
+  const deadline = Date.now() + EXCHANGE_LOCK_WAIT;
+
+  while (Date.now() < deadline) {
+    const lock = await tokenStore.acquireLock(EXCHANGE_LOCK, EXCHANGE_LOCK_TTL);
+
+    if (lock) {
+      try {
+        // Another instance may have cached a token while we waited
+        const cachedToken = await getSecureCachedToken(cacheKey);
+        if (cachedToken) {
+          return { ...cachedToken, cached: true };
+        }
+        return { ...(await exchangeServiceToken(cacheKey, onConfigLoaded)), cached: false };
+      } finally {
+        await tokenStore.releaseLock(EXCHANGE_LOCK, lock).catch((error) => {
+          console.error('Error releasing token exchange lock:', error);
+        });
+      }
+    }
+
+    await sleep(EXCHANGE_LOCK_RETRY);
+
+    const cachedToken = await getSecureCachedToken(cacheKey);
+    if (cachedToken) {
+      return { ...cachedToken, cached: true };
+    }
+  }
+
+  const error = new Error('Timed out waiting for another instance to exchange the service token');
+  error.code = 'TOKEN_EXCHANGE_LOCK_TIMEOUT';
+  throw error;
+}
+
+/**
+ * Get a service token, from the cache or by exchanging the service credentials
+ * with Adobe IMS. Concurrent callers share a single exchange, and across
+ * instances the exchange runs under a lock in the token store.
+ * @param {object} [options]
+ * @param {function} [options.onConfigLoaded] - Called with the service configuration
+ *   when an exchange is needed (e.g. for audit logging)
+ * @returns {Promise<object>} - { token, expiresAt, expiresIn, id, cached }
+ */
+async function obtainServiceToken({ onConfigLoaded = () => {} } = {}) {
+  const cacheKey = createSecureCacheKey('adobe-service-token');
+
+  const cachedToken = await getSecureCachedToken(cacheKey);
+  if (cachedToken) {
+    return {
+      ...cachedToken,
+      expiresIn: Math.floor((cachedToken.expiresAt - Date.now()) / 1000),
+      cached: true
+    };
+  }
+
+  if (!pendingExchange) {
+    pendingExchange = exchangeWithLock(cacheKey, onConfigLoaded)
+      .finally(() => { pendingExchange = null; });
+  }
+
+  const token = await pendingExchange;
+  return {
+    ...token,
+    expiresIn: Math.floor((token.expiresAt - Date.now()) / 1000)
+  };
+}
+
+/**
+ * Get the cached service token without exchanging a new one
+ * @returns {Promise<object|null>} - Cached token or null
+ */
+function getCachedServiceToken() {
+  return getSecureCachedToken(createSecureCacheKey('adobe-service-token'));
+}
+
+/**
+ * Clear every cached service token
+ * @returns {Promise<number>} - Number of cleared tokens
+ */
+async function clearServiceTokens() {
+  const clearedCount = await tokenStore.clear();
+  serverEvents.emit(SERVER_EVENTS.TOKEN_CACHE_CLEARED);
+  return clearedCount;
+}
+
+/**
+ * Number of cached tokens, for health checks
+ * @returns {Promise<number>}
+ */
+function getTokenCacheSize() {
+  return tokenStore.size();
+}
+
+/**
+ * Name of the configured token store backend
+ * @returns {string}
+ */
+function getTokenStoreName() {
+  return tokenStore.name;
+}
+
+module.exports = {
+  obtainServiceToken,
+  getCachedServiceToken,
+  clearServiceTokens,
+  getTokenCacheSize,
+  getTokenStoreName
+};
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+// Instances share the encryption key and, once the stand-in listens, the store
+process.env.TOKEN_ENCRYPTION_KEY = "cd".repeat(32);
+
+const { createRedisStandIn } = require("./tokenStore/__fixtures__/redisStandIn");
+
+const mockExchange = jest.fn();
+
+jest.mock("@adobe/aemcs-api-client-lib", () => (...args) => mockExchange(...args), {
+  virtual: true,
+});
+jest.mock("./serviceCredentials", () => ({
+  loadServiceCredentials: () => ({ config: { integration: {} } }),
+}));
+jest.mock("./securityConfig", () => ({
+  ...jest.requireActual("./securityConfig"),
+  validateServiceConfig: () => {},
+}));
+
+// One server instance: its own module state and connection, sharing the store
+const loadInstance = () => {
+  let instance;
+  jest.isolateModules(() => {
+    instance = require("./serviceTokenManager");
+  });
+  return instance;
+};
+
+const respondLater = (ms, response) =>
+  new Promise((resolve) => setTimeout(() => resolve(response), ms));
+
+describe("serviceTokenManager", () => {
+  let standIn;
+
+  beforeAll(async () => {
+    standIn = createRedisStandIn();
+    const { port } = await standIn.listen();
+    process.env.TOKEN_STORE = "redis";
+    process.env.TOKEN_STORE_REDIS_URL = `redis://127.0.0.1:${port}`;
+  });
+
+  beforeEach(() => {
+    standIn.data.clear();
+    mockExchange.mockReset();
+  });
+
+  afterAll(() => standIn.close());
+
+  it("exchanges credentials once when instances ask at the same time", async () => {
+    mockExchange.mockImplementation(() =>
+      respondLater(100, { access_token: "ims-token", expires_in: 3600 })
+    );
+    const [first, second] = [loadInstance(), loadInstance()];
+
+    const tokens = await Promise.all([
+      first.obtainServiceToken(),
+      second.obtainServiceToken(),
+      first.obtainServiceToken(),
+    ]);
+
+    expect(mockExchange).toHaveBeenCalledTimes(1);
+    expect(tokens.map((token) => token.token)).toEqual([
+      "ims-token",
+      "ims-token",
+      "ims-token",
+    ]);
+    expect(tokens.map((token) => token.cached).sort()).toEqual([false, false, true]);
+  });
+
+  it("stores tokens encrypted, for every instance", async () => {
+    mockExchange.mockResolvedValue({ access_token: "ims-token", expires_in: 3600 });
+
+    await loadInstance().obtainServiceToken();
+    const token = await loadInstance().obtainServiceToken();
+
+    expect(mockExchange).toHaveBeenCalledTimes(1);
+    expect(token).toMatchObject({ token: "ims-token", cached: true });
+    const stored = [...standIn.data.values()].map((entry) => entry.value).join();
+    expect(stored).not.toContain("ims-token");
+  });
+
+  it("releases the lock when an exchange fails", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    mockExchange
+      .mockRejectedValueOnce(new Error("IMS unavailable"))
+      .mockResolvedValueOnce({ access_token: "ims-token", expires_in: 3600 });
+    const instance = loadInstance();
+
+    await expect(instance.obtainServiceToken()).rejects.toThrow("IMS unavailable");
+    expect([...standIn.data.keys()].some((key) => key.includes("lock"))).toBe(false);
+
+    await expect(instance.obtainServiceToken()).resolves.toMatchObject({
+      token: "ims-token",
+      cached: false,
+    });
+    jest.restoreAllMocks();
+  });
+});
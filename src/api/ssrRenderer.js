@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { applyCspNonce, getCspNonce } = require('./contentSecurityPolicy');
+
+// Give up on server rendering when AEM is slow and serve the client-rendered shell instead
+const DEFAULT_RENDER_TIMEOUT_MS = 3000;
+
+const ROOT_ELEMENT = '<div id="root"></div>';
+
+// `npm run prerender` overwrites build/index.html with the rendered home page and
+// keeps the untouched CRA template as shell.html
+const SHELL_FILE = 'shell.html';
+
+/**
+ * Resolve the client-rendered app shell in a build directory
+ * @param {string} buildDir - CRA build directory
+ * @returns {string} - Path to shell.html when prerendered, index.html otherwise
+ */
+function getShellPath(buildDir) {
+  const shell = path.join(buildDir, SHELL_FILE);
+  return fs.existsSync(shell) ? shell : path.join(buildDir, 'index.html');
+}
+
+/**
+ * Serialize data for an inline JSON script without allowing it to close the tag
+ * @param {object} data - Data to serialize
+ * @returns {string} - JSON safe to embed in HTML
+ */
+function serializeState(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+function escapeAttribute(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
+}
+
+/**
+ * Inject a rendered page into the CRA index.html template
+ * @param {string} template - build/index.html contents
+ * @param {object} page - Result of the server entry's render()
+ * @returns {string} - Complete HTML document
+ */
+function injectPage(template, { html, head, state, url }) {
+  const stateScript =
+    `<script type="application/json" id="__SECURBANK_QUERY_STATE__" data-url="${escapeAttribute(url)}">${serializeState(state)}</script>`;
+
+  // Page-specific tags from react-helmet-async replace the template defaults.
+  // Rendered output goes through replacer functions, so `$&` or `$'` in
+  // authored content is not read as a replacement pattern.
+  return template
+    .replace(/<title>.*?<\/title>/, head.includes('<title') ? '' : '$&')
+    .replace(/<meta name="description"[^>]*>/, head.includes('name="description"') ? '' : '$&')
+    .replace('</head>', () => `${head}</head>`)
+    .replace(ROOT_ELEMENT, () => `<div id="root">${html}</div>${stateScript}`);
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Render timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create an Express handler that server-renders the React app
+ * @param {object} options
+ * @param {string} options.buildDir - CRA build directory containing the app shell
+ * @param {function} [options.render] - Render function; defaults to the bundle built by `npm run build:ssr`
+ * @param {function} [options.getAuthorization] - Resolves the Authorization header of the bundle's AEM requests
+ * @param {function} [options.refreshAuthorization] - Resolves a new header after AEM rejected one with 401/403
+ * @param {number} [options.timeoutMs] - Maximum time to wait for a render
+ * @returns {function} - Express request handler
+ */
+function createSsrHandler({
+  buildDir,
+  render,
+  getAuthorization,
+  refreshAuthorization,
+  timeoutMs = Number(process.env.SSR_TIMEOUT_MS) || DEFAULT_RENDER_TIMEOUT_MS,
+}) {
+  const indexHtml = getShellPath(buildDir);
+  const template = fs.readFileSync(indexHtml, 'utf8');
+  let renderPage = render;
+  if (!renderPage) {
+    const bundle = require(path.join(buildDir, 'server', 'entry-server.js'));
+    if (getAuthorization) bundle.setServerAuthorization(getAuthorization, refreshAuthorization);
+    renderPage = bundle.render;
+  }
+
+  return async (req, res) => {
+    // Only the template's own scripts get the nonce: rendered markup includes
+    // authored rich text, whose scripts must stay blocked
+    const shell = applyCspNonce(template, getCspNonce(res));
+    let html;
+    try {
+      const page = await withTimeout(renderPage(req.originalUrl), timeoutMs);
+      html = injectPage(shell, page);
+    } catch (error) {
+      console.error(`Server-side rendering failed for ${req.originalUrl}, serving client-rendered app:`, error.message);
+      html = shell;
+    }
+    res.type('html').send(html);
+  };
+}
+
+/**
+ * Create an Express handler serving the client-rendered app shell, with the
+ * response's CSP nonce on its scripts (CRA inlines its runtime chunk)
+ * @param {object} options
+ * @param {string} options.buildDir - CRA build directory containing the app shell
+ * @returns {function} - Express request handler
+ */
+function createShellHandler({ buildDir }) {
+  let template = null;
+
+  return (req, res, next) => {
+    try {
+      // Read on first use, so the server starts before `npm run build` has run
+      template = template || fs.readFileSync(getShellPath(buildDir), 'utf8');
+    } catch (error) {
+      return next(error);
+    }
+    res.type('html').send(applyCspNonce(template, getCspNonce(res)));
+  };
+}
+
+module.exports = {
+  SHELL_FILE,
+  createSsrHandler,
+  createShellHandler,
+  getShellPath,
+  injectPage,
+  serializeState
+};
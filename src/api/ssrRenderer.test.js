@@ -0,0 +1,84 @@
+/**
+ * @jest-environment node
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSsrHandler } = require("./ssrRenderer");
+
+const TEMPLATE =
+  '<html><head><title>SecurBank</title><script src="/static/js/main.js"></script></head>' +
+  '<body><div id="root"></div><script>window.runtime=1</script></body></html>';
+
+function createResponse() {
+  return {
+    locals: { cspNonce: "abc123" },
+    type: jest.fn().mockReturnThis(),
+    send: jest.fn(),
+  };
+}
+
+describe("createSsrHandler", () => {
+  let buildDir;
+
+  beforeAll(() => {
+    buildDir = fs.mkdtempSync(path.join(os.tmpdir(), "ssr-renderer-"));
+    fs.writeFileSync(path.join(buildDir, "index.html"), TEMPLATE);
+  });
+
+  afterAll(() => {
+    fs.rmSync(buildDir, { recursive: true, force: true });
+  });
+
+  it("adds the nonce to the template's scripts but not to the rendered markup", async () => {
+    const render = async (url) => ({
+      html: '<div class="content"><script>alert("authored")</script></div>',
+      head: "",
+      state: {},
+      url,
+    });
+    const res = createResponse();
+
+    await createSsrHandler({ buildDir, render })({ originalUrl: "/articles/a" }, res);
+
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('<script nonce="abc123" src="/static/js/main.js">');
+    expect(html).toContain('<script nonce="abc123">window.runtime=1');
+    expect(html).toContain('<script>alert("authored")</script>');
+    expect(html).toContain('<script type="application/json" id="__SECURBANK_QUERY_STATE__"');
+  });
+
+  it("inserts content containing replacement patterns verbatim", async () => {
+    const content = "<p>Save $$ and earn $' on $&amp; balances</p>";
+    const render = async (url) => ({
+      html: `<div class="content">${content}</div>`,
+      head: "<title>$& rates, $' off</title>",
+      state: { key: { data: { text: "$'$&$`" }, error: null } },
+      url,
+    });
+    const res = createResponse();
+
+    await createSsrHandler({ buildDir, render })({ originalUrl: "/articles/a" }, res);
+
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain(`<div id="root"><div class="content">${content}</div></div>`);
+    expect(html).toContain("<title>$& rates, $' off</title></head>");
+    expect(html).toContain('{"key":{"data":{"text":"$\'$&$`"},"error":null}}</script>');
+    expect(html.match(/<\/html>/g)).toHaveLength(1);
+  });
+
+  it("serves the shell with nonces when rendering fails", async () => {
+    const render = async () => {
+      throw new Error("AEM unavailable");
+    };
+    const res = createResponse();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await createSsrHandler({ buildDir, render })({ originalUrl: "/" }, res);
+
+    expect(res.send).toHaveBeenCalledWith(
+      TEMPLATE.replace(/<script/g, '<script nonce="abc123"')
+    );
+    console.error.mockRestore();
+  });
+});
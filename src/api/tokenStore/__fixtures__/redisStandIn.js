@@ -0,0 +1,196 @@
+const net = require('net');
+const { parseReply } = require('../respClient');
+const { RELEASE_LOCK_SCRIPT } = require('../redisStore');
+const { TAKE_TOKEN_SCRIPT } = require('../../rateLimit/redisBucketStore');
+const { takeToken } = require('../../rateLimit/tokenBucket');
+
+const CRLF = '\r\n';
+
+function simple(value) {
+  return `+${value}${CRLF}`;
+}
+
+function error(message) {
+  return `-ERR ${message}${CRLF}`;
+}
+
+function integer(value) {
+  return `:${value}${CRLF}`;
+}
+
+function bulk(value) {
+  if (value === null || value === undefined) return `$-1${CRLF}`;
+  return `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+}
+
+function array(values) {
+  return `*${values.length}${CRLF}${values.map(bulk).join('')}`;
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * In-process stand-in for a Redis server, implementing the subset of commands
+ * used by the Redis token store (PING, AUTH, SELECT, GET, SET with EX/PX/NX/XX,
+ * DEL, EXISTS, KEYS, SCAN, EVAL of the lock release and rate limit scripts, QUIT).
+ *
+ * Lets the Redis backend run locally and in tests without a Redis install:
+ *
+ *   const standIn = createRedisStandIn();
+ *   const { port } = await standIn.listen();
+ *   const store = createRedisStore({ url: `redis://127.0.0.1:${port}` });
+ *
+ * @returns {object} - { listen(port), close(), data }
+ */
+function createRedisStandIn() {
+  // key -> { value, expiresAt }
+  const data = new Map();
+  const sockets = new Set();
+
+  function read(key) {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  function liveKeys(pattern = '*') {
+    const matcher = globToRegExp(pattern);
+    return [...data.keys()].filter((key) => read(key) !== null && matcher.test(key));
+  }
+
+  function set([key, value, ...options]) {
+    let expiresAt = null;
+    let onlyIfMissing = false;
+    let onlyIfExists = false;
+
+    for (let i = 0; i < options.length; i++) {
+      const option = options[i].toUpperCase();
+      if (option === 'EX') expiresAt = Date.now() + Number(options[++i]) * 1000;
+      else if (option === 'PX') expiresAt = Date.now() + Number(options[++i]);
+      else if (option === 'NX') onlyIfMissing = true;
+      else if (option === 'XX') onlyIfExists = true;
+      else return error('syntax error');
+    }
+
+    const exists = read(key) !== null;
+    if ((onlyIfMissing && exists) || (onlyIfExists && !exists)) {
+      return bulk(null);
+    }
+
+    data.set(key, { value, expiresAt });
+    return simple('OK');
+  }
+
+  // TAKE_TOKEN_SCRIPT: ARGV burst, refill per ms
+  function takeTokenScript(key, [burst, refillPerMs]) {
+    const now = Date.now();
+    const value = read(key);
+    const [tokens, updatedAt] = value ? value.split(':').map(Number) : [];
+    const policy = { burst: Number(burst), max: Number(refillPerMs), windowMs: 1 };
+    const result = takeToken(value ? { tokens, updatedAt } : null, now, policy);
+
+    data.set(key, { value: `${result.state.tokens}:${now}`, expiresAt: now + Math.max(1, result.ttlMs) });
+    return array([result.allowed ? '1' : '0', String(result.state.tokens)]);
+  }
+
+  function execute([name, ...args]) {
+    switch (String(name).toUpperCase()) {
+      case 'PING':
+        return simple('PONG');
+      case 'AUTH':
+      case 'SELECT':
+        return simple('OK');
+      case 'GET':
+        return bulk(read(args[0]));
+      case 'SET':
+        return set(args);
+      case 'DEL':
+        return integer(args.filter((key) => read(key) !== null && data.delete(key)).length);
+      case 'EXISTS':
+        return integer(args.filter((key) => read(key) !== null).length);
+      case 'KEYS':
+        return array(liveKeys(args[0]));
+      case 'SCAN': {
+        const matchIndex = args.findIndex((arg) => arg.toUpperCase() === 'MATCH');
+        const keys = liveKeys(matchIndex === -1 ? '*' : args[matchIndex + 1]);
+        return `*2${CRLF}${bulk('0')}${array(keys)}`;
+      }
+      case 'EVAL': {
+        const [script, , key, ...scriptArgs] = args;
+        if (script === RELEASE_LOCK_SCRIPT) {
+          if (read(key) === scriptArgs[0]) {
+            data.delete(key);
+            return integer(1);
+          }
+          return integer(0);
+        }
+        if (script === TAKE_TOKEN_SCRIPT) {
+          return takeTokenScript(key, scriptArgs);
+        }
+        return error('only the lock release and rate limit scripts are supported');
+      }
+      case 'QUIT':
+        return simple('OK');
+      default:
+        return error(`unknown command '${name}'`);
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => socket.destroy());
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      let request = parseReply(buffer);
+      while (request) {
+        buffer = buffer.subarray(request.offset);
+        const command = request.value;
+        socket.write(execute(command));
+        if (String(command[0]).toUpperCase() === 'QUIT') {
+          socket.end();
+          return;
+        }
+        request = parseReply(buffer);
+      }
+    });
+  });
+
+  return {
+    data,
+
+    /**
+     * Start listening on 127.0.0.1
+     * @param {number} [port] - Port, random when omitted
+     * @returns {Promise<object>} - { port }
+     */
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve({ port: server.address().port }));
+      });
+    },
+
+    /**
+     * Stop the server and drop its connections
+     */
+    close() {
+      sockets.forEach((socket) => socket.destroy());
+      return new Promise((resolve) => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  createRedisStandIn
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { encryptData, decryptData, generateSecureId } = require('../securityConfig');
+
+/**
+ * Token store persisted to an encrypted file, shared by every process on the
+ * host and surviving restarts. The lock is a lock file created exclusively,
+ * taken over once its TTL has passed.
+ *
+ * @param {object} options
+ * @param {string} options.filePath - Store file; the lock uses `<filePath>.<name>.lock`
+ * @returns {object} - Token store
+ */
+function createFileStore({ filePath }) {
+  async function readEntries() {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+
+    try {
+      return JSON.parse(decryptData(contents));
+    } catch (error) {
+      // Written with another key or corrupted: start over rather than fail
+      console.warn(`Token store file ${filePath} could not be read, ignoring it`);
+      return {};
+    }
+  }
+
+  async function writeEntries(entries) {
+    const now = Date.now();
+    const live = Object.fromEntries(
+      Object.entries(entries).filter(([, entry]) => entry.expiresAt > now)
+    );
+
+    // Write then rename, so readers never see a partial file
+    const tempPath = `${filePath}.${process.pid}.${generateSecureId()}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, encryptData(JSON.stringify(live)), { mode: 0o600 });
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  function getLockPath(name) {
+    return `${filePath}.${name.replace(/[^\w-]/g, '_')}.lock`;
+  }
+
+  async function readLock(lockPath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(lockPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const entry = (await readEntries())[key];
+      return entry && entry.expiresAt > Date.now() ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      const entries = await readEntries();
+      entries[key] = { value, expiresAt: Date.now() + ttlMs };
+      await writeEntries(entries);
+    },
+
+    async delete(key) {
+      const entries = await readEntries();
+      delete entries[key];
+      await writeEntries(entries);
+    },
+
+    async clear() {
+      const clearedCount = await this.size();
+      await writeEntries({});
+      return clearedCount;
+    },
+
+    async size() {
+      const now = Date.now();
+      return Object.values(await readEntries()).filter((entry) => entry.expiresAt > now).length;
+    },
+
+    async acquireLock(name, ttlMs) {
+      const lockPath = getLockPath(name);
+      const token = generateSecureId();
+      const lock = JSON.stringify({ token, expiresAt: Date.now() + ttlMs });
+
+      try {
+        await fs.promises.writeFile(lockPath, lock, { flag: 'wx', mode: 0o600 });
+        return token;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // Take over an expired lock left behind by a crashed process
+      const current = await readLock(lockPath);
+      if (current && current.expiresAt > Date.now()) return null;
+
+      await fs.promises.rm(lockPath, { force: true });
+      try {
+        await fs.promises.writeFile(lockPath, lock, { flag: 'wx', mode: 0o600 });
+        return token;
+      } catch (error) {
+        if (error.code === 'EEXIST') return null;
+        throw error;
+      }
+    },
+
+    async releaseLock(name, token) {
+      const lockPath = getLockPath(name);
+      const current = await readLock(lockPath);
+      if (current?.token === token) {
+        await fs.promises.rm(lockPath, { force: true });
+      }
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createFileStore
+};
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+// A fixed key, as securityConfig warns about a random one
+process.env.TOKEN_ENCRYPTION_KEY = "ab".repeat(32);
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFileStore } = require("./fileStore");
+
+describe("createFileStore", () => {
+  let dir;
+  let filePath;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "file-store-"));
+    filePath = path.join(dir, "tokens.json");
+    store = createFileStore({ filePath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("persists values encrypted, readable by another store on the file", async () => {
+    await store.set("token", "secret-value", 60000);
+
+    const contents = fs.readFileSync(filePath, "utf8");
+    expect(contents).not.toContain("secret-value");
+    expect(contents).not.toContain("token");
+    expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+
+    expect(await createFileStore({ filePath }).get("token")).toBe("secret-value");
+  });
+
+  it("drops expired values", async () => {
+    await store.set("short", "1", 20);
+    await store.set("long", "2", 60000);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    expect(await store.get("short")).toBeNull();
+    expect(await store.size()).toBe(1);
+    expect(await store.clear()).toBe(1);
+    expect(await store.get("long")).toBeNull();
+  });
+
+  it("starts over when the file cannot be decrypted", async () => {
+    fs.writeFileSync(filePath, "not encrypted");
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(await store.get("token")).toBeNull();
+    await store.set("token", "value", 60000);
+    expect(await store.get("token")).toBe("value");
+    expect(console.warn).toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+
+  describe("locks", () => {
+    const lockPath = () => `${filePath}.exchange.lock`;
+
+    it("creates the lock file exclusively, for one holder at a time", async () => {
+      const other = createFileStore({ filePath });
+
+      const lock = await store.acquireLock("exchange", 60000);
+      expect(lock).toEqual(expect.any(String));
+      expect(fs.existsSync(lockPath())).toBe(true);
+      expect(await other.acquireLock("exchange", 60000)).toBeNull();
+
+      await other.releaseLock("exchange", "not-the-token");
+      expect(fs.existsSync(lockPath())).toBe(true);
+
+      await store.releaseLock("exchange", lock);
+      expect(fs.existsSync(lockPath())).toBe(false);
+      expect(await other.acquireLock("exchange", 60000)).toEqual(expect.any(String));
+    });
+
+    it("takes over a lock left behind once it expired", async () => {
+      fs.writeFileSync(lockPath(), JSON.stringify({ token: "crashed", expiresAt: Date.now() - 1 }));
+
+      const lock = await store.acquireLock("exchange", 60000);
+      expect(lock).toEqual(expect.any(String));
+      expect(JSON.parse(fs.readFileSync(lockPath(), "utf8")).token).toBe(lock);
+    });
+
+    it("grants a lock to one of many concurrent callers", async () => {
+      const locks = await Promise.all(
+        Array.from({ length: 5 }, () =>
+          createFileStore({ filePath }).acquireLock("exchange", 60000)
+        )
+      );
+      expect(locks.filter(Boolean)).toHaveLength(1);
+    });
+  });
+});
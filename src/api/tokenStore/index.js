@@ -0,0 +1,53 @@
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { createRedisStore } = require('./redisStore');
+
+/**
+ * Token stores share one async interface:
+ *   get(key), set(key, value, ttlMs), delete(key), clear(), size(),
+ *   acquireLock(name, ttlMs) -> lock token or null, releaseLock(name, token), close()
+ *
+ * Values are strings; callers encrypt anything sensitive before storing it.
+ */
+
+const DEFAULT_FILE_PATH = path.join(os.tmpdir(), 'securbank-token-store.json');
+
+/**
+ * Create the token store selected by the environment
+ *   TOKEN_STORE=memory (default) | file | redis
+ *   TOKEN_STORE_FILE - file store path
+ *   TOKEN_STORE_REDIS_URL (or REDIS_URL) - Redis-protocol server URL
+ * @param {object} [env] - Environment variables
+ * @returns {object} - Token store
+ */
+function createTokenStore(env = process.env) {
+  const type = (env.TOKEN_STORE || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+
+    case 'file':
+      return createFileStore({ filePath: env.TOKEN_STORE_FILE || DEFAULT_FILE_PATH });
+
+    case 'redis': {
+      const url = env.TOKEN_STORE_REDIS_URL || env.REDIS_URL;
+      if (!url) {
+        throw new Error('TOKEN_STORE=redis requires TOKEN_STORE_REDIS_URL or REDIS_URL');
+      }
+      return createRedisStore({ url, prefix: env.TOKEN_STORE_PREFIX || undefined });
+    }
+
+    default:
+      throw new Error(`Unknown TOKEN_STORE "${type}" (expected memory, file or redis)`);
+  }
+}
+
+module.exports = {
+  createTokenStore,
+  createMemoryStore,
+  createFileStore,
+  createRedisStore
+};
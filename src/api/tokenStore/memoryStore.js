@@ -0,0 +1,68 @@
+const { generateSecureId } = require('../securityConfig');
+
+/**
+ * Process-local token store. Every server instance keeps its own cache and the
+ * lock only serializes exchanges within this process.
+ * @returns {object} - Token store
+ */
+function createMemoryStore() {
+  // key -> { value, expiresAt }
+  const entries = new Map();
+  const locks = new Map();
+
+  function read(map, key) {
+    const entry = map.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      map.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return read(entries, key)?.value ?? null;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      const clearedCount = await this.size();
+      entries.clear();
+      return clearedCount;
+    },
+
+    async size() {
+      return [...entries.keys()].filter((key) => read(entries, key)).length;
+    },
+
+    async acquireLock(name, ttlMs) {
+      if (read(locks, name)) return null;
+
+      const token = generateSecureId();
+      locks.set(name, { value: token, expiresAt: Date.now() + ttlMs });
+      return token;
+    },
+
+    async releaseLock(name, token) {
+      if (read(locks, name)?.value === token) {
+        locks.delete(name);
+      }
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,74 @@
+const { generateSecureId } = require('../securityConfig');
+const { createRespClient } = require('./respClient');
+
+// Deletes the lock only if it is still held by the caller
+const RELEASE_LOCK_SCRIPT = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+/**
+ * Token store backed by any server speaking the Redis protocol (Redis, Valkey,
+ * Upstash, ...), shared by every instance. Locks use SET NX PX.
+ *
+ * @param {object} options
+ * @param {string} options.url - redis:// or rediss:// URL
+ * @param {string} [options.prefix] - Key namespace
+ * @returns {object} - Token store
+ */
+function createRedisStore({ url, prefix = 'securbank:tokens:' }) {
+  const client = createRespClient({ url });
+  const lockPrefix = `${prefix}lock:`;
+
+  async function listKeys() {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await client.command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+      keys.push(...batch.filter((key) => !key.startsWith(lockPrefix)));
+      cursor = nextCursor;
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      return client.command('GET', prefix + key);
+    },
+
+    async set(key, value, ttlMs) {
+      await client.command('SET', prefix + key, value, 'PX', Math.max(1, Math.floor(ttlMs)));
+    },
+
+    async delete(key) {
+      await client.command('DEL', prefix + key);
+    },
+
+    async clear() {
+      const keys = await listKeys();
+      return keys.length ? client.command('DEL', ...keys) : 0;
+    },
+
+    async size() {
+      return (await listKeys()).length;
+    },
+
+    async acquireLock(name, ttlMs) {
+      const token = generateSecureId();
+      const reply = await client.command('SET', lockPrefix + name, token, 'NX', 'PX', Math.floor(ttlMs));
+      return reply === 'OK' ? token : null;
+    },
+
+    async releaseLock(name, token) {
+      await client.command('EVAL', RELEASE_LOCK_SCRIPT, 1, lockPrefix + name, token);
+    },
+
+    async close() {
+      await client.close();
+    }
+  };
+}
+
+module.exports = {
+  createRedisStore,
+  RELEASE_LOCK_SCRIPT
+};
@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+// A fixed key, as securityConfig warns about a random one
+process.env.TOKEN_ENCRYPTION_KEY = "ab".repeat(32);
+
+const { createRedisStore } = require("./redisStore");
+const { createRedisStandIn } = require("./__fixtures__/redisStandIn");
+
+describe("createRedisStore", () => {
+  let standIn;
+  let url;
+  let store;
+
+  beforeAll(async () => {
+    standIn = createRedisStandIn();
+    const { port } = await standIn.listen();
+    url = `redis://127.0.0.1:${port}`;
+  });
+
+  beforeEach(() => {
+    standIn.data.clear();
+    store = createRedisStore({ url, prefix: "test:" });
+  });
+
+  afterEach(() => store.close());
+
+  afterAll(() => standIn.close());
+
+  it("stores values under its prefix until they expire", async () => {
+    await store.set("token", "value", 50);
+
+    expect(await store.get("token")).toBe("value");
+    expect(standIn.data.has("test:token")).toBe(true);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(await store.get("token")).toBeNull();
+  });
+
+  it("deletes, counts and clears its own keys only", async () => {
+    await store.set("a", "1", 60000);
+    await store.set("b", "2", 60000);
+    standIn.data.set("other:c", { value: "3", expiresAt: null });
+    await store.acquireLock("exchange", 60000);
+
+    expect(await store.size()).toBe(2);
+    await store.delete("a");
+    expect(await store.get("a")).toBeNull();
+    expect(await store.clear()).toBe(1);
+    expect(await store.size()).toBe(0);
+    expect(standIn.data.has("other:c")).toBe(true);
+  });
+
+  it("grants a lock to one holder until it is released or expires", async () => {
+    const other = createRedisStore({ url, prefix: "test:" });
+
+    try {
+      const lock = await store.acquireLock("exchange", 60000);
+      expect(lock).toEqual(expect.any(String));
+      expect(await other.acquireLock("exchange", 60000)).toBeNull();
+
+      // Only the holder's token releases it
+      await other.releaseLock("exchange", "not-the-token");
+      expect(await other.acquireLock("exchange", 60000)).toBeNull();
+      await store.releaseLock("exchange", lock);
+
+      expect(await other.acquireLock("exchange", 50)).toEqual(expect.any(String));
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      expect(await store.acquireLock("exchange", 60000)).toEqual(expect.any(String));
+    } finally {
+      await other.close();
+    }
+  });
+});
@@ -0,0 +1,209 @@
+const net = require('net');
+const tls = require('tls');
+
+const CRLF = '\r\n';
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args - Command and arguments
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}${CRLF}`];
+  args.forEach((arg) => {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`);
+  });
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Parse one RESP value from a buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} [offset] - Position to read from
+ * @returns {object|null} - { value, offset } or null when the value is incomplete
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+
+    case '-': {
+      const error = new Error(line);
+      error.code = 'REDIS_ERROR';
+      return { value: error, offset: next };
+    }
+
+    case ':':
+      return { value: Number(line), offset: next };
+
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+
+    default:
+      throw new Error(`Unexpected RESP type: ${type}`);
+  }
+}
+
+/**
+ * Minimal client for the Redis protocol (RESP2), enough for the token store:
+ * commands are pipelined over a single connection and replies matched in order.
+ *
+ * @param {object} options
+ * @param {string} options.url - redis:// or rediss:// URL, e.g. redis://:password@host:6379/0
+ * @param {number} [options.timeoutMs] - Connection and command timeout
+ * @returns {object} - { command(...args), close() }
+ */
+function createRespClient({ url, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  const { protocol, hostname, port, username, password, pathname } = new URL(url);
+  const database = Number(pathname.slice(1)) || 0;
+
+  let socket = null;
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failPending(error) {
+    while (pending.length) {
+      const { reject, timer } = pending.shift();
+      clearTimeout(timer);
+      reject(error);
+    }
+  }
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let reply = parseReply(buffer);
+    while (reply) {
+      buffer = buffer.subarray(reply.offset);
+      const request = pending.shift();
+      if (request) {
+        clearTimeout(request.timer);
+        if (reply.value instanceof Error) {
+          request.reject(reply.value);
+        } else {
+          request.resolve(reply.value);
+        }
+      }
+      reply = parseReply(buffer);
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const error = new Error(`Redis command timed out: ${args[0]}`);
+        error.code = 'REDIS_TIMEOUT';
+        // Replies can no longer be matched to their commands
+        socket.destroy(error);
+      }, timeoutMs);
+
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (socket) return Promise.resolve();
+    if (connecting) return connecting;
+
+    connecting = new Promise((resolve, reject) => {
+      const options = { host: hostname, port: Number(port) || 6379 };
+      const connection = protocol === 'rediss:'
+        ? tls.connect({ ...options, servername: hostname })
+        : net.connect(options);
+
+      connection.setTimeout(timeoutMs, () => {
+        connection.destroy(new Error('Redis connection timed out'));
+      });
+
+      connection.once(protocol === 'rediss:' ? 'secureConnect' : 'connect', async () => {
+        connection.setTimeout(0);
+        socket = connection;
+        try {
+          if (password) {
+            await send(username ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)] : ['AUTH', decodeURIComponent(password)]);
+          }
+          if (database) {
+            await send(['SELECT', database]);
+          }
+          resolve();
+        } catch (error) {
+          connection.destroy();
+          reject(error);
+        }
+      });
+
+      connection.on('data', onData);
+      connection.on('error', (error) => {
+        failPending(error);
+        reject(error);
+      });
+      connection.on('close', () => {
+        socket = null;
+        buffer = Buffer.alloc(0);
+        failPending(new Error('Redis connection closed'));
+      });
+    }).finally(() => {
+      connecting = null;
+    });
+
+    return connecting;
+  }
+
+  /**
+   * Send a command, connecting (or reconnecting) first if needed
+   * @param {...(string|number)} args - Command and arguments
+   * @returns {Promise<*>} - The reply
+   */
+  async function command(...args) {
+    await connect();
+    return send(args);
+  }
+
+  /**
+   * Close the connection
+   */
+  async function close() {
+    if (!socket) return;
+    const closed = new Promise((resolve) => socket.once('close', resolve));
+    socket.end(encodeCommand(['QUIT']));
+    await closed;
+  }
+
+  return { command, close };
+}
+
+module.exports = {
+  createRespClient,
+  encodeCommand,
+  parseReply
+};
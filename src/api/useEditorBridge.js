@@ -0,0 +1,90 @@
+/*
+Copyright 2022 Adobe
+All Rights Reserved.
+
+NOTICE: Adobe permits you to use, modify, and distribute this file in
+accordance with the terms of the Adobe license agreement accompanying
+it.
+*/
+
+import { useContext, useEffect, useRef, useState } from "react";
+
+import { createEditorBridge, EDITOR_EVENTS } from "./editorBridge";
+import QueryCacheContext from "./QueryCacheContext";
+
+/**
+ * Listeners of useEditorChanges, kept outside the bridge so components can
+ * subscribe before the app has connected it (child effects run first).
+ */
+const changeListeners = new Set();
+
+/**
+ * Connects Universal Editor events to the query cache (see ./editorBridge.js):
+ * edits show up straight away and only the edited fragment is refetched.
+ * Used once, by the app.
+ */
+export function useEditorBridge() {
+  const queryCache = useContext(QueryCacheContext);
+
+  useEffect(() => {
+    const bridge = createEditorBridge(queryCache);
+    const unsubscribe = bridge.subscribe((change, phase) =>
+      changeListeners.forEach((listener) => listener(change, phase))
+    );
+
+    EDITOR_EVENTS.forEach((name) =>
+      document.addEventListener(name, bridge.handleEvent)
+    );
+
+    return () => {
+      EDITOR_EVENTS.forEach((name) =>
+        document.removeEventListener(name, bridge.handleEvent)
+      );
+      unsubscribe();
+      bridge.dispose();
+    };
+  }, [queryCache]);
+}
+
+/**
+ * Subscribe to Universal Editor changes handled by the bridge.
+ *
+ * @param {Function} listener called with the change (`{ type, fragment,
+ *   structural, changes }`) and its phase, "applied" or "settled"
+ * @param {Object} [options]
+ * @param {String} [options.path] only changes of the fragment at this `_path`;
+ *   changes without a fragment (everything was refetched) always match
+ */
+export function useEditorChanges(listener, { path } = {}) {
+  const listenerRef = useRef(listener);
+  listenerRef.current = listener;
+
+  useEffect(() => {
+    const handler = (change, phase) => {
+      if (path && change.fragment && change.fragment.path !== path) return;
+      listenerRef.current(change, phase);
+    };
+
+    changeListeners.add(handler);
+    return () => changeListeners.delete(handler);
+  }, [path]);
+}
+
+/**
+ * Whether an edit of a fragment is shown but not yet confirmed by AEM.
+ *
+ * @param {String} path the fragment's `_path`
+ * @returns {Boolean}
+ */
+export function useEditorPending(path) {
+  const [pending, setPending] = useState(false);
+
+  useEditorChanges(
+    (change, phase) => {
+      if (change.fragment) setPending(phase === "applied");
+    },
+    { path }
+  );
+
+  return pending;
+}
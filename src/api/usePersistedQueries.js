@@ -7,12 +7,17 @@ accordance with the terms of the Adobe license agreement accompanying
 it.
 */
 
-import { useEffect, useState } from "react";
+import { useCallback, useContext, useEffect, useMemo, useState } from "react";
 
 import aemHeadlessClient from "./aemHeadlessClient";
+import { getQueryKey, isQueryStale } from "./queryCache";
+import QueryCacheContext from "./QueryCacheContext";
 
 const { REACT_APP_ENDPOINT } = process.env;
 
+// Effects do not run during server-side rendering, so queries start while rendering
+const IS_SERVER = typeof window === "undefined";
+
 /**
  * This file contains the React useEffect custom hooks that:
  * 1. Are called by the React components
@@ -22,7 +27,27 @@ const { REACT_APP_ENDPOINT } = process.env;
  * 1. Calling the AEM persisted query
  * 2. Collecting and transforming the returned data into the format expected by the React view components
  * 3. Setting and returning any error state
+ *
+ * Responses are shared through the query cache (see ./queryCache.js), so hooks
+ * asking for the same query and variables reuse a single request.
+ *
+ * Every hook returns `{ data, error, status, isStale, retry }`, where `status` is
+ * one of QUERY_STATUS and `isStale` flags cached data that is being revalidated.
+ */
+
+/**
+ * Time in milliseconds before a cached response is revalidated, per persisted query.
  */
+const QUERY_TTL = {
+  "page-by-slug": 60 * 1000,
+  "teaser-list-by-path": 60 * 1000,
+  "article-by-slug": 5 * 60 * 1000,
+  "service-by-slug": 5 * 60 * 1000,
+  articles: 5 * 60 * 1000,
+  services: 5 * 60 * 1000,
+  "cta-by-path": 5 * 60 * 1000,
+  "navigation-by-path": 5 * 60 * 1000,
+};
 
 /**
  * Private, shared function that invokes the AEM Headless client.
@@ -48,6 +73,113 @@ async function fetchPersistedQuery(persistedQueryName, queryParameters) {
   return { data, err };
 }
 
+/**
+ * Request lifecycle states returned by every hook as `status`.
+ */
+export const QUERY_STATUS = {
+  IDLE: "idle",
+  LOADING: "loading",
+  SUCCESS: "success",
+  ERROR: "error",
+};
+
+function getStatus(entry, enabled) {
+  if (!enabled) return QUERY_STATUS.IDLE;
+  if (entry.error && !entry.promise) return QUERY_STATUS.ERROR;
+  if (entry.updatedAt) return QUERY_STATUS.SUCCESS;
+  return QUERY_STATUS.LOADING;
+}
+
+/**
+ * Private, shared hook that reads a persisted query through the query cache.
+ *
+ * @param {String} queryName the persisted query name, without the endpoint prefix
+ * @param {Object} queryVariables memoized query variables
+ * @param {Function} select maps the GraphQL data to the value returned by the hook
+ * @param {Object} [options]
+ * @param {Boolean} [options.enabled] set to false to skip the request (status stays `idle`)
+ * @returns {{ data: *, error: String, status: String, isStale: Boolean, retry: Function }}
+ */
+function usePersistedQuery(
+  queryName,
+  queryVariables,
+  select,
+  { enabled = true } = {}
+) {
+  const persistedQueryName = REACT_APP_ENDPOINT + "/" + queryName;
+  const queryCache = useContext(QueryCacheContext);
+  const key = getQueryKey(persistedQueryName, queryVariables);
+  const [entry, setEntry] = useState(() => ({ ...queryCache.getEntry(key) }));
+
+  const load = useCallback(
+    (force = false) =>
+      queryCache.load(
+        key,
+        () => fetchPersistedQuery(persistedQueryName, queryVariables),
+        { ttl: QUERY_TTL[queryName], force }
+      ),
+    [queryCache, key, persistedQueryName, queryName, queryVariables]
+  );
+
+  if (IS_SERVER && enabled) {
+    load();
+  }
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const unsubscribe = queryCache.subscribe(key, (updated) =>
+      setEntry({ ...updated })
+    );
+
+    setEntry({ ...queryCache.getEntry(key) });
+    load();
+
+    return unsubscribe;
+  }, [queryCache, key, enabled, load]);
+
+  const retry = useCallback(() => load(true), [load]);
+
+  const data = useMemo(
+    () => (enabled && entry.data ? select(entry.data) ?? null : null),
+    [enabled, entry.data, select]
+  );
+
+  return {
+    data,
+    error: (enabled && entry.error) || null,
+    status: getStatus(entry, enabled),
+    isStale: enabled && !!entry.updatedAt && isQueryStale(entry),
+    retry,
+  };
+}
+
+const selectPage = (data) =>
+  data?.pageList?.items?.length === 1 ? data.pageList.items[0] : null;
+
+const selectTeaserList = (data) =>
+  data?.teaserListList?.items?.length === 1
+    ? data.teaserListList.items[0]
+    : null;
+
+const selectArticle = (data) =>
+  data?.articleList?.items?.length === 1 ? data.articleList.items[0] : null;
+
+const selectService = (data) =>
+  data?.serviceList?.items?.length === 1 ? data.serviceList.items[0] : null;
+
+const selectArticles = (data) =>
+  data?.articlePaginated?.edges?.length ? data.articlePaginated.edges : null;
+
+const selectServices = (data) =>
+  data?.servicePaginated?.edges?.length ? data.servicePaginated.edges : null;
+
+const selectCallToAction = (data) =>
+  data?.ctaList?.items?.length === 1 ? data.ctaList.items[0] : null;
+
+const selectNavigations = (data) =>
+  data?.navigationList?.items?.length ? data.navigationList.items : null;
+
 /**
  * Calls the 'page-by-slug' persisted query with `slug` and `variation` parameter.
  *
@@ -55,33 +187,15 @@ async function fetchPersistedQuery(persistedQueryName, queryParameters) {
  * @param {String} variation the page variation
  * @returns a JSON object representing the Page
  */
-export function usePageBySlug(slug, variation = "master", fetchTrigger) {
-  const [data, setData] = useState(null);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    async function fetchData() {
-      const queryVariables = {
-        slug,
-        variation,
-      };
-
-      const response = await fetchPersistedQuery(
-        REACT_APP_ENDPOINT + "/page-by-slug",
-        queryVariables
-      );
-
-      if (response?.err) {
-        setError(response.err);
-      } else if (response?.data?.pageList?.items?.length === 1) {
-        setData(response.data.pageList.items[0]);
-      }
-    }
-
-    fetchData();
-  }, [slug, variation, fetchTrigger]);
-
-  return { data, error };
+export function usePageBySlug(slug, variation = "master") {
+  const queryVariables = useMemo(
+    () => ({ slug, variation }),
+    [slug, variation]
+  );
+
+  return usePersistedQuery("page-by-slug", queryVariables, selectPage, {
+    enabled: !!slug,
+  });
 }
 
 /**
@@ -90,101 +204,53 @@ export function usePageBySlug(slug, variation = "master", fetchTrigger) {
  * @param {String!} path the _path of the cf
  * @returns a JSON object representing the Article
  */
-export function useTeaserListByPath(path, variation = "master", fetchTrigger) {
-  const [data, setData] = useState(null);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    async function fetchData() {
-      const queryVariables = {
-        path,
-        variation,
-      };
-
-      const response = await fetchPersistedQuery(
-        REACT_APP_ENDPOINT + "/teaser-list-by-path",
-        queryVariables
-      );
-
-      if (response?.err) {
-        setError(response.err);
-      } else if (response?.data?.teaserListList?.items?.length === 1) {
-        setData(response.data.teaserListList.items[0]);
-      }
-    }
-
-    fetchData();
-  }, [path, variation, fetchTrigger]);
-
-  return { data, error };
+export function useTeaserListByPath(path, variation = "master") {
+  const queryVariables = useMemo(
+    () => ({ path, variation }),
+    [path, variation]
+  );
+
+  return usePersistedQuery(
+    "teaser-list-by-path",
+    queryVariables,
+    selectTeaserList
+  );
 }
 
 /**
- * Calls the 'article-by-slug' persisted query with `slug` parameter.
+ * Calls the 'article-by-slug' persisted query with `slug` and `variation` parameter.
  *
  * @param {String!} slug the page slug
+ * @param {String} [variation] the article variation, master when omitted
  * @returns a JSON object representing the Article
  */
-export function useArticleBySlug(slug) {
-  const [data, setData] = useState(null);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    async function fetchData() {
-      const queryVariables = {
-        slug: slug,
-      };
-
-      const response = await fetchPersistedQuery(
-        REACT_APP_ENDPOINT + "/article-by-slug",
-        queryVariables
-      );
-
-      if (response?.err) {
-        setError(response.err);
-      } else if (response?.data?.articleList?.items?.length === 1) {
-        setData(response.data.articleList.items[0]);
-      }
-    }
-
-    fetchData();
-  }, [slug]);
-
-  return { data, error };
+export function useArticleBySlug(slug, variation) {
+  const queryVariables = useMemo(
+    () => (variation ? { slug, variation } : { slug }),
+    [slug, variation]
+  );
+
+  return usePersistedQuery("article-by-slug", queryVariables, selectArticle, {
+    enabled: !!slug,
+  });
 }
 
 /**
- * Calls the 'service-by-slug' persisted query with `slug` parameter.
+ * Calls the 'service-by-slug' persisted query with `slug` and `variation` parameter.
  *
  * @param {String!} slug the page slug
+ * @param {String} [variation] the service variation, master when omitted
  * @returns a JSON object representing the Service
  */
-export function useServiceBySlug(slug) {
-  const [data, setData] = useState(null);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    async function fetchData() {
-      const queryVariables = {
-        slug,
-      };
-
-      const response = await fetchPersistedQuery(
-        REACT_APP_ENDPOINT + "/service-by-slug",
-        queryVariables
-      );
-
-      if (response?.err) {
-        setError(response.err);
-      } else if (response?.data?.serviceList?.items?.length === 1) {
-        setData(response.data.serviceList.items[0]);
-      }
-    }
-
-    fetchData();
-  }, [slug]);
-
-  return { data, error };
+export function useServiceBySlug(slug, variation) {
+  const queryVariables = useMemo(
+    () => (variation ? { slug, variation } : { slug }),
+    [slug, variation]
+  );
+
+  return usePersistedQuery("service-by-slug", queryVariables, selectService, {
+    enabled: !!slug,
+  });
 }
 
 /**
@@ -194,31 +260,9 @@ export function useServiceBySlug(slug) {
  * @returns a JSON object representing the Articles
  */
 export function useArticles(first) {
-  const [data, setData] = useState(null);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    async function fetchData() {
-      const queryVariables = {};
-
-      first && (queryVariables.first = first);
-
-      const response = await fetchPersistedQuery(
-        REACT_APP_ENDPOINT + "/articles",
-        queryVariables
-      );
+  const queryVariables = useMemo(() => (first ? { first } : {}), [first]);
 
-      if (response?.err) {
-        setError(response.err);
-      } else if (response?.data?.articlePaginated?.edges?.length) {
-        setData(response.data.articlePaginated.edges);
-      }
-    }
-
-    fetchData();
-  }, [first]);
-
-  return { data, error };
+  return usePersistedQuery("articles", queryVariables, selectArticles);
 }
 
 /**
@@ -228,29 +272,45 @@ export function useArticles(first) {
  * @returns a JSON object representing the Services
  */
 export function useServices(first) {
-  const [data, setData] = useState(null);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const queryVariables = {};
+  const queryVariables = useMemo(() => (first ? { first } : {}), [first]);
 
-    first && (queryVariables.first = first);
-
-    async function fetchData() {
-      const response = await fetchPersistedQuery(
-        REACT_APP_ENDPOINT + "/services",
-        queryVariables
-      );
+  return usePersistedQuery("services", queryVariables, selectServices);
+}
 
-      if (response?.err) {
-        setError(response.err);
-      } else if (response?.data?.servicePaginated?.edges?.length) {
-        setData(response.data.servicePaginated.edges);
-      }
-    }
+/**
+ * Calls the 'cta-by-path' persisted query with `path` and `variation` parameter.
+ *
+ * @param {String!} path the _path of the cf
+ * @param {String} variation the cf variation
+ * @returns a JSON object representing the Call to Action
+ */
+export function useCallToAction(path, variation = "master") {
+  const queryVariables = useMemo(
+    () => ({ path, variation }),
+    [path, variation]
+  );
 
-    fetchData();
-  }, [first]);
+  return usePersistedQuery("cta-by-path", queryVariables, selectCallToAction);
+}
 
-  return { data, error };
+/**
+ * Calls the 'navigation-by-path' persisted query with `path` and `variation` parameter.
+ * The query returns the navigation fragments whose _path starts with `path`, so a
+ * folder path returns every navigation in it.
+ *
+ * @param {String!} path the _path of the cf, or of its folder
+ * @param {String} variation the cf variation
+ * @returns an array of JSON objects representing the Navigations
+ */
+export function useNavigation(path, variation = "master") {
+  const queryVariables = useMemo(
+    () => ({ path, variation }),
+    [path, variation]
+  );
+
+  return usePersistedQuery(
+    "navigation-by-path",
+    queryVariables,
+    selectNavigations
+  );
 }
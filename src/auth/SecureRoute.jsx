@@ -0,0 +1,92 @@
+import React, { useEffect, useRef } from "react";
+import { Outlet, useLocation } from "react-router-dom";
+import { useOktaAuth } from "@okta/okta-react";
+import ErrorMessage from "../components/ErrorMessage";
+import Skeleton from "../components/base/Skeleton";
+import Seo from "../components/Seo";
+import { hasAnyGroup } from "./roles";
+import { isInIframe, signIn } from "./signIn";
+import "./SecureRoute.scss";
+
+/**
+ * Layout route rendering its child routes (or children) for signed-in users
+ * only. Visitors who are not signed in, or whose session expired, are sent to
+ * Okta and brought back to the same page. Inside an iframe (Universal Editor)
+ * sign-in needs a popup, which browsers only open on a click, so a prompt is
+ * shown instead.
+ *
+ * @param {Array<string>} [groups] - Okta groups allowed in; any signed-in user when omitted
+ * @param {React.ReactNode} [children] - rendered instead of the child routes
+ */
+const SecureRoute = ({ groups, children }) => {
+  const { oktaAuth, authState } = useOktaAuth();
+  const location = useLocation();
+  const wasAuthenticated = useRef(false);
+  const inIframe = isInIframe();
+
+  const isAuthenticated = authState?.isAuthenticated;
+  if (isAuthenticated) wasAuthenticated.current = true;
+
+  const originalUri = location.pathname + location.search;
+
+  // A token that can no longer be renewed ends the session; update the auth
+  // state so the guard asks for sign-in again
+  useEffect(() => {
+    const handleError = () => oktaAuth.authStateManager.updateAuthState();
+    oktaAuth.tokenManager.on("error", handleError);
+    return () => oktaAuth.tokenManager.off("error", handleError);
+  }, [oktaAuth]);
+
+  useEffect(() => {
+    if (authState && !authState.isAuthenticated && !inIframe) {
+      signIn(oktaAuth, { originalUri });
+    }
+  }, [oktaAuth, authState, inIframe, originalUri]);
+
+  if (!authState || (!isAuthenticated && !inIframe)) {
+    return (
+      <div className="container secure-route-loading" aria-busy="true">
+        <Skeleton width="40%" height="62px" />
+        <Skeleton width="100%" height="216px" />
+      </div>
+    );
+  }
+
+  if (!isAuthenticated) {
+    return (
+      <section className="container error-message">
+        <Seo title="Sign in" noIndex />
+        <h3 className="color-dark">
+          {wasAuthenticated.current ? "Your session has expired" : "Sign in to continue"}
+        </h3>
+        <p className="font-size-large">
+          {wasAuthenticated.current
+            ? "Please sign in again to keep using your account."
+            : "This page is only available to signed-in customers."}
+        </p>
+        <button
+          className="hover-effect"
+          onClick={() => signIn(oktaAuth, { originalUri })}
+        >
+          Sign In
+        </button>
+      </section>
+    );
+  }
+
+  if (!hasAnyGroup(authState, groups)) {
+    return (
+      <>
+        <Seo title="Not allowed" noIndex />
+        <ErrorMessage
+          title="Not allowed"
+          message="Your account does not have access to this page."
+        />
+      </>
+    );
+  }
+
+  return children || <Outlet />;
+};
+
+export default SecureRoute;
@@ -0,0 +1,23 @@
+import { ADMIN_GROUP, hasAnyGroup } from "./roles";
+
+/**
+ * Sections of the /account area. Entries with `groups` are only listed (and
+ * routed, see App.jsx) for members of those Okta groups.
+ */
+export const ACCOUNT_NAVIGATION = [
+  { label: "Profile", href: "/account" },
+  { label: "Preferences", href: "/account/preferences" },
+  { label: "Saved", href: "/account/saved" },
+  {
+    label: "Service Status",
+    href: "/account/service-status",
+    groups: [ADMIN_GROUP],
+  },
+];
+
+/**
+ * The ACCOUNT_NAVIGATION entries the signed-in user may open, as listed by
+ * the header and the /account area. Empty when signed out.
+ */
+export const getAccountNavigation = (authState) =>
+  ACCOUNT_NAVIGATION.filter(({ groups }) => hasAnyGroup(authState, groups));
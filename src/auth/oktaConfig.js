@@ -13,6 +13,9 @@ if (!REACT_APP_OKTA_ISSUER || !REACT_APP_OKTA_CLIENT_ID) {
   );
 }
 
+// The app is also rendered on the server, where there is no window or session storage
+const IS_SERVER = typeof window === "undefined";
+
 const scopes = REACT_APP_OKTA_SCOPES
   ? REACT_APP_OKTA_SCOPES.split(" ")
   : ["openid", "profile", "email"];
@@ -20,7 +23,9 @@ const scopes = REACT_APP_OKTA_SCOPES
 export const oktaAuth = new OktaAuth({
   issuer: REACT_APP_OKTA_ISSUER,
   clientId: REACT_APP_OKTA_CLIENT_ID,
-  redirectUri: REACT_APP_OKTA_REDIRECT_URI || window.location.origin + "/login/callback",
+  redirectUri:
+    REACT_APP_OKTA_REDIRECT_URI ||
+    (IS_SERVER ? undefined : window.location.origin + "/login/callback"),
   scopes,
   pkce: true,
   // Suppress SSL validation errors for the self-signed cert used by `react-scripts` on localhost.
@@ -30,6 +35,6 @@ export const oktaAuth = new OktaAuth({
   postMessageTimeout: 20000,
   tokenManager: {
     autoRenew: true,
-    storage: "sessionStorage",
+    storage: IS_SERVER ? "memory" : "sessionStorage",
   },
 });
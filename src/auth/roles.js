@@ -0,0 +1,35 @@
+const { REACT_APP_OKTA_ADMIN_GROUP, REACT_APP_OKTA_AUTHOR_GROUP } = process.env;
+
+// Okta group allowed to manage the service token (the server checks the same
+// group, OKTA_ADMIN_GROUP, on its admin endpoints)
+export const ADMIN_GROUP = REACT_APP_OKTA_ADMIN_GROUP || "admin";
+
+// Okta group of content authors, who get the variation preview on every page
+export const AUTHOR_GROUP = REACT_APP_OKTA_AUTHOR_GROUP || "content-authors";
+
+/**
+ * Okta groups of the signed-in user, from the access token's `groups` claim
+ * (or the ID token's when only that one carries it)
+ * @param {object} authState - Okta auth state
+ * @returns {Array<string>}
+ */
+export const getUserGroups = (authState) => {
+  if (!authState?.isAuthenticated) return [];
+  const groups =
+    authState.accessToken?.claims?.groups || authState.idToken?.claims?.groups;
+  return Array.isArray(groups) ? groups : [];
+};
+
+/**
+ * Whether the signed-in user is in at least one of the groups; any signed-in
+ * user when no groups are given
+ * @param {object} authState - Okta auth state
+ * @param {Array<string>} [groups]
+ * @returns {boolean}
+ */
+export const hasAnyGroup = (authState, groups) => {
+  if (!authState?.isAuthenticated) return false;
+  if (!groups?.length) return true;
+  const userGroups = getUserGroups(authState);
+  return groups.some((group) => userGroups.includes(group));
+};
@@ -0,0 +1,49 @@
+// The app is also rendered on the server, where there is no window
+const IS_SERVER = typeof window === "undefined";
+
+/**
+ * Universal Editor (and any other host) loads the app inside an iframe.
+ * signInWithRedirect() navigates the iframe itself, breaking the UE shell,
+ * so inside iframes sign-in opens the Okta dialog as a separate top-level
+ * window instead.
+ * @returns {boolean}
+ */
+export const isInIframe = () => {
+  if (IS_SERVER) return false;
+  try {
+    return window.self !== window.top;
+  } catch {
+    return true;
+  }
+};
+
+/**
+ * Sign in, or sign in again after the session expired: a popup inside
+ * iframes, a redirect otherwise. Browsers block popups that are not opened
+ * from a click, so in iframes call this from an event handler.
+ * @param {OktaAuth} oktaAuth
+ * @param {object} [options]
+ * @param {string} [options.originalUri] - Where to return after a redirect sign-in
+ * @returns {Promise<void>}
+ */
+export const signIn = async (oktaAuth, { originalUri } = {}) => {
+  if (!isInIframe()) {
+    return oktaAuth.signInWithRedirect(originalUri ? { originalUri } : undefined);
+  }
+
+  try {
+    // token.getWithPopup opens a separate top-level window for Okta login,
+    // returns the tokens to the iframe via postMessage, and avoids
+    // redirecting the iframe itself (which would break the UE shell).
+    const { tokens } = await oktaAuth.token.getWithPopup({
+      scopes: oktaAuth.options.scopes,
+    });
+    oktaAuth.tokenManager.setTokens(tokens);
+  } catch (err) {
+    // Popup blocked or closed by the user — redirect the top-level window
+    // as a fallback so authentication is always reachable.
+    if (err.name !== "UserCancelledError") {
+      window.top.location.href = window.location.origin + "/login/callback";
+    }
+  }
+};
@@ -0,0 +1,127 @@
+import { useCallback, useEffect, useState } from "react";
+import { useOktaAuth } from "@okta/okta-react";
+
+const STORAGE_PREFIX = "securbank.account";
+
+export const DEFAULT_PREFERENCES = {
+  emailUpdates: false,
+  contactMethod: "email",
+  interests: [],
+};
+
+const NO_SAVED_ITEMS = [];
+
+const getStorageKey = (sub, name) => `${STORAGE_PREFIX}.${sub}.${name}`;
+
+const readValue = (key, defaultValue) => {
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored === null ? defaultValue : JSON.parse(stored);
+  } catch {
+    return defaultValue;
+  }
+};
+
+/**
+ * Account data of the signed-in user kept in this browser, per Okta subject so
+ * people sharing a browser don't see each other's data. Updates in other tabs
+ * are picked up.
+ * @param {string} name - data set, e.g. "preferences"
+ * @param {*} defaultValue - value before anything was saved; keep it stable
+ *   (a constant or memoized), the stored value is reloaded when it changes
+ * @returns {Array} - [value, setValue]; setValue is a no-op when signed out
+ */
+export const useAccountData = (name, defaultValue) => {
+  const { authState } = useOktaAuth();
+  const sub = authState?.isAuthenticated ? authState.idToken?.claims?.sub : null;
+  const key = sub ? getStorageKey(sub, name) : null;
+
+  const [value, setStoredValue] = useState(() =>
+    key ? readValue(key, defaultValue) : defaultValue
+  );
+
+  // Load when the user changes, and follow writes from other tabs
+  useEffect(() => {
+    if (!key) {
+      setStoredValue(defaultValue);
+      return undefined;
+    }
+    setStoredValue(readValue(key, defaultValue));
+
+    const handleStorage = (event) => {
+      if (event.key === key) setStoredValue(readValue(key, defaultValue));
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [key, defaultValue]);
+
+  const setValue = useCallback(
+    (update) => {
+      if (!key) return;
+      setStoredValue((current) => {
+        const next = typeof update === "function" ? update(current) : update;
+        try {
+          window.localStorage.setItem(key, JSON.stringify(next));
+        } catch (error) {
+          console.warn("Could not save account data:", error);
+        }
+        return next;
+      });
+    },
+    [key]
+  );
+
+  return [value, setValue];
+};
+
+/**
+ * Preferences of the signed-in user
+ * @returns {Array} - [preferences, updatePreferences(partial)]
+ */
+export const usePreferences = () => {
+  const [preferences, setPreferences] = useAccountData(
+    "preferences",
+    DEFAULT_PREFERENCES
+  );
+
+  const updatePreferences = useCallback(
+    (changes) => setPreferences((current) => ({ ...current, ...changes })),
+    [setPreferences]
+  );
+
+  return [{ ...DEFAULT_PREFERENCES, ...preferences }, updatePreferences];
+};
+
+/**
+ * Articles and services the signed-in user saved
+ * @returns {object} - { items, isSaved(type, slug), toggleSaved(item), removeSaved(type, slug) }
+ *   items are { type: "article" | "service", slug, title, savedAt }, newest first
+ */
+export const useSavedItems = () => {
+  const [items, setItems] = useAccountData("saved", NO_SAVED_ITEMS);
+
+  const isSaved = useCallback(
+    (type, slug) => items.some((item) => item.type === type && item.slug === slug),
+    [items]
+  );
+
+  const removeSaved = useCallback(
+    (type, slug) =>
+      setItems((current) =>
+        current.filter((item) => !(item.type === type && item.slug === slug))
+      ),
+    [setItems]
+  );
+
+  const toggleSaved = useCallback(
+    ({ type, slug, title }) =>
+      setItems((current) =>
+        current.some((item) => item.type === type && item.slug === slug)
+          ? current.filter((item) => !(item.type === type && item.slug === slug))
+          : [{ type, slug, title, savedAt: new Date().toISOString() }, ...current]
+      ),
+    [setItems]
+  );
+
+  return { items, isSaved, toggleSaved, removeSaved };
+};
@@ -1,6 +1,7 @@
 import React from "react";
 import Image from "./base/Image";
 import Title from "./base/Title";
+import Skeleton from "./base/Skeleton";
 import ContentFragment from "./base/ContentFragment";
 import RedirectButton from "./RedirectButton";
 import arrowRight from "../assets/arrow-right.svg";
@@ -15,6 +16,7 @@ const ArticleCard = ({ cf }) => {
     <ContentFragment
       cf={cf}
       behavior="component"
+      model="article"
       className="card-vertical hover-effect article-card-wrapper"
     >
       <Image src={image} alt={`${title} illustration`} prop="image" />
@@ -29,4 +31,12 @@ const ArticleCard = ({ cf }) => {
   );
 };
 
+export const ArticleCardSkeleton = () => (
+  <div className="card-vertical article-card-wrapper">
+    <Skeleton width="100%" height="300px" />
+    <Skeleton width="80%" height="40px" />
+    <Skeleton width="140px" height="40px" />
+  </div>
+);
+
 export default ArticleCard;
@@ -1,21 +1,35 @@
 import React, { useMemo } from "react";
 import Container from "./base/Container";
-import ArticleCard from "./ArticleCard";
+import ArticleCard, { ArticleCardSkeleton } from "./ArticleCard";
 import "./ArticlesSection.scss";
 
-const ArticlesSection = ({ title, cfs, containerProps, columns = 2 }) => {
+const ArticlesSection = ({
+  title,
+  cfs,
+  containerProps,
+  columns = 2,
+  isLoading = false,
+  emptyMessage,
+}) => {
   const articles = useMemo(
     () =>
-      cfs.map((cf, index) => (
-        <ArticleCard key={`${cf.slug}_${index}`} cf={cf} />
-      )),
-    [cfs]
+      isLoading
+        ? Array.from({ length: columns * 2 }, (_, index) => (
+            <ArticleCardSkeleton key={`skeleton_${index}`} />
+          ))
+        : (cfs || []).map((cf, index) => (
+            <ArticleCard key={`${cf.slug}_${index}`} cf={cf} />
+          )),
+    [cfs, columns, isLoading]
   );
 
   return (
     <div className="background-grey">
       <section className="container articles-wrapper">
         {title && <h3 className="color-dark">{title}</h3>}
+        {!articles.length && emptyMessage && (
+          <p className="font-size-large">{emptyMessage}</p>
+        )}
         <Container
           {...containerProps}
           className={`cards-wrapper columns-${columns}`}
@@ -1,29 +1,65 @@
 import React from "react";
 import RedirectButton from "./RedirectButton";
+import ContentFragment from "./base/ContentFragment";
+import Title from "./base/Title";
+import Text from "./base/Text";
+import { useCallToAction } from "../api";
+import { isSafeHref } from "../utils";
 import "./CallToActionSection.scss";
 
+const CTA_PATH = "/content/dam/securbank/cta/open-an-account";
+
+// Shown until the fragment loads, and when AEM is unreachable
+const fallback = {
+  title: "Unlock Your Financial Future with SecurBank",
+  description:
+    "Experience effortless banking with SecurBank. Start your journey to financial freedom.",
+  primaryLabel: "Open an Account",
+  primaryUrl: "/",
+  secondaryLabel: "Contact Us",
+  secondaryUrl: "/",
+};
+
 const CallToActionSection = () => {
+  const { data } = useCallToAction(CTA_PATH);
+  // Authored buttons left empty are hidden, links that are not safe go to "/"
+  const cta = data || fallback;
+  const getHref = (url) => (isSafeHref(url) ? url : undefined);
+
   return (
     <section className="container cta-wrapper">
-      <div className="content-button-wrapper background-blue card-wrapper">
+      <ContentFragment
+        cf={data}
+        model="cta"
+        className="content-button-wrapper background-blue card-wrapper"
+      >
         <div className="content-wrapper">
-          <h1 className="color-light">
-            Unlock Your Financial Future with SecurBank
-          </h1>
-          <p className="color-grey">
-            Experience effortless banking with SecurBank. Start your journey to
-            financial freedom.
-          </p>
+          <Title heading="h1" prop="title" className="color-light">
+            {cta.title}
+          </Title>
+          <Text prop="description" className="color-grey description">
+            {cta.description}
+          </Text>
         </div>
         <div className="buttons-wrapper">
-          <RedirectButton className="hover-effect">
-            Open an Account
-          </RedirectButton>
-          <RedirectButton className="secondary hover-effect">
-            Contact Us
-          </RedirectButton>
+          {cta.primaryLabel && (
+            <RedirectButton
+              href={getHref(cta.primaryUrl)}
+              className="hover-effect"
+            >
+              {cta.primaryLabel}
+            </RedirectButton>
+          )}
+          {cta.secondaryLabel && (
+            <RedirectButton
+              href={getHref(cta.secondaryUrl)}
+              className="secondary hover-effect"
+            >
+              {cta.secondaryLabel}
+            </RedirectButton>
+          )}
         </div>
-      </div>
+      </ContentFragment>
     </section>
   );
 };
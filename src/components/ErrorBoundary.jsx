@@ -0,0 +1,44 @@
+import React from "react";
+import ErrorMessage from "./ErrorMessage";
+import { invalidateQueries } from "../api";
+
+/**
+ * Catches render errors in its subtree and shows a retry UI instead of
+ * unmounting the whole app. Retrying refetches the cached persisted queries
+ * and renders the subtree again.
+ */
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+    this.handleRetry = this.handleRetry.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    console.error("Error rendering route:", error, errorInfo?.componentStack);
+  }
+
+  handleRetry() {
+    invalidateQueries();
+    this.setState({ error: null });
+  }
+
+  render() {
+    if (this.state.error) {
+      return (
+        <ErrorMessage
+          message="This page failed to load. Please try again."
+          onRetry={this.handleRetry}
+        />
+      );
+    }
+
+    return this.props.children;
+  }
+}
+
+export default ErrorBoundary;
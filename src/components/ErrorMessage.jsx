@@ -0,0 +1,29 @@
+import React from "react";
+import "./ErrorMessage.scss";
+
+/**
+ * Message shown in place of content that failed to load or render.
+ *
+ * @param {string} [title] - headline of the message
+ * @param {string} [message] - explanation shown under the headline
+ * @param {function} [onRetry] - renders a "Try Again" button when provided
+ */
+const ErrorMessage = ({
+  title = "Something went wrong",
+  message = "We couldn't load this content. Please try again.",
+  onRetry,
+}) => {
+  return (
+    <section className="container error-message" role="alert">
+      <h3 className="color-dark">{title}</h3>
+      <p className="font-size-large">{message}</p>
+      {onRetry && (
+        <button className="secondary hover-effect" onClick={onRetry}>
+          Try Again
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default ErrorMessage;
@@ -2,6 +2,7 @@ import React from "react";
 import Title from "./base/Title";
 import Image from "./base/Image";
 import Text from "./base/Text";
+import Skeleton from "./base/Skeleton";
 import RedirectButton from "./RedirectButton";
 import "./Hero.scss";
 
@@ -31,4 +32,19 @@ const Hero = ({ image, title, content }) => {
   );
 };
 
+export const HeroSkeleton = () => (
+  <div className="background-blue">
+    <div className="container hero-wrapper">
+      <div className="content-button-wrapper">
+        <div className="content-wrapper">
+          <Skeleton width="100%" height="160px" />
+          <Skeleton width="80%" height="54px" />
+        </div>
+        <Skeleton width="170px" height="52px" />
+      </div>
+      <Skeleton className="hero-image-skeleton" width="550px" height="310px" />
+    </div>
+  </div>
+);
+
 export default Hero;
@@ -0,0 +1,35 @@
+import React from "react";
+import { useOktaAuth } from "@okta/okta-react";
+import { useSavedItems } from "../auth/useAccountData";
+import "./SaveButton.scss";
+
+/**
+ * Saves an article or service to the signed-in user's account
+ * (see /account/saved). Renders nothing for visitors who are not signed in.
+ *
+ * @param {string} type - "article" or "service"
+ * @param {string} slug - slug of the article or service
+ * @param {string} title - title shown in the saved list
+ */
+const SaveButton = ({ type, slug, title }) => {
+  const { authState } = useOktaAuth();
+  const { isSaved, toggleSaved } = useSavedItems();
+
+  if (!authState?.isAuthenticated || !slug) return null;
+
+  const saved = isSaved(type, slug);
+
+  return (
+    <button
+      className={`secondary font-size-medium hover-effect save-button${
+        saved ? " saved" : ""
+      }`}
+      aria-pressed={saved}
+      onClick={() => toggleSaved({ type, slug, title })}
+    >
+      {saved ? "Saved" : "Save"}
+    </button>
+  );
+};
+
+export default SaveButton;
@@ -0,0 +1,60 @@
+import React from "react";
+import { Helmet } from "react-helmet-async";
+import { SITE_NAME, DEFAULT_DESCRIPTION, getAbsoluteUrl } from "../utils";
+
+/**
+ * Per-page title, description, canonical URL, Open Graph / Twitter card tags
+ * and optional schema.org JSON-LD.
+ *
+ * @param {string} [title] - page title, suffixed with the site name
+ * @param {string} [description] - meta description
+ * @param {string} [image] - absolute image URL for social cards
+ * @param {string} [path] - canonical path, e.g. "/articles/my-article"
+ * @param {string} [type] - Open Graph type, "website" or "article"
+ * @param {object} [jsonLd] - schema.org structured data
+ * @param {boolean} [noIndex] - ask crawlers not to index the page
+ */
+const Seo = ({
+  title,
+  description = DEFAULT_DESCRIPTION,
+  image,
+  path,
+  type = "website",
+  jsonLd,
+  noIndex = false,
+}) => {
+  const fullTitle = title ? `${title} | ${SITE_NAME}` : SITE_NAME;
+  const url = path ? getAbsoluteUrl(path) : null;
+
+  return (
+    <Helmet>
+      <title>{fullTitle}</title>
+      <meta name="description" content={description} />
+      {url && <link rel="canonical" href={url} />}
+      {noIndex && <meta name="robots" content="noindex" />}
+
+      <meta property="og:site_name" content={SITE_NAME} />
+      <meta property="og:type" content={type} />
+      <meta property="og:title" content={fullTitle} />
+      <meta property="og:description" content={description} />
+      {url && <meta property="og:url" content={url} />}
+      {image && <meta property="og:image" content={image} />}
+
+      <meta
+        name="twitter:card"
+        content={image ? "summary_large_image" : "summary"}
+      />
+      <meta name="twitter:title" content={fullTitle} />
+      <meta name="twitter:description" content={description} />
+      {image && <meta name="twitter:image" content={image} />}
+
+      {jsonLd && (
+        <script type="application/ld+json">
+          {JSON.stringify(jsonLd).replace(/</g, "\\u003c")}
+        </script>
+      )}
+    </Helmet>
+  );
+};
+
+export default Seo;
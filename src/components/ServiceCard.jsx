@@ -2,6 +2,7 @@ import React from "react";
 import Image from "./base/Image";
 import Title from "./base/Title";
 import Text from "./base/Text";
+import Skeleton from "./base/Skeleton";
 import ContentFragment from "./base/ContentFragment";
 import arrowRight from "../assets/arrow-right.svg";
 import "./ServiceCard.scss";
@@ -17,9 +18,10 @@ const ServiceCard = ({ cf, navigate }) => {
   return (
     <ContentFragment
       cf={cf}
+      model="service"
       className="card-horizontal hover-effect service-card-wrapper"
     >
-      <Image src={image} alt={`${title} illustration`} prop="image" />
+      <Image src={image} alt={`${title} illustration`} prop="icon" />
       <div className="right-wrapper">
         <div className="content-wrapper">
           {category && (
@@ -45,4 +47,18 @@ const ServiceCard = ({ cf, navigate }) => {
   );
 };
 
+export const ServiceCardSkeleton = () => (
+  <div className="card-horizontal service-card-wrapper">
+    <Skeleton width="500px" height="350px" />
+    <div className="right-wrapper">
+      <div className="content-wrapper">
+        <Skeleton width="120px" height="24px" />
+        <Skeleton width="60%" height="40px" />
+        <Skeleton width="100%" height="72px" />
+      </div>
+      <Skeleton width="140px" height="48px" />
+    </div>
+  </div>
+);
+
 export default ServiceCard;
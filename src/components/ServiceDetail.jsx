@@ -3,12 +3,30 @@ import ContentFragment from "./base/ContentFragment";
 import Title from "./base/Title";
 import Image from "./base/Image";
 import Text from "./base/Text";
+import Skeleton from "./base/Skeleton";
 import RedirectButton from "./RedirectButton";
-import { useServiceBySlug } from "../api";
+import SaveButton from "./SaveButton";
+import ErrorMessage from "./ErrorMessage";
+import Seo from "./Seo";
+import { useServiceBySlug, QUERY_STATUS } from "../api";
+import { usePreviewMode, VariationPreview } from "../preview";
+import {
+  getAbsoluteUrl,
+  getDescription,
+  getImageUrl,
+  buildServiceJsonLd,
+} from "../utils";
 import "./ServiceDetail.scss";
 
 const ServiceDetail = ({ slug }) => {
-  const { data } = useServiceBySlug(slug);
+  // ?variation= shows another variation; authors can compare two (see src/preview)
+  const preview = usePreviewMode();
+  const variation = preview.variation || "master";
+  const { data, status, retry } = useServiceBySlug(slug, preview.variation);
+  const { data: compareData } = useServiceBySlug(
+    preview.compareVariation ? slug : null,
+    preview.compareVariation
+  );
 
   useEffect(() => {
     if (data) {
@@ -20,17 +38,74 @@ const ServiceDetail = ({ slug }) => {
     }
   }, [data]);
 
-  if (!data) return;
+  if (status === QUERY_STATUS.LOADING) return <ServiceDetailSkeleton />;
+
+  if (status === QUERY_STATUS.ERROR && !data) {
+    return (
+      <ErrorMessage
+        message="We couldn't load this service. Please try again."
+        onRetry={retry}
+      />
+    );
+  }
+
+  if (!data) {
+    if (status === QUERY_STATUS.SUCCESS) {
+      return (
+        <ErrorMessage
+          title="Service not found"
+          message="This service is no longer available. Browse our other services below."
+        />
+      );
+    }
+    return;
+  }
 
-  const image = data?.icon?._dynamicUrl;
   const title = data?.title;
   const content = data?.description;
-  const category = data?.serviceCategory?.name;
+  const path = `/services/${slug}`;
+  const description = getDescription(data, content);
+  const seoImage = getImageUrl(data?.icon);
+
+  return (
+    <>
+      <Seo
+        title={title}
+        description={description}
+        image={seoImage}
+        path={path}
+        noIndex={preview.enabled}
+        jsonLd={buildServiceJsonLd({
+          cf: data,
+          description,
+          image: seoImage,
+          url: getAbsoluteUrl(path),
+        })}
+      />
+      <VariationPreview
+        preview={preview}
+        variations={data._variations}
+        variation={variation}
+        cf={data}
+        compareCf={compareData}
+      >
+        {(cf) => <ServiceContent cf={cf} slug={slug} />}
+      </VariationPreview>
+    </>
+  );
+};
+
+const ServiceContent = ({ cf, slug }) => {
+  const image = cf?.icon?._dynamicUrl;
+  const title = cf?.title;
+  const content = cf?.description;
+  const category = cf?.serviceCategory?.name;
 
   return (
     <ContentFragment
       tag="section"
-      cf={data}
+      cf={cf}
+      model="service"
       className="container service-detail-wrapper"
     >
       <div className="left-wrapper">
@@ -47,16 +122,33 @@ const ServiceDetail = ({ slug }) => {
           </Title>
           <Text content={content} prop="description" />
         </div>
-        <RedirectButton className="hover-effect">Book Now</RedirectButton>
+        <div className="actions-wrapper">
+          <RedirectButton className="hover-effect">Book Now</RedirectButton>
+          <SaveButton type="service" slug={slug} title={title} />
+        </div>
       </div>
       <Image
         src={image}
         alt={`${title} illustration`}
-        prop="image"
+        prop="icon"
         className="hover-effect"
       />
     </ContentFragment>
   );
 };
 
+const ServiceDetailSkeleton = () => (
+  <section className="container service-detail-wrapper">
+    <div className="left-wrapper">
+      <div className="content-wrapper">
+        <Skeleton width="120px" height="24px" />
+        <Skeleton width="80%" height="82px" />
+        <Skeleton width="100%" height="108px" />
+      </div>
+      <Skeleton width="160px" height="52px" />
+    </div>
+    <Skeleton width="550px" height="450px" />
+  </section>
+);
+
 export default ServiceDetail;
@@ -1,16 +1,16 @@
 import React, { useState, useMemo } from "react";
 import { useNavigate } from "react-router-dom";
-import ServiceCard from "./ServiceCard";
+import ServiceCard, { ServiceCardSkeleton } from "./ServiceCard";
 import SelectorButton from "./SelectorButton";
 import "./ServicesSection.scss";
 
-const ServicesSection = ({ slug, cfs }) => {
+const ServicesSection = ({ slug, cfs, isLoading = false }) => {
   const navigate = useNavigate();
   const [selectedCategory, setSelectedCategory] = useState("All Services");
 
   const categoriesedServices = useMemo(() => {
     const map = { "All Services": [] };
-    cfs.forEach((service) => {
+    (cfs || []).forEach((service) => {
       const category = service?.serviceCategory?.name;
       if (category) {
         map[category] = map[category] || [];
@@ -54,7 +54,14 @@ const ServicesSection = ({ slug, cfs }) => {
             </SelectorButton>
           ))}
         </div>
-        {services}
+        {isLoading
+          ? [0, 1, 2].map((index) => (
+              <ServiceCardSkeleton key={`skeleton_${index}`} />
+            ))
+          : services}
+        {!isLoading && !services.length && (
+          <p className="font-size-large">No services found.</p>
+        )}
       </section>
     </div>
   );
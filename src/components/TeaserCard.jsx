@@ -17,6 +17,7 @@ const TeaserCard = ({ cf }) => {
     <ContentFragment
       cf={cf}
       behavior="component"
+      model="teaser"
       className="hover-effect teaser-wrapper"
     >
       <Image src={image} alt={`${title} illustration`} prop="icon" />
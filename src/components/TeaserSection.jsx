@@ -1,33 +1,9 @@
-import React, { useEffect } from "react";
+import React from "react";
 import Container from "./base/Container";
 import TeaserCard from "../components/TeaserCard";
 import "./TeaserSection.scss";
 
-const TeaserSection = ({ title, cfs, containerProps, setFetchTrigger }) => {
-  useEffect(() => {
-    const contentAddHandler = (event) => {
-      setTimeout(() => {
-        setFetchTrigger((state) => !state);
-      }, 500);
-      event.stopPropagation();
-    };
-    const contentRemoveHandler = (event) => {
-      setTimeout(() => {
-        setFetchTrigger((state) => !state);
-      }, 500);
-      event.stopPropagation();
-    };
-    document.body.addEventListener("aue:content-add", contentAddHandler);
-    document.body.addEventListener("aue:content-remove", contentRemoveHandler);
-    return () => {
-      document.body.removeEventListener("aue:content-add", contentAddHandler);
-      document.body.removeEventListener(
-        "aue:content-remove",
-        contentRemoveHandler
-      );
-    };
-  }, [setFetchTrigger]);
-
+const TeaserSection = ({ title, cfs, containerProps }) => {
   if (!cfs) return;
 
   return (
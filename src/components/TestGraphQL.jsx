@@ -1,6 +1,5 @@
 import React, { useState, useEffect } from 'react';
 import aemHeadlessClient from '../api/aemHeadlessClient';
-import { getAuthConfig, isServiceTokenAuth } from '../api/authService';
 
 const TestGraphQL = () => {
   const [testResults, setTestResults] = useState({});
@@ -14,17 +13,15 @@ const TestGraphQL = () => {
     results.environment = {
       HOST_URI: process.env.REACT_APP_HOST_URI,
       GRAPHQL_ENDPOINT: process.env.REACT_APP_GRAPHQL_ENDPOINT,
-      AUTH_METHOD: process.env.REACT_APP_AUTH_METHOD,
-      USE_PROXY: process.env.REACT_APP_USE_PROXY,
-      HAS_SERVICE_TOKEN: !!process.env.REACT_APP_SERVICE_TOKEN,
+      AEM_PROXY_URL: process.env.REACT_APP_AEM_PROXY_URL || '/api/aem',
       ENDPOINT: process.env.REACT_APP_ENDPOINT,
     };
 
     // Test 2: Check authentication configuration
+    // Credentials are attached by the server-side /api/aem proxy, which reads
+    // AEM_AUTH_METHOD; the client does not know the method
     results.auth = {
-      isServiceTokenAuth: isServiceTokenAuth(),
-      authConfig: getAuthConfig(),
-      hasAuth: !!getAuthConfig(),
+      serverSideAuth: true,
     };
 
     // Test 3: Test basic connectivity
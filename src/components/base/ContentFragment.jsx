@@ -1,4 +1,5 @@
 import React from "react";
+import { useEditorPending } from "../../api";
 
 const ContentFragment = ({
   children,
@@ -7,6 +8,7 @@ const ContentFragment = ({
   cf,
   label,
   behavior,
+  model,
 }) => {
   let title = "";
   if (cf?._metadata?.stringMetadata) {
@@ -15,6 +17,9 @@ const ContentFragment = ({
         ?.value || null;
   }
 
+  // Edited in the Universal Editor, shown before AEM has confirmed it
+  const pending = useEditorPending(cf?._path);
+
   const compositeLabel =
     label || cf?._model?.title + (title ? ` (${title})` : "");
 
@@ -24,11 +29,19 @@ const ContentFragment = ({
     }`,
     "data-aue-type": "reference",
     "data-aue-label": compositeLabel,
+    // Component model (public/static/component-models.json) edited in the properties panel
+    "data-aue-model": model,
     "data-aue-behavior": behavior,
+    "aria-busy": pending || undefined,
   };
 
   const Component = tag || "div";
 
+  // Fallback content, shown when AEM is unreachable, has nothing to edit
+  if (!cf?._path) {
+    return <Component className={className}>{children}</Component>;
+  }
+
   return (
     <Component className={className} {...editorProps}>
       {children}
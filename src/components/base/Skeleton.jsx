@@ -0,0 +1,22 @@
+import React from "react";
+
+/**
+ * Placeholder block shown while content is loading.
+ *
+ * @param {string} [tag] - element to render, defaults to "div"
+ * @param {string} [width] - CSS width
+ * @param {string} [height] - CSS height
+ */
+const Skeleton = ({ tag, className, width, height }) => {
+  const Component = tag || "div";
+
+  return (
+    <Component
+      aria-hidden="true"
+      className={`skeleton${className ? ` ${className}` : ""}`}
+      style={{ width, height }}
+    />
+  );
+};
+
+export default Skeleton;
@@ -4,53 +4,61 @@ import copyright from "../../assets/copyright.svg";
 import linkedinIcon from "../../assets/linkedin-icon.svg";
 import twitterIcon from "../../assets/twitter-icon.svg";
 import facebookIcon from "../../assets/facebook-icon.svg";
-import { useArticles, useServices } from "../../api";
+import ContentFragment from "../base/ContentFragment";
+import Title from "../base/Title";
+import { useArticles, useNavigation, useServices } from "../../api";
+import { parseNavigationLinks } from "../../utils";
 import "./Footer.scss";
 
-const hardcodedCategories = {
-  About: [
-    {
-      label: "Comparny",
-      href: "/",
-    },
-    {
-      label: "Careers",
-      href: "/",
-    },
-    {
-      label: "FAQ",
-      href: "/",
-    },
-    {
-      label: "Contact Us",
-      href: "/",
-    },
-  ],
-};
+const FOOTER_NAVIGATION_PATH = "/content/dam/securbank/navigation/footer/";
+
+// Shown until the navigation fragments load, and when AEM is unreachable
+const fallbackCategories = [
+  {
+    title: "About",
+    links: [
+      { label: "Company", href: "/" },
+      { label: "Careers", href: "/" },
+      { label: "FAQ", href: "/" },
+      { label: "Contact Us", href: "/" },
+    ],
+  },
+];
 
 const Footer = () => {
   const { data: articlesData } = useArticles(3);
   const { data: servicesData } = useServices(3);
+  const { data: navigationData } = useNavigation(FOOTER_NAVIGATION_PATH);
 
+  // One category per navigation fragment in the footer folder
   const categories = useMemo(() => {
-    const map = {};
+    const list = [];
 
     if (articlesData && servicesData) {
-      const articles = articlesData.map((node) => ({
-        label: node.node.title,
-        href: `/articles/${node.node.slug}`,
-      }));
-      const services = servicesData.map((node) => ({
-        label: node.node.title,
-        href: `/services/${node.node.slug}`,
-      }));
-
-      map["Articles"] = articles;
-      map["Services"] = services;
+      list.push({
+        title: "Articles",
+        links: articlesData.map((node) => ({
+          label: node.node.title,
+          href: `/articles/${node.node.slug}`,
+        })),
+      });
+      list.push({
+        title: "Services",
+        links: servicesData.map((node) => ({
+          label: node.node.title,
+          href: `/services/${node.node.slug}`,
+        })),
+      });
     }
 
-    return { ...map, ...hardcodedCategories };
-  }, [articlesData, servicesData]);
+    const authored = navigationData?.map((cf) => ({
+      cf,
+      title: cf.title,
+      links: parseNavigationLinks(cf.links),
+    }));
+
+    return [...list, ...(authored || fallbackCategories)];
+  }, [articlesData, servicesData, navigationData]);
 
   return (
     <footer>
@@ -58,11 +66,22 @@ const Footer = () => {
         <div className="top-wrapper">
           <Logo variant="dark" />
           <div className="categories-wrapper">
-            {Object.keys(categories).map((category, index) => (
-              <div key={`${category}_${index}`} className="category-wrapper">
-                <p className="font-size-large font-weight-medium">{category}</p>
+            {categories.map(({ cf, title, links }, index) => (
+              <ContentFragment
+                key={`${title}_${index}`}
+                cf={cf}
+                model="navigation"
+                className="category-wrapper"
+              >
+                <Title
+                  heading="p"
+                  prop="title"
+                  className="font-size-large font-weight-medium"
+                >
+                  {title}
+                </Title>
                 <nav>
-                  {categories[category].map(({ label, href }, index) => (
+                  {links.map(({ label, href }, index) => (
                     <a
                       key={`${href}_${index}`}
                       href={href}
@@ -72,7 +91,7 @@ const Footer = () => {
                     </a>
                   ))}
                 </nav>
-              </div>
+              </ContentFragment>
             ))}
           </div>
         </div>
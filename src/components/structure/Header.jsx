@@ -2,49 +2,42 @@ import React from "react";
 import { useOktaAuth } from "@okta/okta-react";
 import Logo from "../Logo";
 import RedirectButton from "../RedirectButton";
+import ContentFragment from "../base/ContentFragment";
+import { useNavigation } from "../../api";
+import { getAccountNavigation } from "../../auth/navigation";
+import { hasAnyGroup } from "../../auth/roles";
+import { signIn } from "../../auth/signIn";
+import { parseNavigationLinks } from "../../utils";
 import "./Header.scss";
 
+const HEADER_NAVIGATION_PATH = "/content/dam/securbank/navigation/header";
+
+// Shown until the navigation fragment loads, and when AEM is unreachable
+const fallbackNavigations = [
+  { label: "Services", href: "/services" },
+  { label: "Articles", href: "/articles" },
+];
+
 const Header = () => {
   const { oktaAuth, authState } = useOktaAuth();
+  const { data: navigationData } = useNavigation(HEADER_NAVIGATION_PATH);
+  const navigationCf = navigationData?.[0];
 
+  // Authored entries come first, those marked signedIn or limited to Okta
+  // groups only after sign-in; the account sections follow
   const navigations = [
-    { label: "Services", href: "/services" },
-    { label: "Articles", href: "/articles" },
+    ...(navigationCf
+      ? parseNavigationLinks(navigationCf.links)
+      : fallbackNavigations
+    ).filter(
+      ({ signedIn, groups }) =>
+        (!signedIn && !groups) || hasAnyGroup(authState, groups)
+    ),
+    ...getAccountNavigation(authState),
   ];
 
-  // Universal Editor (and any other host) loads the app inside an iframe.
-  // signInWithRedirect() navigates the iframe itself, breaking the UE shell.
-  // Use signInWithPopup() inside iframes so the Okta dialog opens as a
-  // separate top-level window and the iframe stays in place.
-  const isInIframe = (() => {
-    try {
-      return window.self !== window.top;
-    } catch {
-      return true;
-    }
-  })();
-
-  const handleSignIn = async () => {
-    if (isInIframe) {
-      try {
-        // token.getWithPopup opens a separate top-level window for Okta login,
-        // returns the tokens to the iframe via postMessage, and avoids
-        // redirecting the iframe itself (which would break the UE shell).
-        const { tokens } = await oktaAuth.token.getWithPopup({
-          scopes: ["openid", "profile", "email"],
-        });
-        oktaAuth.tokenManager.setTokens(tokens);
-      } catch (err) {
-        // Popup blocked or closed by the user — redirect the top-level window
-        // as a fallback so authentication is always reachable.
-        if (err.name !== "UserCancelledError") {
-          window.top.location.href = window.location.origin + "/login/callback";
-        }
-      }
-    } else {
-      oktaAuth.signInWithRedirect();
-    }
-  };
+  // Inside iframes (Universal Editor) sign-in opens a popup, see signIn()
+  const handleSignIn = () => signIn(oktaAuth);
 
   const handleSignOut = () => {
     oktaAuth.signOut();
@@ -61,7 +54,7 @@ const Header = () => {
       <div className="container header">
         <div className="navigations-wrapper">
           <Logo variant="light" />
-          <nav>
+          <ContentFragment tag="nav" cf={navigationCf} model="navigation">
             {navigations.map(({ label, href }, index) => (
               <a
                 key={`${href}_${index}`}
@@ -71,7 +64,7 @@ const Header = () => {
                 {label}
               </a>
             ))}
-          </nav>
+          </ContentFragment>
         </div>
         <div className="buttons-wrapper">
           {isAuthenticated ? (
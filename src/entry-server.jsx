@@ -0,0 +1,65 @@
+import React from "react";
+import { renderToString } from "react-dom/server";
+import { StaticRouter } from "react-router-dom/server";
+import { HelmetProvider } from "react-helmet-async";
+import { AppRoutes } from "./App";
+import { createQueryCache } from "./api/queryCache";
+import QueryCacheContext from "./api/QueryCacheContext";
+
+// Used by scripts/prerender.js to enumerate routes with the app's AEM configuration,
+// and by both renderers to authenticate with AEM
+export {
+  default as aemHeadlessClient,
+  setServerAuthorization,
+} from "./api/aemHeadlessClient";
+
+/**
+ * Server entry point, bundled by `npm run build:ssr` and used by server.js
+ * when SSR_ENABLED=true and by `npm run prerender`.
+ */
+
+// Each pass can discover queries that depend on data from the previous one
+const MAX_RENDER_PASSES = 3;
+
+/**
+ * Render the app for a URL with data from the persisted queries.
+ *
+ * The tree is rendered until no new persisted queries are started: hooks start
+ * their queries while rendering on the server, the renderer waits for them and
+ * renders again with the data in the cache.
+ *
+ * @param {String} url the request URL, including the query string
+ * @returns {Promise<{ html: String, head: String, state: Object, url: String }>}
+ *   the rendered markup, the head tags collected by react-helmet-async, the
+ *   serialized query cache the client hydrates from and the rendered URL
+ */
+export async function render(url) {
+  const queryCache = createQueryCache();
+  let html = "";
+  let helmetContext = {};
+
+  for (let pass = 0; pass < MAX_RENDER_PASSES; pass++) {
+    helmetContext = {};
+    html = renderToString(
+      <QueryCacheContext.Provider value={queryCache}>
+        <HelmetProvider context={helmetContext}>
+          <StaticRouter location={url}>
+            <AppRoutes />
+          </StaticRouter>
+        </HelmetProvider>
+      </QueryCacheContext.Provider>
+    );
+
+    const hadPending = await queryCache.waitForPending();
+    if (!hadPending) break;
+  }
+
+  const { helmet } = helmetContext;
+  const head = helmet
+    ? [helmet.title, helmet.meta, helmet.link, helmet.script]
+        .map((tags) => tags.toString())
+        .join("")
+    : "";
+
+  return { html, head, state: queryCache.dehydrate(), url };
+}
@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+const http = require("http");
+
+const ENDPOINT = "securbank";
+
+const ARTICLE = {
+  _path: "/content/dam/securbank/en/articles/saving-tips",
+  _variations: [],
+  slug: "saving-tips",
+  title: "Ten saving tips",
+  content: { html: "<p>Spend less than you earn.</p>" },
+  relatedArticles: [],
+};
+
+/**
+ * AEM Publish stand-in: answers the article-by-slug persisted query and
+ * returns empty results for the others (navigation, call to action).
+ * Requests with "revoked-token" are rejected with a 401.
+ */
+function startAemStub(requests) {
+  const server = http.createServer((req, res) => {
+    requests.push({
+      url: decodeURIComponent(req.url),
+      authorization: req.headers.authorization,
+    });
+    if (req.headers.authorization === "Bearer revoked-token") {
+      res.writeHead(401, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Token revoked" }));
+      return;
+    }
+    const data = req.url.startsWith(
+      `/graphql/execute.json/${ENDPOINT}/article-by-slug`
+    )
+      ? { articleList: { items: [ARTICLE] } }
+      : {};
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ data }));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+describe("server-side rendering", () => {
+  const env = process.env;
+  const requests = [];
+  let server;
+  let render;
+  let setServerAuthorization;
+
+  beforeAll(async () => {
+    server = await startAemStub(requests);
+
+    // The app reads its configuration when its modules load
+    process.env = {
+      ...env,
+      REACT_APP_HOST_URI: `http://127.0.0.1:${server.address().port}`,
+      REACT_APP_GRAPHQL_ENDPOINT: "/content/graphql/global/endpoint.json",
+      REACT_APP_ENDPOINT: ENDPOINT,
+      REACT_APP_OKTA_ISSUER: "https://okta.example.com/oauth2/default",
+      REACT_APP_OKTA_CLIENT_ID: "client-id",
+    };
+    // Jest's node environment has no fetch, the server gets Node's own
+    global.fetch = require("cross-fetch");
+
+    ({ render, setServerAuthorization } = require("./entry-server"));
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+  });
+
+  afterAll((done) => {
+    process.env = env;
+    delete global.fetch;
+    server.close(done);
+  });
+
+  it("renders a page with data from AEM", async () => {
+    const { html, state } = await render("/articles/saving-tips");
+
+    expect(requests.map((request) => request.url)).toContain(
+      `/graphql/execute.json/${ENDPOINT}/article-by-slug;slug=saving-tips;`
+    );
+    expect(html).toContain("Ten saving tips");
+    expect(html).toContain("Spend less than you earn.");
+    expect(Object.values(state)).toContainEqual({
+      data: { articleList: { items: [ARTICLE] } },
+      error: null,
+    });
+  });
+
+  it("authenticates its requests to AEM", async () => {
+    setServerAuthorization(async () => "Bearer service-token");
+    try {
+      await render("/articles/saving-tips");
+    } finally {
+      setServerAuthorization(async () => null);
+    }
+
+    expect(requests.length).toBeGreaterThan(0);
+    requests.forEach((request) =>
+      expect(request.authorization).toBe("Bearer service-token")
+    );
+  });
+
+  it("retries a request rejected with 401 once with a refreshed token", async () => {
+    const refreshAuthorization = jest.fn(async () => "Bearer fresh-token");
+    setServerAuthorization(async () => "Bearer revoked-token", refreshAuthorization);
+    let page;
+    try {
+      page = await render("/articles/saving-tips");
+    } finally {
+      setServerAuthorization(async () => null);
+    }
+
+    expect(refreshAuthorization).toHaveBeenCalledWith("Bearer revoked-token");
+    const articleRequests = requests.filter((request) =>
+      request.url.includes("/article-by-slug;")
+    );
+    expect(articleRequests.map((request) => request.authorization)).toEqual([
+      "Bearer revoked-token",
+      "Bearer fresh-token",
+    ]);
+    expect(page.html).toContain("Ten saving tips");
+  });
+});
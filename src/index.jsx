@@ -3,14 +3,29 @@ import ReactDOM from "react-dom/client";
 import "./index.css";
 import App from "./App";
 import reportWebVitals from "./reportWebVitals";
+import { hydrateQueryCache } from "./api/queryCache";
 
-const root = ReactDOM.createRoot(document.getElementById("root"));
-root.render(
+const container = document.getElementById("root");
+const app = (
   <React.StrictMode>
     <App />
   </React.StrictMode>
 );
 
+// Pages rendered by the Express server (SSR_ENABLED=true) or `npm run prerender`
+// ship the persisted query data they were rendered with, so the client hydrates
+// without refetching. Markup rendered for another URL (e.g. a static fallback)
+// is replaced by a client render instead.
+const serverState = document.getElementById("__SECURBANK_QUERY_STATE__");
+const currentUrl = window.location.pathname + window.location.search;
+
+if (serverState && serverState.dataset.url === currentUrl) {
+  hydrateQueryCache(JSON.parse(serverState.textContent));
+  ReactDOM.hydrateRoot(container, app);
+} else {
+  ReactDOM.createRoot(container).render(app);
+}
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
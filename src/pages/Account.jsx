@@ -0,0 +1,50 @@
+import React from "react";
+import { NavLink, Outlet } from "react-router-dom";
+import { useOktaAuth } from "@okta/okta-react";
+import Seo from "../components/Seo";
+import { getAccountNavigation } from "../auth/navigation";
+import "./Account.scss";
+
+// Layout of the /account area (behind SecureRoute): section navigation and
+// the selected section
+const Account = () => {
+  const { authState } = useOktaAuth();
+  const claims = authState?.idToken?.claims || {};
+
+  const sections = getAccountNavigation(authState);
+
+  return (
+    <div className="container account-wrapper">
+      <Seo title="My Account" noIndex />
+      <div className="content-wrapper">
+        <h2 className="color-dark">My Account</h2>
+        {(claims.name || claims.email) && (
+          <p className="font-size-large color-grey">
+            Signed in as {claims.name || claims.email}
+          </p>
+        )}
+      </div>
+      <div className="account-layout">
+        <nav className="account-navigation">
+          {sections.map(({ label, href }) => (
+            <NavLink
+              key={href}
+              to={href}
+              end
+              className={({ isActive }) =>
+                `font-size-large font-weight-medium${isActive ? " active" : ""}`
+              }
+            >
+              {label}
+            </NavLink>
+          ))}
+        </nav>
+        <section className="account-section">
+          <Outlet />
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Account;
@@ -0,0 +1,70 @@
+import React from "react";
+import { usePreferences } from "../auth/useAccountData";
+
+const CONTACT_METHODS = [
+  { value: "email", label: "Email" },
+  { value: "phone", label: "Phone" },
+  { value: "mail", label: "Mail" },
+];
+
+const INTERESTS = ["Banking", "Savings", "Lending", "Investing", "Insurance"];
+
+// Preferences of the signed-in user, saved as they are changed
+const AccountPreferences = () => {
+  const [preferences, updatePreferences] = usePreferences();
+
+  const toggleInterest = (interest) =>
+    updatePreferences({
+      interests: preferences.interests.includes(interest)
+        ? preferences.interests.filter((item) => item !== interest)
+        : [...preferences.interests, interest],
+    });
+
+  return (
+    <>
+      <h4 className="color-dark">Preferences</h4>
+      <form className="font-size-large" onSubmit={(event) => event.preventDefault()}>
+        <label>
+          <input
+            type="checkbox"
+            checked={preferences.emailUpdates}
+            onChange={(event) =>
+              updatePreferences({ emailUpdates: event.target.checked })
+            }
+          />
+          Email me new articles and offers
+        </label>
+        <label>
+          Preferred contact method
+          <select
+            value={preferences.contactMethod}
+            onChange={(event) =>
+              updatePreferences({ contactMethod: event.target.value })
+            }
+          >
+            {CONTACT_METHODS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <fieldset>
+          <legend className="font-weight-medium color-dark">Interests</legend>
+          {INTERESTS.map((interest) => (
+            <label key={interest}>
+              <input
+                type="checkbox"
+                checked={preferences.interests.includes(interest)}
+                onChange={() => toggleInterest(interest)}
+              />
+              {interest}
+            </label>
+          ))}
+        </fieldset>
+      </form>
+    </>
+  );
+};
+
+export default AccountPreferences;
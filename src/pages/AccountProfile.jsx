@@ -0,0 +1,41 @@
+import React from "react";
+import { useOktaAuth } from "@okta/okta-react";
+import { getUserGroups } from "../auth/roles";
+
+const formatTime = (seconds) =>
+  seconds ? new Date(seconds * 1000).toLocaleString() : "—";
+
+// Profile of the signed-in user, from the Okta ID token
+const AccountProfile = () => {
+  const { oktaAuth, authState } = useOktaAuth();
+  const claims = authState?.idToken?.claims || {};
+  const groups = getUserGroups(authState);
+
+  const fields = [
+    { label: "Name", value: claims.name },
+    { label: "Email", value: claims.email },
+    { label: "Username", value: claims.preferred_username },
+    { label: "Groups", value: groups.length ? groups.join(", ") : null },
+    { label: "Signed in", value: formatTime(claims.auth_time || claims.iat) },
+    { label: "Session expires", value: formatTime(authState?.accessToken?.expiresAt) },
+  ];
+
+  return (
+    <>
+      <h4 className="color-dark">Profile</h4>
+      <dl className="font-size-large">
+        {fields.map(({ label, value }) => (
+          <React.Fragment key={label}>
+            <dt>{label}</dt>
+            <dd>{value || "—"}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <button className="secondary hover-effect" onClick={() => oktaAuth.signOut()}>
+        Sign Out
+      </button>
+    </>
+  );
+};
+
+export default AccountProfile;
@@ -0,0 +1,49 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useSavedItems } from "../auth/useAccountData";
+
+const PATHS = { article: "/articles", service: "/services" };
+const TYPE_LABELS = { article: "Article", service: "Service" };
+
+// Articles and services the signed-in user saved with SaveButton
+const AccountSaved = () => {
+  const { items, removeSaved } = useSavedItems();
+
+  return (
+    <>
+      <h4 className="color-dark">Saved</h4>
+      {items.length ? (
+        <ul className="saved-list">
+          {items.map(({ type, slug, title }) => (
+            <li key={`${type}_${slug}`}>
+              <div className="content-wrapper">
+                <span className="font-size-small font-weight-medium color-blue">
+                  {TYPE_LABELS[type]}
+                </span>
+                <Link
+                  to={`${PATHS[type]}/${slug}`}
+                  className="font-size-xlarge font-weight-semibold color-dark"
+                >
+                  {title || slug}
+                </Link>
+              </div>
+              <button
+                className="secondary hover-effect"
+                onClick={() => removeSaved(type, slug)}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="font-size-large color-grey">
+          Nothing saved yet. Use the Save button on an article or service to
+          find it here later.
+        </p>
+      )}
+    </>
+  );
+};
+
+export default AccountSaved;
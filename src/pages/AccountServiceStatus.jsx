@@ -0,0 +1,93 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useOktaAuth } from "@okta/okta-react";
+import ErrorMessage from "../components/ErrorMessage";
+import Skeleton from "../components/base/Skeleton";
+import { csrfFetch } from "../api";
+
+const STATUS_URL = "/api/auth/service-token/status";
+const TOKEN_URL = "/api/auth/service-token";
+
+// Status of the server's cached AEM service token, for admins (the server
+// checks the Okta access token's groups on these endpoints)
+const AccountServiceStatus = () => {
+  const { oktaAuth } = useOktaAuth();
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const request = useCallback(
+    async (url, init = {}) => {
+      const response = await csrfFetch(url, {
+        ...init,
+        headers: { Authorization: `Bearer ${oktaAuth.getAccessToken()}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || response.statusText);
+      }
+      return data;
+    },
+    [oktaAuth]
+  );
+
+  const loadStatus = useCallback(async () => {
+    setError(null);
+    try {
+      setStatus(await request(STATUS_URL));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const handleClear = async () => {
+    setMessage(null);
+    try {
+      const data = await request(TOKEN_URL, { method: "DELETE" });
+      setMessage(`Cleared ${data.cleared_tokens} cached token(s).`);
+      loadStatus();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (error) {
+    return (
+      <ErrorMessage
+        message={`We couldn't load the service token status: ${error}`}
+        onRetry={loadStatus}
+      />
+    );
+  }
+
+  return (
+    <>
+      <h4 className="color-dark">Service Status</h4>
+      {status ? (
+        <dl className="font-size-large">
+          <dt>Cached token</dt>
+          <dd>{status.cached ? status.token_id : "None"}</dd>
+          <dt>Valid</dt>
+          <dd>{status.valid ? "Yes" : "No"}</dd>
+          <dt>Expires</dt>
+          <dd>
+            {status.expires_at
+              ? new Date(status.expires_at).toLocaleString()
+              : "—"}
+          </dd>
+        </dl>
+      ) : (
+        <Skeleton width="100%" height="108px" />
+      )}
+      {message && <p className="font-size-large color-grey">{message}</p>}
+      <button className="secondary hover-effect" onClick={handleClear}>
+        Clear Token Cache
+      </button>
+    </>
+  );
+};
+
+export default AccountServiceStatus;
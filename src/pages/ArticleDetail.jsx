@@ -4,52 +4,127 @@ import ContentFragment from "../components/base/ContentFragment";
 import Title from "../components/base/Title";
 import Image from "../components/base/Image";
 import Text from "../components/base/Text";
+import Skeleton from "../components/base/Skeleton";
 import CallToActionCard from "../components/CallToActionSection";
 import ArticlesSection from "../components/ArticlesSection";
-import { useArticleBySlug } from "../api";
+import ErrorMessage from "../components/ErrorMessage";
+import SaveButton from "../components/SaveButton";
+import Seo from "../components/Seo";
+import NotFound from "./NotFound";
+import { useArticleBySlug, QUERY_STATUS } from "../api";
+import { usePreviewMode, VariationPreview } from "../preview";
+import {
+  getAbsoluteUrl,
+  getDescription,
+  getImageUrl,
+  buildArticleJsonLd,
+} from "../utils";
 import "./ArticleDetail.scss";
 
 const ArticleDetail = () => {
   const { slug } = useParams();
-  const { data } = useArticleBySlug(slug);
+  // ?variation= shows another variation; authors can compare two (see src/preview)
+  const preview = usePreviewMode();
+  const variation = preview.variation || "master";
+  const { data, status, retry } = useArticleBySlug(slug, preview.variation);
+  const { data: compareData } = useArticleBySlug(
+    preview.compareVariation ? slug : null,
+    preview.compareVariation
+  );
+
+  if (status === QUERY_STATUS.LOADING) return <ArticleDetailSkeleton />;
+
+  if (status === QUERY_STATUS.ERROR && !data) {
+    return (
+      <ErrorMessage
+        message="We couldn't load this article. Please try again."
+        onRetry={retry}
+      />
+    );
+  }
 
-  if (!data) return;
+  if (!data) return <NotFound />;
 
-  const image = data?.image?._dynamicUrl;
   const title = data?.title;
   const content = data?.content;
+  const path = `/articles/${slug}`;
+  const description = getDescription(data, content);
+  const seoImage = getImageUrl(data?.image);
 
   return (
     <>
-      <ContentFragment cf={data}>
-        <div className="container article-wrapper">
-          <Title heading="h2" prop="title" className="color-dark">
-            {title}
-          </Title>
-          <Image
-            src={image}
-            alt={`${title} illustration`}
-            prop="Image"
-            className="hover-effect main-image"
-          />
-          <hr />
-          <Text content={content} prop="content" className="content" />
-          <hr />
-        </div>
-        <ArticlesSection
-          title="Related Articles"
-          cfs={data.relatedArticles}
-          containerProps={{
-            prop: "relatedArticles",
-            label: "Related Articles",
-            filter: "related-articles",
-          }}
-          columns={3}
-        />
-      </ContentFragment>
+      <Seo
+        title={title}
+        description={description}
+        image={seoImage}
+        path={path}
+        type="article"
+        noIndex={preview.enabled}
+        jsonLd={buildArticleJsonLd({
+          cf: data,
+          description,
+          image: seoImage,
+          url: getAbsoluteUrl(path),
+        })}
+      />
+      <VariationPreview
+        preview={preview}
+        variations={data._variations}
+        variation={variation}
+        cf={data}
+        compareCf={compareData}
+      >
+        {(cf) => <ArticleContent cf={cf} slug={slug} />}
+      </VariationPreview>
       <CallToActionCard />
     </>
   );
 };
 
+const ArticleContent = ({ cf, slug }) => {
+  const image = cf?.image?._dynamicUrl;
+  const title = cf?.title;
+  const content = cf?.content;
+
+  return (
+    <ContentFragment cf={cf} model="article">
+      <div className="container article-wrapper">
+        <Title heading="h2" prop="title" className="color-dark">
+          {title}
+        </Title>
+        <SaveButton type="article" slug={slug} title={title} />
+        <Image
+          src={image}
+          alt={`${title} illustration`}
+          prop="image"
+          className="hover-effect main-image"
+        />
+        <hr />
+        <Text content={content} prop="content" className="content" />
+        <hr />
+      </div>
+      <ArticlesSection
+        title="Related Articles"
+        cfs={cf.relatedArticles}
+        containerProps={{
+          prop: "relatedArticles",
+          label: "Related Articles",
+          filter: "related-articles",
+        }}
+        columns={3}
+      />
+    </ContentFragment>
+  );
+};
+
+const ArticleDetailSkeleton = () => (
+  <div className="container article-wrapper">
+    <Skeleton width="60%" height="62px" />
+    <Skeleton width="100%" height="450px" />
+    <hr />
+    <Skeleton width="100%" height="216px" />
+    <hr />
+  </div>
+);
+
 export default ArticleDetail;
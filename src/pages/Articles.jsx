@@ -1,21 +1,41 @@
 import React, { useMemo } from "react";
 import ArticlesSection from "../components/ArticlesSection";
 import CallToActionSection from "../components/CallToActionSection";
-import { useArticles } from "../api";
+import ErrorMessage from "../components/ErrorMessage";
+import Seo from "../components/Seo";
+import { useArticles, QUERY_STATUS } from "../api";
 
 const Articles = () => {
-  const { data } = useArticles();
+  const { data, status, retry } = useArticles();
 
   const articles = useMemo(
     () => (data ? data.map((node) => Object.values(node)[0]) : null),
     [data]
   );
 
-  if (!articles) return;
+  if (status === QUERY_STATUS.ERROR && !articles) {
+    return (
+      <ErrorMessage
+        message="We couldn't load the articles. Please try again."
+        onRetry={retry}
+      />
+    );
+  }
 
   return (
     <>
-      <ArticlesSection title="Articles" cfs={articles} columns={2} />
+      <Seo
+        title="Articles"
+        description="Financial tips, guides and news from SecurBank."
+        path="/articles"
+      />
+      <ArticlesSection
+        title="Articles"
+        cfs={articles}
+        columns={2}
+        isLoading={status === QUERY_STATUS.LOADING}
+        emptyMessage="No articles have been published yet."
+      />
       <CallToActionSection />
     </>
   );
@@ -1,25 +1,49 @@
-import React, { useState, useEffect, useMemo } from "react";
-import { useNavigate, useSearchParams } from "react-router-dom";
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import ContentFragment from "../components/base/ContentFragment";
-import Hero from "../components/Hero";
+import Hero, { HeroSkeleton } from "../components/Hero";
 import SelectorButton from "../components/SelectorButton";
 import TeaserSection from "../components/TeaserSection";
 import CallToActionSection from "../components/CallToActionSection";
+import ErrorMessage from "../components/ErrorMessage";
+import Seo from "../components/Seo";
+import NotFound from "./NotFound";
 import phones from "../assets/phones.png";
-import { snakeCaseToTitleCase } from "../utils";
-import { usePageBySlug } from "../api";
+import {
+  snakeCaseToTitleCase,
+  getDescription,
+  getImageUrl,
+  buildBankJsonLd,
+} from "../utils";
+import { usePageBySlug, QUERY_STATUS } from "../api";
+import { usePersonalizedVariation } from "../personalization";
+import { usePreviewMode, VariationPreview } from "../preview";
 import "./Home.scss";
 
 const Home = () => {
-  const [fetchTrigger, setFetchTrigger] = useState(true);
   const navigate = useNavigate();
-  const [searchParams] = useSearchParams();
-  const selectedVariation = useMemo(
-    () => searchParams.get("variation") || "master",
-    [searchParams]
+
+  // Variations of the home fragment, once loaded, so personalization rules
+  // naming a missing variation fall back to master
+  const [variations, setVariations] = useState();
+  // ?variation= when given, otherwise chosen from the signed-in user's Okta
+  // claims or groups (see src/personalization)
+  const { variation: selectedVariation, source } = usePersonalizedVariation(
+    "home",
+    variations
   );
 
-  const { data } = usePageBySlug("home", selectedVariation, fetchTrigger);
+  const { data, status, retry } = usePageBySlug("home", selectedVariation);
+  // Authors can compare the variation with another one (see src/preview)
+  const preview = usePreviewMode();
+  const { data: compareData } = usePageBySlug(
+    preview.compareVariation ? "home" : null,
+    preview.compareVariation
+  );
+
+  useEffect(() => {
+    if (data?._variations) setVariations(data._variations);
+  }, [data?._variations]);
 
   const categories = useMemo(() => {
     const map = { master: "Personal Banking" };
@@ -32,15 +56,11 @@ const Home = () => {
     return map;
   }, [data?._variations]);
 
-  useEffect(() => {
-    if (!searchParams.get("variation")) {
-      navigate("/?variation=master");
-    }
-  }, [searchParams, navigate]);
-
   useEffect(() => {
     const scrollHandler = () => {
       const parallaxItem = document.getElementById("parallax-item");
+      if (!parallaxItem) return;
+
       const scrollPosition = window.scrollY;
 
       const opacity = 1 - (scrollPosition / window.innerHeight) * 4;
@@ -52,58 +72,97 @@ const Home = () => {
       parallaxItem.style.opacity = opacity;
     };
 
-    const updateHandler = () => {
-      alert("Content Updated");
-    };
-
     document.addEventListener("scroll", scrollHandler);
-    document.addEventListener("aue:content-update", updateHandler);
 
     return () => {
       document.removeEventListener("scroll", scrollHandler);
-      document.removeEventListener("aue:content-update", updateHandler);
     };
   }, []);
 
-  if (!data || !categories.hasOwnProperty(selectedVariation)) return;
+  if (status === QUERY_STATUS.ERROR && !data) {
+    return (
+      <ErrorMessage
+        message="We couldn't load the home page. Please try again."
+        onRetry={retry}
+      />
+    );
+  }
+
+  if (!data) {
+    return status === QUERY_STATUS.SUCCESS ? <NotFound /> : <HeroSkeleton />;
+  }
+
+  // A personalized variation the fragment lacks is replaced by master on the
+  // next render; only a requested one is really missing
+  if (!categories.hasOwnProperty(selectedVariation)) {
+    return source === "query" ? <NotFound /> : <HeroSkeleton />;
+  }
 
-  const image = data?.image?._dynamicUrl;
-  const title = data?.title;
   const content = data?.content;
-  const featuredServices = data?.featuredServices;
+  const description = getDescription(data, content);
+  const seoImage = getImageUrl(data?.image);
 
   return (
     <>
-      <ContentFragment cf={data}>
-        <div className="background-blue">
-          <div className="container variations-wrapper">
-            {Object.entries(categories).map(([variation, label], index) => (
-              <SelectorButton
-                key={`${variation}_${index}`}
-                variant="light"
-                onClick={() => navigate(`/?variation=${variation}`)}
-                isSelected={selectedVariation === variation}
-              >
-                {label}
-              </SelectorButton>
-            ))}
-          </div>
+      <Seo
+        description={description}
+        image={seoImage}
+        path={
+          source !== "query" || selectedVariation === "master"
+            ? "/"
+            : `/?variation=${selectedVariation}`
+        }
+        noIndex={preview.enabled}
+        jsonLd={buildBankJsonLd({ description, image: seoImage })}
+      />
+      <div className="background-blue">
+        <div className="container variations-wrapper">
+          {Object.entries(categories).map(([variation, label], index) => (
+            <SelectorButton
+              key={`${variation}_${index}`}
+              variant="light"
+              onClick={() => navigate(`/?variation=${variation}`)}
+              isSelected={selectedVariation === variation}
+            >
+              {label}
+            </SelectorButton>
+          ))}
         </div>
-        <Hero image={image} title={title} content={content} />
+      </div>
+      <VariationPreview
+        preview={preview}
+        variations={data._variations}
+        variation={selectedVariation}
+        cf={data}
+        compareCf={compareData}
+      >
+        {(cf) => <HomeContent cf={cf} />}
+      </VariationPreview>
+      {/* Positioned for a single column */}
+      {!preview.compareVariation && (
         <img src={phones} id="parallax-item" alt="Phone" />
-        <TeaserSection
-          cfs={featuredServices}
-          title="Featured Services"
-          containerProps={{
-            prop: "featuredServices",
-            label: "Featured Services",
-          }}
-          setFetchTrigger={setFetchTrigger}
-        />
-      </ContentFragment>
+      )}
       <CallToActionSection />
     </>
   );
 };
 
+const HomeContent = ({ cf }) => (
+  <ContentFragment cf={cf} model="page">
+    <Hero
+      image={cf?.image?._dynamicUrl}
+      title={cf?.title}
+      content={cf?.content}
+    />
+    <TeaserSection
+      cfs={cf?.featuredServices}
+      title="Featured Services"
+      containerProps={{
+        prop: "featuredServices",
+        label: "Featured Services",
+      }}
+    />
+  </ContentFragment>
+);
+
 export default Home;
@@ -1,9 +1,11 @@
 import React from "react";
+import Seo from "../components/Seo";
 import "./NotFound.scss";
 
 const NotFound = () => {
   return (
     <div className="container">
+      <Seo title="Page not found" noIndex />
       <h1 className="color-dark not-found">Page not found</h1>
     </div>
   );
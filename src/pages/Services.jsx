@@ -3,23 +3,41 @@ import { useParams } from "react-router-dom";
 import ServiceDetail from "../components/ServiceDetail";
 import ServicesSection from "../components/ServicesSection";
 import CallToActionSection from "../components/CallToActionSection";
-import { useServices } from "../api";
+import ErrorMessage from "../components/ErrorMessage";
+import Seo from "../components/Seo";
+import { useServices, QUERY_STATUS } from "../api";
 
 const Services = () => {
   const { slug } = useParams();
-  const { data } = useServices();
+  const { data, status, retry } = useServices();
 
   const services = useMemo(
     () => (data ? data.map((node) => Object.values(node)[0]) : null),
     [data]
   );
 
-  if (!services) return;
-
   return (
     <>
+      {!slug && (
+        <Seo
+          title="Services"
+          description="Explore SecurBank's banking, savings, lending and advisory services."
+          path="/services"
+        />
+      )}
       <ServiceDetail slug={slug} />
-      <ServicesSection slug={slug} cfs={services} />
+      {status === QUERY_STATUS.ERROR && !services ? (
+        <ErrorMessage
+          message="We couldn't load the services. Please try again."
+          onRetry={retry}
+        />
+      ) : (
+        <ServicesSection
+          slug={slug}
+          cfs={services}
+          isLoading={status === QUERY_STATUS.LOADING}
+        />
+      )}
       <CallToActionSection />
     </>
   );
@@ -0,0 +1,3 @@
+export { usePersonalizedVariation } from "./usePersonalizedVariation";
+export { DEFAULT_RULES, loadRules, matchRule } from "./rules";
+export { logPersonalizationDecision } from "./logDecision";
@@ -0,0 +1,30 @@
+// The app is also rendered on the server, where there is no window
+const IS_SERVER = typeof window === "undefined";
+
+/**
+ * Record a personalization decision for analytics, as a
+ * `personalization-decision` event on the Adobe Client Data Layer
+ * (window.adobeDataLayer), which tag managers pick up. The user's identity is
+ * never included, only which rule applied.
+ *
+ * @param {object} decision
+ * @param {string} decision.page - page slug, e.g. "home"
+ * @param {string} decision.variation - variation shown
+ * @param {string} decision.source - "query", "group", "claim", "default" or "fallback"
+ * @param {number} [decision.ruleIndex] - index of the matching rule
+ * @param {string} [decision.requestedVariation] - variation a rule chose when it had to fall back
+ */
+export const logPersonalizationDecision = (decision) => {
+  if (IS_SERVER) return;
+
+  const event = {
+    event: "personalization-decision",
+    personalization: {
+      ...decision,
+      timestamp: new Date().toISOString(),
+    },
+  };
+
+  window.adobeDataLayer = window.adobeDataLayer || [];
+  window.adobeDataLayer.push(event);
+};
@@ -0,0 +1,67 @@
+const { REACT_APP_PERSONALIZATION_RULES } = process.env;
+
+/**
+ * Claim-to-variation rules, checked in order; the first match picks the
+ * Content Fragment variation. A rule matches on an Okta group or on an ID
+ * token claim:
+ *
+ *   { "group": "business-customers", "variation": "small_business" }
+ *   { "claim": "customer_type", "values": ["business"], "variation": "small_business" }
+ *
+ * Claims holding arrays match when any of their entries is listed in `values`.
+ */
+export const DEFAULT_RULES = [
+  { group: "business-customers", variation: "small_business" },
+  {
+    claim: "customer_type",
+    values: ["business", "small_business"],
+    variation: "small_business",
+  },
+];
+
+const isValidRule = (rule) =>
+  rule &&
+  typeof rule.variation === "string" &&
+  (typeof rule.group === "string" ||
+    (typeof rule.claim === "string" && Array.isArray(rule.values)));
+
+/**
+ * Rules from REACT_APP_PERSONALIZATION_RULES (a JSON array), or the defaults
+ * @param {string} [json]
+ * @returns {Array<object>}
+ */
+export const loadRules = (json = REACT_APP_PERSONALIZATION_RULES) => {
+  if (!json) return DEFAULT_RULES;
+
+  try {
+    const rules = JSON.parse(json);
+    if (!Array.isArray(rules) || !rules.every(isValidRule)) {
+      throw new Error("expected an array of { group | claim + values, variation }");
+    }
+    return rules;
+  } catch (error) {
+    console.error(
+      `Ignoring REACT_APP_PERSONALIZATION_RULES, using the default rules: ${error.message}`
+    );
+    return DEFAULT_RULES;
+  }
+};
+
+const matchesRule = (rule, { claims, groups }) => {
+  if (rule.group) return groups.includes(rule.group);
+
+  const value = claims[rule.claim];
+  const values = Array.isArray(value) ? value : [value];
+  return values.some((item) => rule.values.includes(item));
+};
+
+/**
+ * First rule matching the user
+ * @param {Array<object>} rules
+ * @param {object} user - { claims, groups }
+ * @returns {object|null} - { rule, index } or null
+ */
+export const matchRule = (rules, user) => {
+  const index = rules.findIndex((rule) => matchesRule(rule, user));
+  return index === -1 ? null : { rule: rules[index], index };
+};
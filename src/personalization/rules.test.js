@@ -0,0 +1,61 @@
+import { DEFAULT_RULES, loadRules, matchRule } from "./rules";
+
+const RULES = [
+  { group: "business-customers", variation: "small_business" },
+  { claim: "segment", values: ["student", "graduate"], variation: "students" },
+];
+
+describe("loadRules", () => {
+  it("uses the default rules when none are configured", () => {
+    expect(loadRules("")).toBe(DEFAULT_RULES);
+  });
+
+  it("parses configured rules", () => {
+    expect(loadRules(JSON.stringify(RULES))).toEqual(RULES);
+  });
+
+  it.each([
+    ["invalid JSON", "[{"],
+    ["a rule without a variation", JSON.stringify([{ group: "admins" }])],
+    ["a claim rule without values", JSON.stringify([{ claim: "segment", variation: "students" }])],
+    ["an object", JSON.stringify(RULES[0])],
+  ])("falls back to the default rules for %s", (_, json) => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(loadRules(json)).toBe(DEFAULT_RULES);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining("Ignoring REACT_APP_PERSONALIZATION_RULES")
+    );
+    console.error.mockRestore();
+  });
+});
+
+describe("matchRule", () => {
+  it("matches a rule on a group", () => {
+    expect(matchRule(RULES, { claims: {}, groups: ["business-customers"] })).toEqual({
+      rule: RULES[0],
+      index: 0,
+    });
+  });
+
+  it("matches a rule on a claim value", () => {
+    expect(matchRule(RULES, { claims: { segment: "graduate" }, groups: [] })).toEqual({
+      rule: RULES[1],
+      index: 1,
+    });
+  });
+
+  it("matches a rule when any entry of an array claim is listed", () => {
+    const user = { claims: { segment: ["retail", "student"] }, groups: [] };
+    expect(matchRule(RULES, user)?.index).toBe(1);
+  });
+
+  it("picks the first matching rule", () => {
+    const user = { claims: { segment: "student" }, groups: ["business-customers"] };
+    expect(matchRule(RULES, user)?.index).toBe(0);
+  });
+
+  it("returns null when no rule matches", () => {
+    expect(matchRule(RULES, { claims: { segment: "retail" }, groups: ["admins"] })).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+import { useEffect, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+import { useOktaAuth } from "@okta/okta-react";
+import { getUserGroups } from "../auth/roles";
+import { loadRules, matchRule } from "./rules";
+import { logPersonalizationDecision } from "./logDecision";
+
+const RULES = loadRules();
+
+/**
+ * Content Fragment variation to show on a page: the `?variation=` query
+ * string when present (authors previewing a variation), otherwise the first
+ * personalization rule matching the signed-in user's Okta claims or groups,
+ * otherwise master. Rules naming a variation the fragment doesn't have fall
+ * back to master.
+ *
+ * Each decision is logged for analytics (see logPersonalizationDecision) once
+ * the variations are known.
+ *
+ * @param {string} page - page slug, for the analytics event
+ * @param {Array<string>} [availableVariations] - the fragment's `_variations`, once loaded
+ * @returns {object} - { variation, source, ruleIndex }
+ */
+export const usePersonalizedVariation = (page, availableVariations) => {
+  const [searchParams] = useSearchParams();
+  const { authState } = useOktaAuth();
+  const requestedVariation = searchParams.get("variation");
+
+  const decision = useMemo(() => {
+    if (requestedVariation) {
+      return { variation: requestedVariation, source: "query" };
+    }
+    if (!authState?.isAuthenticated) {
+      return { variation: "master", source: "default" };
+    }
+
+    const match = matchRule(RULES, {
+      claims: authState.idToken?.claims || {},
+      groups: getUserGroups(authState),
+    });
+    if (!match) {
+      return { variation: "master", source: "default" };
+    }
+
+    const { rule, index } = match;
+    if (availableVariations && !availableVariations.includes(rule.variation)) {
+      return {
+        variation: "master",
+        source: "fallback",
+        ruleIndex: index,
+        requestedVariation: rule.variation,
+      };
+    }
+    return {
+      variation: rule.variation,
+      source: rule.group ? "group" : "claim",
+      ruleIndex: index,
+    };
+  }, [requestedVariation, authState, availableVariations]);
+
+  // Log settled decisions only: the auth state is known and the fragment loaded
+  const isSettled =
+    Boolean(availableVariations) && (Boolean(requestedVariation) || authState !== null);
+  const { variation, source, ruleIndex } = decision;
+  const fallbackVariation = decision.requestedVariation;
+
+  useEffect(() => {
+    if (!isSettled) return;
+    logPersonalizationDecision({
+      page,
+      variation,
+      source,
+      ...(ruleIndex !== undefined && { ruleIndex }),
+      ...(fallbackVariation && { requestedVariation: fallbackVariation }),
+    });
+  }, [isSettled, page, variation, source, ruleIndex, fallbackVariation]);
+
+  return decision;
+};
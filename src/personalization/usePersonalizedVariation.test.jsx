@@ -0,0 +1,77 @@
+import React from "react";
+import { renderHook } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import { useOktaAuth } from "@okta/okta-react";
+import { usePersonalizedVariation } from "./usePersonalizedVariation";
+
+jest.mock("@okta/okta-react", () => ({ useOktaAuth: jest.fn() }));
+
+const signedIn = (groups) => ({
+  authState: {
+    isAuthenticated: true,
+    idToken: { claims: { sub: "user@example.com", groups } },
+  },
+});
+
+const renderVariation = (variations, url = "/") =>
+  renderHook(() => usePersonalizedVariation("home", variations), {
+    wrapper: ({ children }) => (
+      <MemoryRouter initialEntries={[url]}>{children}</MemoryRouter>
+    ),
+  }).result.current;
+
+describe("usePersonalizedVariation", () => {
+  beforeEach(() => {
+    window.adobeDataLayer = [];
+  });
+
+  it("shows master to signed-out users", () => {
+    useOktaAuth.mockReturnValue({ authState: { isAuthenticated: false } });
+
+    expect(renderVariation(["master", "small_business"])).toEqual({
+      variation: "master",
+      source: "default",
+    });
+  });
+
+  it("shows the variation of the matching rule", () => {
+    useOktaAuth.mockReturnValue(signedIn(["business-customers"]));
+
+    expect(renderVariation(["master", "small_business"])).toEqual({
+      variation: "small_business",
+      source: "group",
+      ruleIndex: 0,
+    });
+  });
+
+  it("falls back to master when the fragment has no such variation", () => {
+    useOktaAuth.mockReturnValue(signedIn(["business-customers"]));
+
+    expect(renderVariation(["master"])).toEqual({
+      variation: "master",
+      source: "fallback",
+      ruleIndex: 0,
+      requestedVariation: "small_business",
+    });
+    expect(window.adobeDataLayer).toContainEqual(
+      expect.objectContaining({
+        event: "personalization-decision",
+        personalization: expect.objectContaining({
+          page: "home",
+          variation: "master",
+          source: "fallback",
+          requestedVariation: "small_business",
+        }),
+      })
+    );
+  });
+
+  it("prefers the variation in the query string", () => {
+    useOktaAuth.mockReturnValue(signedIn(["business-customers"]));
+
+    expect(renderVariation(["master"], "/?variation=spring")).toEqual({
+      variation: "spring",
+      source: "query",
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import SelectorButton from "../components/SelectorButton";
+import { snakeCaseToTitleCase } from "../utils";
+import { diffFragments } from "./diffFragments";
+import { PREVIEW_MODES } from "./usePreviewMode";
+import "./VariationPreview.scss";
+
+const getVariationLabel = (variation) =>
+  variation === "master" ? "Master" : snakeCaseToTitleCase(variation);
+
+const getFieldLabel = (name) => name[0].toUpperCase() + name.slice(1);
+
+/**
+ * One variation, with the fields that differ from the compared one outlined.
+ * Fields are found by their data-aue-prop, on the top fragment only: props of
+ * referenced fragments (teasers, related articles) are left alone.
+ */
+const PreviewColumn = ({ label, fields, children }) => {
+  const ref = useRef(null);
+
+  // Runs after every render, as the fragment's content may render later
+  useEffect(() => {
+    const root = ref.current;
+    const resource = root?.querySelector("[data-aue-resource]");
+    if (!resource) return;
+
+    root.querySelectorAll("[data-aue-prop]").forEach((element) => {
+      element.classList.toggle(
+        "preview-changed",
+        element.closest("[data-aue-resource]") === resource &&
+          fields.includes(element.dataset.aueProp)
+      );
+    });
+  });
+
+  return (
+    <div className="preview-column" ref={ref}>
+      {label && (
+        <p className="preview-column-label font-size-medium font-weight-medium">
+          {label}
+        </p>
+      )}
+      {children}
+    </div>
+  );
+};
+
+/**
+ * Variation preview of a Content Fragment for authors: pick the variation to
+ * show, compare it with another one side by side or by toggling between them,
+ * see which fields differ and copy a link to the preview. Renders the fragment
+ * as usual when the preview is off (see usePreviewMode).
+ *
+ * @param {object} preview - usePreviewMode() state
+ * @param {Array<string>} [variations] - the fragment's `_variations`
+ * @param {string} variation - variation of `cf`
+ * @param {object} cf - the fragment shown
+ * @param {object} [compareCf] - the fragment in `preview.compareVariation`, once loaded
+ * @param {Function} children - renders a variation of the fragment: (cf) => node
+ */
+const VariationPreview = ({
+  preview,
+  variations,
+  variation,
+  cf,
+  compareCf,
+  children,
+}) => {
+  const [showCompared, setShowCompared] = useState(false);
+  const [copyStatus, setCopyStatus] = useState(null);
+
+  const { enabled, mode, compareVariation, update, sharePath } = preview;
+  const options = useMemo(
+    () => ["master", ...(variations || []).filter((name) => name !== "master")],
+    [variations]
+  );
+  const fields = useMemo(() => diffFragments(cf, compareCf), [cf, compareCf]);
+
+  useEffect(() => setCopyStatus(null), [sharePath]);
+
+  if (!enabled) return children(cf);
+
+  const shareUrl = () => new URL(sharePath, window.location.origin).toString();
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl());
+      setCopyStatus("copied");
+    } catch {
+      setCopyStatus("failed");
+    }
+  };
+
+  const isComparing = Boolean(compareVariation && compareCf);
+  let body = children(cf);
+  if (isComparing && mode === PREVIEW_MODES.TOGGLE) {
+    body = (
+      <PreviewColumn fields={fields}>
+        {children(showCompared ? compareCf : cf)}
+      </PreviewColumn>
+    );
+  } else if (isComparing) {
+    body = (
+      <div className="preview-columns">
+        <PreviewColumn label={getVariationLabel(variation)} fields={fields}>
+          {children(cf)}
+        </PreviewColumn>
+        <PreviewColumn
+          label={getVariationLabel(compareVariation)}
+          fields={fields}
+        >
+          {children(compareCf)}
+        </PreviewColumn>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <section
+        className="container variation-preview font-size-medium"
+        aria-label="Variation preview"
+      >
+        <div className="preview-controls">
+          <label>
+            Variation
+            <select
+              value={variation}
+              onChange={(event) => update({ variation: event.target.value })}
+            >
+              {options.map((name) => (
+                <option key={name} value={name}>
+                  {getVariationLabel(name)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Compare with
+            <select
+              value={compareVariation || ""}
+              onChange={(event) => update({ compare: event.target.value })}
+            >
+              <option value="">None</option>
+              {options
+                .filter((name) => name !== variation)
+                .map((name) => (
+                  <option key={name} value={name}>
+                    {getVariationLabel(name)}
+                  </option>
+                ))}
+            </select>
+          </label>
+          {compareVariation && (
+            <div className="preview-modes">
+              <SelectorButton
+                variant="dark"
+                isSelected={mode === PREVIEW_MODES.SIDE_BY_SIDE}
+                onClick={() => update({ mode: PREVIEW_MODES.SIDE_BY_SIDE })}
+              >
+                Side by side
+              </SelectorButton>
+              <SelectorButton
+                variant="dark"
+                isSelected={mode === PREVIEW_MODES.TOGGLE}
+                onClick={() => update({ mode: PREVIEW_MODES.TOGGLE })}
+              >
+                Toggle
+              </SelectorButton>
+            </div>
+          )}
+          <button className="hover-effect" onClick={copyLink}>
+            Copy preview link
+          </button>
+        </div>
+        {compareVariation && (
+          <div className="preview-summary" aria-live="polite">
+            {!compareCf && <p>Loading {getVariationLabel(compareVariation)}…</p>}
+            {compareCf && (
+              <p>
+                {fields.length
+                  ? `Fields that differ: ${fields.map(getFieldLabel).join(", ")}`
+                  : "No differences between these variations"}
+              </p>
+            )}
+            {isComparing && mode === PREVIEW_MODES.TOGGLE && (
+              <div className="preview-modes">
+                <SelectorButton
+                  variant="dark"
+                  isSelected={!showCompared}
+                  onClick={() => setShowCompared(false)}
+                >
+                  {getVariationLabel(variation)}
+                </SelectorButton>
+                <SelectorButton
+                  variant="dark"
+                  isSelected={showCompared}
+                  onClick={() => setShowCompared(true)}
+                >
+                  {getVariationLabel(compareVariation)}
+                </SelectorButton>
+              </div>
+            )}
+          </div>
+        )}
+        {copyStatus === "copied" && <p role="status">Preview link copied</p>}
+        {copyStatus === "failed" && (
+          <label>
+            Copy this link
+            <input type="text" readOnly value={shareUrl()} />
+          </label>
+        )}
+      </section>
+      {body}
+    </>
+  );
+};
+
+export default VariationPreview;
@@ -0,0 +1,38 @@
+// Comparable form of a field value: references (fragments, images) by path,
+// rich text by its first representation, other objects without metadata
+const normalize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value !== "object") return value;
+  if (value._path) return value._path;
+
+  const text = value.html ?? value.plaintext ?? value.markdown ?? value.json;
+  if (text !== undefined) return normalize(text);
+
+  return Object.fromEntries(
+    Object.keys(value)
+      .filter((name) => !name.startsWith("_"))
+      .sort()
+      .map((name) => [name, normalize(value[name])])
+  );
+};
+
+/**
+ * Fields whose values differ between two variations of a Content Fragment.
+ * Metadata fields (`_path`, `_variation`, ...) are ignored, and references are
+ * compared by path, not by the content of the referenced fragment.
+ * @param {object} cf - a variation of the fragment
+ * @param {object} otherCf - another variation of the same fragment
+ * @returns {Array<string>} - names of the differing fields, in the order of `cf`
+ */
+export const diffFragments = (cf, otherCf) => {
+  if (!cf || !otherCf) return [];
+
+  const names = [...new Set([...Object.keys(cf), ...Object.keys(otherCf)])];
+  return names.filter(
+    (name) =>
+      !name.startsWith("_") &&
+      JSON.stringify(normalize(cf[name])) !==
+        JSON.stringify(normalize(otherCf[name]))
+  );
+};
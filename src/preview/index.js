@@ -0,0 +1,3 @@
+export { default as VariationPreview } from "./VariationPreview";
+export { usePreviewMode, PREVIEW_MODES } from "./usePreviewMode";
+export { diffFragments } from "./diffFragments";
@@ -0,0 +1,67 @@
+import { useCallback, useMemo } from "react";
+import { useLocation, useSearchParams } from "react-router-dom";
+import { useOktaAuth } from "@okta/okta-react";
+import { AUTHOR_GROUP, hasAnyGroup } from "../auth/roles";
+
+export const PREVIEW_MODES = {
+  SIDE_BY_SIDE: "side-by-side",
+  TOGGLE: "toggle",
+};
+
+const isPreviewMode = (mode) => Object.values(PREVIEW_MODES).includes(mode);
+
+/**
+ * Variation preview state, kept in the query string so a preview can be shared:
+ * `?preview=side-by-side|toggle&variation=<shown>&compare=<compared with>`.
+ * The preview is on when `?preview=` is given, and always for signed-in members
+ * of AUTHOR_GROUP.
+ *
+ * @returns {object} - { enabled, mode, variation, compareVariation, update(changes), sharePath }
+ *   variation is the requested variation or null (the page picks its default);
+ *   update takes { mode, variation, compare }, null removing a value
+ */
+export const usePreviewMode = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { pathname } = useLocation();
+  const { authState } = useOktaAuth();
+
+  const previewParam = searchParams.get("preview");
+  const enabled =
+    previewParam !== null || hasAnyGroup(authState, [AUTHOR_GROUP]);
+  const mode = isPreviewMode(previewParam)
+    ? previewParam
+    : PREVIEW_MODES.SIDE_BY_SIDE;
+  const variation = searchParams.get("variation");
+  const compareVariation = (enabled && searchParams.get("compare")) || null;
+
+  const update = useCallback(
+    (changes) => {
+      setSearchParams(
+        (current) => {
+          const next = new URLSearchParams(current);
+          next.set("preview", changes.mode || mode);
+          ["variation", "compare"].forEach((name) => {
+            if (!(name in changes)) return;
+            if (changes[name]) next.set(name, changes[name]);
+            else next.delete(name);
+          });
+          return next;
+        },
+        { replace: true }
+      );
+    },
+    [setSearchParams, mode]
+  );
+
+  // Link to this preview, without unrelated query parameters
+  const sharePath = useMemo(() => {
+    if (!enabled) return null;
+
+    const params = new URLSearchParams({ preview: mode });
+    if (variation) params.set("variation", variation);
+    if (compareVariation) params.set("compare", compareVariation);
+    return `${pathname}?${params}`;
+  }, [enabled, pathname, mode, variation, compareVariation]);
+
+  return { enabled, mode, variation, compareVariation, update, sharePath };
+};
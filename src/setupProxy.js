@@ -0,0 +1,10 @@
+const { createProxyMiddleware } = require('http-proxy-middleware');
+
+// Development only: forward /api (auth, AEM proxy) to the Express server started
+// with `npm run start:server`, so `npm start` talks to the same endpoints as production
+module.exports = function(app) {
+  app.use('/api', createProxyMiddleware({
+    target: `http://localhost:${process.env.SERVER_PORT || 3001}`,
+    changeOrigin: true
+  }));
+};
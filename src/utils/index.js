@@ -1,2 +1,15 @@
 export { getURI } from "./getURI";
 export { snakeCaseToTitleCase } from "./snakeCaseToTitleCase";
+export { isSafeHref, parseNavigationLinks } from "./parseNavigationLinks";
+export {
+  SITE_NAME,
+  DEFAULT_DESCRIPTION,
+  getSiteUrl,
+  getAbsoluteUrl,
+  getStringMetadata,
+  getDescription,
+  getImageUrl,
+  buildBankJsonLd,
+  buildArticleJsonLd,
+  buildServiceJsonLd,
+} from "./seo";
@@ -0,0 +1,23 @@
+// Site paths, web and mail/phone links; anything else (e.g. javascript:) is dropped
+const SAFE_HREF = /^(\/(?!\/)|https?:\/\/|mailto:|tel:)/i;
+
+/**
+ * Whether an authored link can be rendered as an href
+ * @param {string} href - the link
+ * @returns {boolean}
+ */
+export const isSafeHref = (href) =>
+  typeof href === "string" && SAFE_HREF.test(href.trim());
+
+/**
+ * Links of a navigation Content Fragment, authored one per entry as `label|href`
+ * @param {Array<string>} links - the fragment's `links` field
+ * @returns {Array<object>} - { label, href } of the valid entries
+ */
+export const parseNavigationLinks = (links) =>
+  (Array.isArray(links) ? links : [])
+    .map((link) => {
+      const [label, href] = String(link).split("|").map((part) => part.trim());
+      return { label, href };
+    })
+    .filter(({ label, href }) => label && isSafeHref(href));
@@ -0,0 +1,101 @@
+import { getURI } from "./getURI";
+
+const { REACT_APP_SITE_URL } = process.env;
+
+export const SITE_NAME = "SecurBank";
+
+export const DEFAULT_DESCRIPTION =
+  "Experience effortless banking with SecurBank. Personal and business banking, savings, loans and financial advice.";
+
+const MAX_DESCRIPTION_LENGTH = 160;
+
+// Absolute site origin for canonical URLs; the server has no window to fall back to
+export const getSiteUrl = () =>
+  (
+    REACT_APP_SITE_URL ||
+    (typeof window !== "undefined" ? window.location.origin : "")
+  ).replace(/\/$/, "");
+
+export const getAbsoluteUrl = (path = "/") => {
+  if (/^https?:\/\//.test(path)) return path;
+  return getSiteUrl() + (path.startsWith("/") ? path : `/${path}`);
+};
+
+// Look up a value from a Content Fragment's `_metadata.stringMetadata`
+export const getStringMetadata = (cf, name) =>
+  cf?._metadata?.stringMetadata?.find((meta) => meta?.name === name)?.value ||
+  null;
+
+// Plain text from a multi-line text field ({ plaintext } or { html })
+const getPlainText = (content) => {
+  if (!content) return "";
+  if (typeof content === "string") return content;
+  if (content.plaintext) return content.plaintext;
+  return (content.html || "").replace(/<[^>]*>/g, " ");
+};
+
+export const truncate = (text, maxLength = MAX_DESCRIPTION_LENGTH) => {
+  const normalized = text.replace(/\s+/g, " ").trim();
+  if (normalized.length <= maxLength) return normalized;
+  return normalized.slice(0, maxLength - 1).replace(/\s+\S*$/, "") + "…";
+};
+
+/**
+ * Description for a fragment: its `description` metadata, else the start of its content.
+ */
+export const getDescription = (cf, content) =>
+  truncate(
+    getStringMetadata(cf, "description") ||
+      getPlainText(content) ||
+      DEFAULT_DESCRIPTION
+  );
+
+export const getImageUrl = (image) =>
+  image?._dynamicUrl ? getAbsoluteUrl(getURI(image._dynamicUrl)) : null;
+
+const organization = () => ({
+  "@type": "BankOrCreditUnion",
+  name: SITE_NAME,
+  url: getAbsoluteUrl("/"),
+});
+
+/**
+ * schema.org BankOrCreditUnion for the home page
+ */
+export const buildBankJsonLd = ({ description, image }) => ({
+  "@context": "https://schema.org",
+  ...organization(),
+  description,
+  ...(image && { image }),
+});
+
+/**
+ * schema.org Article for an article Content Fragment
+ */
+export const buildArticleJsonLd = ({ cf, description, image, url }) => ({
+  "@context": "https://schema.org",
+  "@type": "Article",
+  headline: cf?.title,
+  description,
+  url,
+  mainEntityOfPage: url,
+  ...(image && { image }),
+  ...(getStringMetadata(cf, "author") && {
+    author: { "@type": "Person", name: getStringMetadata(cf, "author") },
+  }),
+  publisher: organization(),
+});
+
+/**
+ * schema.org FinancialProduct (a Service) for a service Content Fragment
+ */
+export const buildServiceJsonLd = ({ cf, description, image, url }) => ({
+  "@context": "https://schema.org",
+  "@type": "FinancialProduct",
+  name: cf?.title,
+  description,
+  url,
+  ...(image && { image }),
+  ...(cf?.serviceCategory?.name && { category: cf.serviceCategory.name }),
+  provider: organization(),
+});
@@ -0,0 +1,55 @@
+const path = require("path");
+
+// Server bundle for SSR_ENABLED mode; the client bundle is still built by react-scripts
+module.exports = {
+  mode: "production",
+  target: "node",
+  entry: "./src/entry-server.jsx",
+  output: {
+    path: path.join(__dirname, "build", "server"),
+    filename: "entry-server.js",
+    library: { type: "commonjs2" },
+  },
+  // Keep __dirname pointing at build/server so the asset manifest can be found
+  node: {
+    __dirname: false,
+  },
+  // Dependencies are loaded from node_modules at runtime
+  externals: [
+    ({ request }, callback) =>
+      /^[^./]/.test(request) && !path.isAbsolute(request)
+        ? callback(null, `commonjs ${request}`)
+        : callback(),
+  ],
+  resolve: {
+    extensions: [".js", ".jsx"],
+  },
+  module: {
+    rules: [
+      {
+        test: /\.(js|jsx)$/,
+        include: path.join(__dirname, "src"),
+        use: {
+          loader: "babel-loader",
+          options: {
+            babelrc: false,
+            configFile: false,
+            presets: [["babel-preset-react-app", { runtime: "automatic" }]],
+          },
+        },
+      },
+      {
+        // Styles are served by the client build
+        test: /\.s?css$/,
+        type: "asset/source",
+      },
+      {
+        test: /\.(png|jpe?g|gif|svg|ttf|woff2?)$/,
+        use: path.join(__dirname, "scripts", "ssr", "asset-manifest-loader.js"),
+      },
+    ],
+  },
+  optimization: {
+    minimize: false,
+  },
+};